@@ -0,0 +1,447 @@
+// ========================================
+// 📈 GLUCOSE ANALYTICS
+// ========================================
+// Pure functions over a list of readings: no database, no clock of its own.
+// server.js fetches the readings and passes them in. Patient replies, the LLM
+// context and the admin endpoints all read from the same numbers.
+//
+// A reading here is { reading, readingType, timestamp }, where reading is in mg/dL.
+
+// International consensus CGM ranges - also used for fingerstick data here
+const CONSENSUS_RANGE = { low: 70, high: 180, veryLow: 54, veryHigh: 250 };
+
+// Below this CV glucose is considered stable (consensus 36%)
+const STABLE_CV_PERCENT = 36;
+
+// GMI needs enough data to mean anything (consensus: 14 days)
+const GMI_MIN_DAYS = 14;
+const GMI_MIN_READINGS = 14;
+
+// Lows closer together than this are one hypo event
+const HYPO_EVENT_GAP_MINUTES = 60;
+
+const FASTING_TYPES = ['fasting', 'pre_breakfast'];
+const POST_MEAL_TYPES = ['post_meal', 'postprandial'];
+
+const round = (value, digits = 0) => {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const percent = (part, total) => (total > 0 ? round((part / total) * 100) : null);
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+// Sample standard deviation (n - 1)
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1));
+}
+
+// Glucose Management Indicator (Bergenstal 2018): estimated A1c from mean glucose
+function glucoseManagementIndicator(meanGlucose) {
+  return meanGlucose === null ? null : 3.31 + 0.02392 * meanGlucose;
+}
+
+function countHypoEvents(sorted) {
+  const events = { level1: 0, level2: 0, total: 0 };
+  let lastLowAt = null;
+  let current = null;
+
+  for (const r of sorted) {
+    if (r.reading >= CONSENSUS_RANGE.low) {
+      current = null;
+      continue;
+    }
+
+    const at = new Date(r.timestamp).getTime();
+    const continues = current && lastLowAt !== null && at - lastLowAt <= HYPO_EVENT_GAP_MINUTES * 60 * 1000;
+
+    if (!continues) {
+      current = { level: 1 };
+      events.total++;
+      events.level1++;
+    }
+    // An event that dips under 54 counts as level 2 once
+    if (r.reading < CONSENSUS_RANGE.veryLow && current.level === 1) {
+      current.level = 2;
+      events.level1--;
+      events.level2++;
+    }
+    lastLowAt = at;
+  }
+
+  return events;
+}
+
+function averageFor(readings, types) {
+  const values = readings.filter(r => types.includes(r.readingType)).map(r => r.reading);
+  return { count: values.length, mean: round(mean(values)) };
+}
+
+// Consecutive days up to today with at least one reading, and the run of
+// most recent readings that were all in the patient's target
+function computeStreaks(sorted, { dayOf, today, statusOf }) {
+  const days = new Set(sorted.map(r => dayOf(new Date(r.timestamp))));
+
+  let loggingDays = 0;
+  let cursor = today;
+  // A day without readings yet doesn't break the streak until it's over
+  if (!days.has(cursor)) cursor = previousDay(cursor);
+  while (days.has(cursor)) {
+    loggingDays++;
+    cursor = previousDay(cursor);
+  }
+
+  let inTargetReadings = 0;
+  for (let i = sorted.length - 1; i >= 0 && statusOf(sorted[i]) === 'in_range'; i--) {
+    inTargetReadings++;
+  }
+
+  return { loggingDays, inTargetReadings };
+}
+
+function previousDay(isoDate) {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+const consensusStatus = (r) =>
+  r.reading < CONSENSUS_RANGE.low ? 'low' : r.reading > CONSENSUS_RANGE.high ? 'high' : 'in_range';
+
+// Summary statistics for one patient over a `days`-long window. statusOf grades
+// readings against the patient's own targets (default 70-180), dayOf gives the
+// local 'YYYY-MM-DD' (default UTC), now anchors the streaks.
+function computeGlucoseStats(readings, options = {}) {
+  const {
+    days = 14,
+    statusOf = consensusStatus,
+    dayOf = (date) => date.toISOString().slice(0, 10),
+    now = new Date()
+  } = options;
+
+  const sorted = [...readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  const values = sorted.map(r => r.reading);
+  const count = values.length;
+
+  const avg = mean(values);
+  const sd = standardDeviation(values);
+  const cv = avg && sd !== null ? (sd / avg) * 100 : null;
+  const gmi = glucoseManagementIndicator(avg);
+  const daysWithData = new Set(sorted.map(r => dayOf(new Date(r.timestamp)))).size;
+
+  const inConsensus = { veryLow: 0, low: 0, inRange: 0, high: 0, veryHigh: 0 };
+  for (const v of values) {
+    if (v < CONSENSUS_RANGE.veryLow) inConsensus.veryLow++;
+    else if (v < CONSENSUS_RANGE.low) inConsensus.low++;
+    else if (v <= CONSENSUS_RANGE.high) inConsensus.inRange++;
+    else if (v <= CONSENSUS_RANGE.veryHigh) inConsensus.high++;
+    else inConsensus.veryHigh++;
+  }
+
+  const statuses = sorted.map(statusOf);
+  const inTarget = statuses.filter(s => s === 'in_range').length;
+  const belowTarget = statuses.filter(s => s === 'low').length;
+  const aboveTarget = statuses.filter(s => s === 'high').length;
+
+  return {
+    days,
+    count,
+    daysWithData,
+    readingsPerDay: round(count / days, 1),
+    first: sorted[0]?.timestamp || null,
+    last: sorted[count - 1]?.timestamp || null,
+
+    mean: round(avg),
+    sd: round(sd),
+    cv: round(cv, 1),
+    stable: cv === null ? null : cv <= STABLE_CV_PERCENT,
+    min: count > 0 ? Math.min(...values) : null,
+    max: count > 0 ? Math.max(...values) : null,
+
+    gmi: round(gmi, 1),
+    gmiReliable: daysWithData >= GMI_MIN_DAYS && count >= GMI_MIN_READINGS,
+
+    // 70-180 consensus bands, comparable across patients
+    timeInRange: {
+      veryLow: percent(inConsensus.veryLow, count),
+      below: percent(inConsensus.veryLow + inConsensus.low, count),
+      inRange: percent(inConsensus.inRange, count),
+      above: percent(inConsensus.high + inConsensus.veryHigh, count),
+      veryHigh: percent(inConsensus.veryHigh, count)
+    },
+    // Against this patient's own per-type targets
+    target: {
+      inRange: percent(inTarget, count),
+      below: percent(belowTarget, count),
+      above: percent(aboveTarget, count)
+    },
+
+    hypoEvents: countHypoEvents(sorted),
+    fasting: averageFor(sorted, FASTING_TYPES),
+    postMeal: averageFor(sorted, POST_MEAL_TYPES),
+    streaks: computeStreaks(sorted, { dayOf, today: dayOf(now), statusOf })
+  };
+}
+
+// Per local day: count, mean and % in the patient's target, oldest first
+function dailySummaries(readings, options = {}) {
+  const statusOf = options.statusOf || consensusStatus;
+  const dayOf = options.dayOf || ((date) => date.toISOString().slice(0, 10));
+
+  const byDay = {};
+  for (const r of readings) {
+    const date = dayOf(new Date(r.timestamp));
+    (byDay[date] = byDay[date] || []).push(r);
+  }
+
+  return Object.entries(byDay)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, list]) => ({
+      date,
+      count: list.length,
+      mean: round(mean(list.map(r => r.reading))),
+      inTarget: percent(list.filter(r => statusOf(r) === 'in_range').length, list.length)
+    }));
+}
+
+// Per week (Monday to Sunday, local): same fields as dailySummaries plus daysWithData
+function weeklySummaries(readings, options = {}) {
+  const statusOf = options.statusOf || consensusStatus;
+  const dayOf = options.dayOf || ((date) => date.toISOString().slice(0, 10));
+
+  const byWeek = {};
+  for (const r of readings) {
+    const day = dayOf(new Date(r.timestamp));
+    const start = new Date(`${day}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    const week = start.toISOString().slice(0, 10);
+    (byWeek[week] = byWeek[week] || []).push({ r, day });
+  }
+
+  return Object.entries(byWeek)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([weekStart, list]) => ({
+      weekStart,
+      count: list.length,
+      daysWithData: new Set(list.map(item => item.day)).size,
+      mean: round(mean(list.map(item => item.r.reading))),
+      inTarget: percent(list.filter(item => statusOf(item.r) === 'in_range').length, list.length)
+    }));
+}
+
+// ========================================
+// 🔍 PATTERN DETECTION
+// ========================================
+// Recurring shapes in a window of readings - the things a clinician looks for
+// when paging through a logbook. Each pattern carries the readings behind it so
+// it can be checked, and a clinical flag for the ones worth the physician's time.
+
+const PATTERN_RULES = {
+  minDays: 3,              // highs and spikes must show up on this many different days
+  minLowDays: 2,           // lows repeat sooner than that before they matter
+  dawnRiseMgdl: 30,        // fasting average this far above bedtime average
+  spikeExcursionMgdl: 60,  // post-meal rise over that meal's pre-meal reading
+  weekendGapMgdl: 30,
+  minGroupReadings: 3
+};
+
+// Local time-of-day slots, in minutes after midnight
+const TIME_SLOTS = [
+  { name: 'night', from: 0, to: 6 * 60 },
+  { name: 'morning', from: 6 * 60, to: 11 * 60 },
+  { name: 'afternoon', from: 11 * 60, to: 17 * 60 },
+  { name: 'evening', from: 17 * 60, to: 21 * 60 },
+  { name: 'late_evening', from: 21 * 60, to: 24 * 60 }
+];
+
+const PRE_MEAL_TYPES = {
+  breakfast: ['fasting', 'pre_breakfast'],
+  lunch: ['pre_lunch'],
+  dinner: ['pre_dinner']
+};
+
+const slotOf = (minutes) => TIME_SLOTS.find(s => minutes >= s.from && minutes < s.to).name;
+const weekdayOf = (isoDate) => new Date(`${isoDate}T00:00:00Z`).getUTCDay();
+const idsOf = (readings) => readings.map(r => r._id).filter(Boolean);
+
+function distinctDays(readings, dayOf) {
+  return new Set(readings.map(r => dayOf(new Date(r.timestamp)))).size;
+}
+
+// High fasting readings against in-range bedtime readings: sugar climbs overnight
+function detectDawnPhenomenon(readings, { statusOf, dayOf }) {
+  const fasting = readings.filter(r => FASTING_TYPES.includes(r.readingType));
+  const highFasting = fasting.filter(r => statusOf(r) === 'high');
+  const bedtime = readings.filter(r => r.readingType === 'bedtime');
+
+  if (distinctDays(highFasting, dayOf) < PATTERN_RULES.minDays || bedtime.length < 2) return null;
+  if (bedtime.filter(r => statusOf(r) === 'in_range').length < bedtime.length / 2) return null;
+
+  const fastingMean = round(mean(highFasting.map(r => r.reading)));
+  const bedtimeMean = round(mean(bedtime.map(r => r.reading)));
+  if (fastingMean - bedtimeMean < PATTERN_RULES.dawnRiseMgdl) return null;
+
+  const days = distinctDays(highFasting, dayOf);
+  return {
+    type: 'dawn_phenomenon',
+    key: 'dawn_phenomenon',
+    clinical: true,
+    details: { days, fastingMean, bedtimeMean, rise: fastingMean - bedtimeMean },
+    readingIds: idsOf([...highFasting, ...bedtime]),
+    summary: `Fasting high on ${days} days (avg ${fastingMean}) while bedtime is in range (avg ${bedtimeMean}) - possible dawn phenomenon`
+  };
+}
+
+function bySlot(readings, minutesOf) {
+  const slots = {};
+  for (const r of readings) {
+    const slot = r.readingType === 'overnight' ? 'night' : slotOf(minutesOf(new Date(r.timestamp)));
+    (slots[slot] = slots[slot] || []).push(r);
+  }
+  return Object.entries(slots);
+}
+
+// Hypos (under 70, whatever the patient's target) that keep coming back in the
+// same part of the day
+function detectRecurringLows(readings, { dayOf, minutesOf }) {
+  const lows = readings.filter(r => r.reading < CONSENSUS_RANGE.low);
+
+  return bySlot(lows, minutesOf)
+    .filter(([, list]) => distinctDays(list, dayOf) >= PATTERN_RULES.minLowDays)
+    .map(([slot, list]) => {
+      const days = distinctDays(list, dayOf);
+      const lowest = Math.min(...list.map(r => r.reading));
+      const nocturnal = slot === 'night';
+      return {
+        type: nocturnal ? 'nocturnal_hypo' : 'recurring_lows',
+        key: `${nocturnal ? 'nocturnal_hypo' : 'recurring_lows'}:${slot}`,
+        clinical: true,
+        details: { slot, days, count: list.length, lowest },
+        readingIds: idsOf(list),
+        summary: `${nocturnal ? 'Night-time lows' : `Repeated lows in the ${slot.replace('_', ' ')}`} on ${days} days (lowest ${lowest})`
+      };
+    });
+}
+
+// Under the patient's own target but not hypo (e.g. 80 against a 90 floor):
+// worth a word to the patient, not a page to the physician
+function detectBelowTarget(readings, { statusOf, dayOf, minutesOf }) {
+  const under = readings.filter(r => statusOf(r) === 'low' && r.reading >= CONSENSUS_RANGE.low);
+
+  return bySlot(under, minutesOf)
+    .filter(([, list]) => distinctDays(list, dayOf) >= PATTERN_RULES.minDays)
+    .map(([slot, list]) => {
+      const days = distinctDays(list, dayOf);
+      const lowest = Math.min(...list.map(r => r.reading));
+      return {
+        type: 'below_target',
+        key: `below_target:${slot}`,
+        clinical: false,
+        details: { slot, days, count: list.length, lowest },
+        readingIds: idsOf(list),
+        summary: `Below target in the ${slot.replace('_', ' ')} on ${days} days (lowest ${lowest})`
+      };
+    });
+}
+
+// Big rises after a particular meal, measured from that day's pre-meal reading
+function detectPostMealSpikes(readings, { statusOf, dayOf }) {
+  const patterns = [];
+
+  for (const meal of Object.keys(PRE_MEAL_TYPES)) {
+    const spikes = [];
+    const excursions = [];
+
+    for (const post of readings.filter(r => POST_MEAL_TYPES.includes(r.readingType) && r.meal === meal)) {
+      const day = dayOf(new Date(post.timestamp));
+      const pre = readings
+        .filter(r => PRE_MEAL_TYPES[meal].includes(r.readingType) &&
+          dayOf(new Date(r.timestamp)) === day && new Date(r.timestamp) < new Date(post.timestamp))
+        .pop();
+
+      const excursion = pre ? post.reading - pre.reading : null;
+      // Without a pre-meal reading the patient's post-meal target has to do
+      if (excursion !== null ? excursion >= PATTERN_RULES.spikeExcursionMgdl : statusOf(post) === 'high') {
+        spikes.push(post);
+        if (excursion !== null) excursions.push(excursion);
+      }
+    }
+
+    const days = distinctDays(spikes, dayOf);
+    if (days < PATTERN_RULES.minDays) continue;
+
+    const peakMean = round(mean(spikes.map(r => r.reading)));
+    const rise = round(mean(excursions));
+    patterns.push({
+      type: 'post_meal_spike',
+      key: `post_meal_spike:${meal}`,
+      clinical: peakMean > CONSENSUS_RANGE.veryHigh,
+      details: { meal, days, peakMean, averageRise: rise },
+      readingIds: idsOf(spikes),
+      summary: `High after ${meal} on ${days} days (avg ${peakMean}${rise !== null ? `, +${rise} from before the meal` : ''})`
+    });
+  }
+
+  return patterns;
+}
+
+function detectWeekendEffect(readings, { dayOf }) {
+  const isWeekend = (r) => [0, 6].includes(weekdayOf(dayOf(new Date(r.timestamp))));
+  const weekend = readings.filter(isWeekend);
+  const weekday = readings.filter(r => !isWeekend(r));
+
+  if (weekend.length < PATTERN_RULES.minGroupReadings || weekday.length < PATTERN_RULES.minGroupReadings) return null;
+
+  const weekendMean = round(mean(weekend.map(r => r.reading)));
+  const weekdayMean = round(mean(weekday.map(r => r.reading)));
+  const gap = weekendMean - weekdayMean;
+  if (Math.abs(gap) < PATTERN_RULES.weekendGapMgdl) return null;
+
+  return {
+    type: 'weekend_effect',
+    key: 'weekend_effect',
+    clinical: false,
+    details: { weekendMean, weekdayMean, gap, direction: gap > 0 ? 'higher' : 'lower' },
+    readingIds: idsOf(weekend),
+    summary: `Weekends ${gap > 0 ? 'higher' : 'lower'} than weekdays (avg ${weekendMean} vs ${weekdayMean})`
+  };
+}
+
+// Recurring patterns in a window of readings, as [{ type, key, clinical, details,
+// readingIds, summary }]. key is stable across runs ("recurring_lows:evening")
+// so callers can track a pattern over time. Options as for computeGlucoseStats,
+// plus minutesOf (Date → minutes after local midnight).
+function detectPatterns(readings, options = {}) {
+  const context = {
+    statusOf: options.statusOf || consensusStatus,
+    dayOf: options.dayOf || ((date) => date.toISOString().slice(0, 10)),
+    minutesOf: options.minutesOf || ((date) => date.getUTCHours() * 60 + date.getUTCMinutes())
+  };
+  const sorted = [...readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  return [
+    detectDawnPhenomenon(sorted, context),
+    ...detectRecurringLows(sorted, context),
+    ...detectBelowTarget(sorted, context),
+    ...detectPostMealSpikes(sorted, context),
+    detectWeekendEffect(sorted, context)
+  ].filter(Boolean);
+}
+
+module.exports = {
+  CONSENSUS_RANGE,
+  PATTERN_RULES,
+  STABLE_CV_PERCENT,
+  computeGlucoseStats,
+  dailySummaries,
+  detectPatterns,
+  glucoseManagementIndicator,
+  standardDeviation,
+  weeklySummaries
+};
@@ -0,0 +1,220 @@
+const { PNG } = require('pngjs');
+
+// ========================================
+// 📈 GLUCOSE CHART IMAGES
+// ========================================
+// Draws a patient's recent readings as a PNG in plain JavaScript: no browser,
+// no canvas, no system fonts. The background bands show the glucose zones and
+// each dot is coloured by the patient's own targets. The marker shape shows the
+// reading type. The only text in the image is numbers (dates and mg/dL), so it
+// reads the same for every language. Words go in the localized WhatsApp
+// caption instead (see GLUCOSE GRAPH in server.js).
+
+const WIDTH = 900;
+const HEIGHT = 540;
+const PLOT = { left: 70, right: 25, top: 25, bottom: 55 };
+
+const COLORS = {
+  background: [255, 255, 255],
+  grid: [215, 215, 215],
+  axis: [90, 90, 90],
+  label: [70, 70, 70],
+  line: [150, 150, 150],
+  outline: [40, 40, 40],
+  low: [214, 69, 69],
+  in_range: [46, 158, 91],
+  high: [224, 138, 30]
+};
+
+// Consensus zones, bottom to top
+const BANDS = [
+  { to: 54, color: [250, 205, 205] },
+  { to: 70, color: [255, 230, 230] },
+  { to: 180, color: [220, 244, 226] },
+  { to: 250, color: [255, 242, 204] },
+  { to: Infinity, color: [255, 224, 196] }
+];
+
+// Before a meal: square, after a meal: triangle, bedtime/night: diamond, anything else: circle
+const MARKERS = {
+  fasting: 'square',
+  pre_breakfast: 'square',
+  pre_lunch: 'square',
+  pre_dinner: 'square',
+  post_meal: 'triangle',
+  postprandial: 'triangle',
+  bedtime: 'diamond',
+  overnight: 'diamond'
+};
+
+// 5x7 bitmap glyphs - all the chart ever prints
+const GLYPHS = {
+  0: [' ### ', '#   #', '#  ##', '# # #', '##  #', '#   #', ' ### '],
+  1: ['  #  ', ' ##  ', '  #  ', '  #  ', '  #  ', '  #  ', ' ### '],
+  2: [' ### ', '#   #', '    #', '   # ', '  #  ', ' #   ', '#####'],
+  3: ['#####', '   # ', '  #  ', '   # ', '    #', '#   #', ' ### '],
+  4: ['   # ', '  ## ', ' # # ', '#  # ', '#####', '   # ', '   # '],
+  5: ['#####', '#    ', '#### ', '    #', '    #', '#   #', ' ### '],
+  6: ['  ## ', ' #   ', '#    ', '#### ', '#   #', '#   #', ' ### '],
+  7: ['#####', '    #', '   # ', '  #  ', ' #   ', ' #   ', ' #   '],
+  8: [' ### ', '#   #', '#   #', ' ### ', '#   #', '#   #', ' ### '],
+  9: [' ### ', '#   #', '#   #', ' ####', '    #', '   # ', ' ##  '],
+  '/': ['    #', '    #', '   # ', '  #  ', ' #   ', '#    ', '#    '],
+  '-': ['     ', '     ', '     ', '#####', '     ', '     ', '     '],
+  ' ': ['     ', '     ', '     ', '     ', '     ', '     ', '     ']
+};
+
+function createCanvas(width, height) {
+  const png = new PNG({ width, height });
+
+  const set = (x, y, color) => {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    png.data[i] = color[0];
+    png.data[i + 1] = color[1];
+    png.data[i + 2] = color[2];
+    png.data[i + 3] = 255;
+  };
+
+  const canvas = {
+    png,
+
+    fillRect(x, y, w, h, color) {
+      for (let yy = Math.max(0, Math.round(y)); yy < Math.min(height, Math.round(y + h)); yy++) {
+        for (let xx = Math.max(0, Math.round(x)); xx < Math.min(width, Math.round(x + w)); xx++) set(xx, yy, color);
+      }
+    },
+
+    fillCircle(cx, cy, r, color) {
+      for (let yy = -r; yy <= r; yy++) {
+        for (let xx = -r; xx <= r; xx++) {
+          if (xx * xx + yy * yy <= r * r + r * 0.8) set(cx + xx, cy + yy, color);
+        }
+      }
+    },
+
+    // Even-odd scanline fill; points: [[x, y], ...]
+    fillPolygon(points, color) {
+      const ys = points.map(p => p[1]);
+      for (let y = Math.floor(Math.min(...ys)); y <= Math.ceil(Math.max(...ys)); y++) {
+        const xs = [];
+        for (let i = 0; i < points.length; i++) {
+          const [x1, y1] = points[i];
+          const [x2, y2] = points[(i + 1) % points.length];
+          if ((y1 <= y && y2 > y) || (y2 <= y && y1 > y)) xs.push(x1 + ((y - y1) / (y2 - y1)) * (x2 - x1));
+        }
+        xs.sort((a, b) => a - b);
+        for (let i = 0; i + 1 < xs.length; i += 2) {
+          for (let x = Math.ceil(xs[i]); x <= Math.floor(xs[i + 1]); x++) set(x, y, color);
+        }
+      }
+    },
+
+    line(x0, y0, x1, y1, color, thickness = 1) {
+      const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+      const r = Math.floor(thickness / 2);
+      for (let i = 0; i <= steps; i++) {
+        const x = x0 + ((x1 - x0) * i) / steps;
+        const y = y0 + ((y1 - y0) * i) / steps;
+        if (r === 0) set(x, y, color);
+        else canvas.fillCircle(Math.round(x), Math.round(y), r, color);
+      }
+    },
+
+    // align: 'left' | 'center' | 'right' around x; y is the top of the text
+    text(str, x, y, color, { scale = 2, align = 'left' } = {}) {
+      const advance = 6 * scale;
+      const width = str.length * advance - scale;
+      let cx = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+      for (const ch of str) {
+        const glyph = GLYPHS[ch] || GLYPHS[' '];
+        glyph.forEach((row, gy) => {
+          [...row].forEach((cell, gx) => {
+            if (cell === '#') canvas.fillRect(cx + gx * scale, y + gy * scale, scale, scale, color);
+          });
+        });
+        cx += advance;
+      }
+    }
+  };
+
+  canvas.fillRect(0, 0, width, height, COLORS.background);
+  return canvas;
+}
+
+function drawMarker(canvas, shape, x, y, size, color) {
+  const shapeAt = (s, c) => {
+    if (shape === 'square') canvas.fillRect(x - s, y - s, 2 * s + 1, 2 * s + 1, c);
+    else if (shape === 'triangle') canvas.fillPolygon([[x, y - s - 2], [x + s + 1, y + s], [x - s - 1, y + s]], c);
+    else if (shape === 'diamond') canvas.fillPolygon([[x, y - s - 2], [x + s + 2, y], [x, y + s + 2], [x - s - 2, y]], c);
+    else canvas.fillCircle(x, y, s, c);
+  };
+  shapeAt(size + 2, COLORS.outline);
+  shapeAt(size, color);
+}
+
+// PNG (Buffer) of data.readings - [{ timestamp, reading, readingType, status }],
+// status against the patient's targets - between data.from and data.to in data.timeZone
+function renderGlucoseChart(data) {
+  const canvas = createCanvas(WIDTH, HEIGHT);
+  const readings = [...data.readings].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const plot = {
+    x: PLOT.left,
+    y: PLOT.top,
+    w: WIDTH - PLOT.left - PLOT.right,
+    h: HEIGHT - PLOT.top - PLOT.bottom
+  };
+  const from = new Date(data.from).getTime();
+  const span = Math.max(new Date(data.to).getTime() - from, 1);
+
+  const yMin = 40;
+  const yMax = Math.min(Math.max(300, Math.ceil(Math.max(0, ...readings.map(r => r.reading)) / 50) * 50), 600);
+
+  const xAt = (t) => plot.x + ((new Date(t).getTime() - from) / span) * plot.w;
+  const yAt = (v) => plot.y + plot.h - ((Math.min(Math.max(v, yMin), yMax) - yMin) / (yMax - yMin)) * plot.h;
+
+  let bandFrom = yMin;
+  for (const band of BANDS) {
+    const top = yAt(Math.min(band.to, yMax));
+    canvas.fillRect(plot.x, top, plot.w, yAt(bandFrom) - top, band.color);
+    bandFrom = band.to;
+    if (band.to >= yMax) break;
+  }
+
+  for (let v = 50; v <= yMax; v += 50) {
+    canvas.line(plot.x, yAt(v), plot.x + plot.w, yAt(v), COLORS.grid);
+    canvas.text(String(v), plot.x - 10, yAt(v) - 7, COLORS.label, { align: 'right' });
+  }
+
+  // Date labels (DD/MM), at most 7 across the axis
+  const dayLabel = new Intl.DateTimeFormat('en-GB', { timeZone: data.timeZone, day: '2-digit', month: '2-digit' });
+  const days = Math.max(1, Math.round(span / (24 * 60 * 60 * 1000)));
+  const ticks = Math.min(7, days);
+  for (let i = 0; i <= ticks; i++) {
+    const t = from + (span * i) / ticks;
+    canvas.line(xAt(t), plot.y + plot.h, xAt(t), plot.y + plot.h + 6, COLORS.axis);
+    canvas.text(dayLabel.format(new Date(t)), xAt(t), plot.y + plot.h + 14, COLORS.label, { align: i === 0 ? 'left' : i === ticks ? 'right' : 'center' });
+  }
+
+  canvas.line(plot.x, plot.y, plot.x, plot.y + plot.h, COLORS.axis, 2);
+  canvas.line(plot.x, plot.y + plot.h, plot.x + plot.w, plot.y + plot.h, COLORS.axis, 2);
+
+  for (let i = 1; i < readings.length; i++) {
+    const a = readings[i - 1];
+    const b = readings[i];
+    canvas.line(xAt(a.timestamp), yAt(a.reading), xAt(b.timestamp), yAt(b.reading), COLORS.line, 2);
+  }
+
+  // The latest reading is drawn bigger, so "where am I now" stands out
+  readings.forEach((r, i) => {
+    const size = i === readings.length - 1 ? 9 : 5;
+    drawMarker(canvas, MARKERS[r.readingType] || 'circle', Math.round(xAt(r.timestamp)), Math.round(yAt(r.reading)), size, COLORS[r.status] || COLORS.outline);
+  });
+
+  return PNG.sync.write(canvas.png);
+}
+
+module.exports = { MARKERS, renderGlucoseChart };
@@ -0,0 +1,288 @@
+const PDFDocument = require('pdfkit');
+
+// ========================================
+// 📄 DOCTOR-READY PDF REPORT
+// ========================================
+// Renders one patient's glucose history for a period as a PDF buffer. No
+// database access: server.js gathers the data (see buildReportData) and passes
+// it in. The report has a profile summary, headline numbers, a glucose chart,
+// daily and weekly averages, hypo/hyper events and the full reading log.
+//
+// Built-in PDF fonts only cover Latin text. Anything else (a name typed in
+// Devanagari, say) is dropped instead of printing as garbage.
+
+const COLORS = {
+  text: '#222222',
+  muted: '#777777',
+  rule: '#cccccc',
+  band: '#e3f4e6',
+  low: '#d64545',
+  in_range: '#2e9e5b',
+  high: '#e08a1e',
+  mean: '#2f6fdf',
+  header: '#f0f0f0'
+};
+
+// The shaded band defaults to 70-180 when data.targetBand isn't given
+const CHART_RANGE = { low: 70, high: 180, veryLow: 54, veryHigh: 250 };
+
+const MARGIN = 40;
+
+const latin = (value) => String(value ?? '').replace(/[^\x20-\x7E\u00A0-\u00FF]/g, '').trim();
+
+function formatters(timeZone) {
+  const make = (options) => new Intl.DateTimeFormat('en-IN', { timeZone, ...options });
+  const date = make({ day: '2-digit', month: 'short', year: 'numeric' });
+  const dateTime = make({ day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false });
+  const isoDay = new Intl.DateTimeFormat('en-IN', { timeZone: 'UTC', weekday: 'short', day: '2-digit', month: 'short' });
+
+  return {
+    date: (d) => date.format(new Date(d)),
+    dateTime: (d) => dateTime.format(new Date(d)),
+    // "YYYY-MM-DD" keys from analytics are already local days
+    day: (iso) => isoDay.format(new Date(`${iso}T00:00:00Z`))
+  };
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+}
+
+function sectionTitle(doc, title) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(COLORS.text).text(title, MARGIN);
+  const y = doc.y + 2;
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.y = y + 6;
+}
+
+function keyValues(doc, pairs) {
+  doc.fontSize(9);
+  for (const [key, value] of pairs) {
+    ensureSpace(doc, 14);
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fillColor(COLORS.muted).text(key, MARGIN, y, { width: 130 });
+    doc.font('Helvetica').fillColor(COLORS.text).text(latin(value) || '-', MARGIN + 135, y, {
+      width: doc.page.width - 2 * MARGIN - 135
+    });
+    doc.moveDown(0.2);
+  }
+}
+
+// columns: [{ header, width, align? }]; rows: arrays of cell strings, or { cells, color }
+function table(doc, columns, rows) {
+  const rowHeight = 14;
+  const x0 = MARGIN;
+
+  const drawHeader = () => {
+    const y = doc.y;
+    doc.rect(x0, y, columns.reduce((sum, c) => sum + c.width, 0), rowHeight).fill(COLORS.header);
+    let x = x0;
+    doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.text);
+    for (const c of columns) {
+      doc.text(c.header, x + 3, y + 4, { width: c.width - 6, align: c.align || 'left', lineBreak: false });
+      x += c.width;
+    }
+    doc.y = y + rowHeight;
+  };
+
+  ensureSpace(doc, rowHeight * 2);
+  drawHeader();
+
+  doc.font('Helvetica').fontSize(8);
+  for (const row of rows) {
+    if (doc.y + rowHeight > doc.page.height - MARGIN) {
+      doc.addPage();
+      drawHeader();
+      doc.font('Helvetica').fontSize(8);
+    }
+
+    const { cells, color } = Array.isArray(row) ? { cells: row } : row;
+    const y = doc.y;
+    let x = x0;
+    cells.forEach((cell, i) => {
+      doc.fillColor(i === 1 && color ? color : COLORS.text)
+        .text(latin(cell), x + 3, y + 3, { width: columns[i].width - 6, align: columns[i].align || 'left', lineBreak: false, ellipsis: true });
+      x += columns[i].width;
+    });
+    doc.moveTo(x0, y + rowHeight).lineTo(x, y + rowHeight).lineWidth(0.25).strokeColor(COLORS.rule).stroke();
+    doc.y = y + rowHeight;
+  }
+  doc.x = MARGIN;
+}
+
+// Readings as dots coloured by status, the daily mean as a line, the patient's target band shaded
+function glucoseChart(doc, data) {
+  const [bandLow, bandHigh] = data.targetBand || [CHART_RANGE.low, CHART_RANGE.high];
+  const height = 200;
+  ensureSpace(doc, height + 30);
+
+  const left = MARGIN + 30;
+  const top = doc.y + 5;
+  const width = doc.page.width - MARGIN - left;
+  const from = new Date(data.from).getTime();
+  const span = Math.max(new Date(data.to).getTime() - from, 1);
+
+  const maxReading = Math.max(CHART_RANGE.veryHigh + 50, ...data.readings.map(r => r.reading));
+  const yMax = Math.min(Math.ceil(maxReading / 50) * 50, 600);
+  const yMin = 40;
+
+  const xAt = (t) => left + ((new Date(t).getTime() - from) / span) * width;
+  const yAt = (v) => top + height - ((Math.min(Math.max(v, yMin), yMax) - yMin) / (yMax - yMin)) * height;
+
+  doc.rect(left, yAt(bandHigh), width, yAt(bandLow) - yAt(bandHigh)).fill(COLORS.band);
+
+  doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted);
+  for (let v = 50; v <= yMax; v += 50) {
+    doc.moveTo(left, yAt(v)).lineTo(left + width, yAt(v)).lineWidth(0.25).strokeColor(COLORS.rule).stroke();
+    doc.text(String(v), MARGIN, yAt(v) - 3, { width: 26, align: 'right', lineBreak: false });
+  }
+  for (const v of [CHART_RANGE.veryLow, CHART_RANGE.veryHigh]) {
+    doc.moveTo(left, yAt(v)).lineTo(left + width, yAt(v)).dash(2, { space: 2 }).lineWidth(0.5).strokeColor(COLORS.low).stroke().undash();
+  }
+
+  // Date labels: at most 7 across the axis
+  const fmt = formatters(data.timeZone);
+  const ticks = Math.min(7, Math.max(data.days, 1));
+  for (let i = 0; i <= ticks; i++) {
+    const t = from + (span * i) / ticks;
+    doc.fillColor(COLORS.muted).text(fmt.date(t).slice(0, 6), xAt(t) - 20, top + height + 4, { width: 40, align: 'center', lineBreak: false });
+  }
+
+  if (data.daily.length > 1) {
+    data.daily.forEach((d, i) => {
+      const x = xAt(new Date(`${d.date}T12:00:00Z`));
+      if (i === 0) doc.moveTo(x, yAt(d.mean));
+      else doc.lineTo(x, yAt(d.mean));
+    });
+    doc.lineWidth(1).strokeColor(COLORS.mean).stroke();
+  }
+
+  for (const r of data.readings) {
+    doc.circle(xAt(r.timestamp), yAt(r.reading), 2).fill(COLORS[r.status] || COLORS.text);
+  }
+
+  doc.rect(left, top, width, height).lineWidth(0.5).strokeColor(COLORS.rule).stroke();
+  doc.y = top + height + 18;
+
+  doc.fontSize(7).fillColor(COLORS.muted).text(
+    `Shaded: ${bandLow}-${bandHigh} mg/dL target. Dashed: ${CHART_RANGE.veryLow} and ${CHART_RANGE.veryHigh}. Dots: readings (green in target, orange above, red below the patient's targets). Blue line: daily average.`,
+    MARGIN
+  );
+}
+
+// Resolves to the PDF as a Buffer. data: patient, targetsLabel, targetBand
+// [low, high], from, to, days, timeZone; readings [{ timestamp, reading, typeLabel, status }] oldest first;
+// stats, daily, weekly from analytics.js; events [{ timestamp, kind: 'Hypo' |
+// 'Hyper' | 'Symptoms', urgencyLevel, glucoseReading, symptoms }]
+function renderGlucoseReport(data) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: 'Glucose report', Author: 'Gluco Sahayak' } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const fmt = formatters(data.timeZone);
+    const { patient, stats } = data;
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.text).text('Glucose Report');
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted)
+      .text(`${latin(patient.full_name) || 'Patient'} | +${patient.phone} | ${fmt.date(data.from)} - ${fmt.date(data.to)} (${data.days} days)`)
+      .text(`Generated ${fmt.dateTime(new Date())} by Gluco Sahayak from patient-reported readings`);
+
+    sectionTitle(doc, 'Profile');
+    keyValues(doc, [
+      ['Diabetes', `${patient.diabetes_type || 'Unknown'}${patient.duration_years ? `, ${patient.duration_years} years` : ''}`],
+      ['Age / gender', [patient.age, patient.gender].filter(Boolean).join(' / ')],
+      ['Medications', [patient.medication_type, (patient.current_meds || []).join(', ')].filter(Boolean).join(' - ')],
+      ['Comorbidities', (patient.comorbidities || []).join(', ') || 'None recorded'],
+      ['Last HbA1c', patient.last_hba1c ? `${patient.last_hba1c}%` : 'Unknown'],
+      ['Glucose targets', data.targetsLabel]
+    ]);
+
+    sectionTitle(doc, 'Summary');
+    if (stats.count === 0) {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text('No readings in this period.');
+    } else {
+      const tir = stats.timeInRange;
+      keyValues(doc, [
+        ['Readings', `${stats.count} on ${stats.daysWithData} of ${data.days} days (${stats.readingsPerDay}/day)`],
+        ['Average', `${stats.mean} mg/dL (range ${stats.min}-${stats.max})`],
+        ['Variability', stats.cv === null ? 'Not enough readings' : `SD ${stats.sd} mg/dL, CV ${stats.cv}% (${stats.stable ? 'stable' : 'above 36%'})`],
+        ['GMI', stats.gmi === null ? '-' : `${stats.gmi}%${stats.gmiReliable ? '' : ' (under 14 days of data - indicative only)'}`],
+        ['Time in range', `Very low <54: ${tir.veryLow}% | Low <70: ${tir.below}% | 70-180: ${tir.inRange}% | >180: ${tir.above}% | Very high >250: ${tir.veryHigh}%`],
+        ["In patient's targets", `${stats.target.inRange}% (${stats.target.below}% below, ${stats.target.above}% above)`],
+        ['Hypo events', `${stats.hypoEvents.total} (level 1: ${stats.hypoEvents.level1}, level 2 <54: ${stats.hypoEvents.level2})`],
+        ['Fasting / post-meal', `${stats.fasting.count ? `${stats.fasting.mean} mg/dL (${stats.fasting.count})` : '-'} / ${stats.postMeal.count ? `${stats.postMeal.mean} mg/dL (${stats.postMeal.count})` : '-'}`]
+      ]);
+
+      sectionTitle(doc, 'Glucose chart');
+      glucoseChart(doc, data);
+    }
+
+    if (data.weekly.length > 0) {
+      sectionTitle(doc, 'Weekly averages');
+      table(doc, [
+        { header: 'Week of', width: 110 },
+        { header: 'Readings', width: 70, align: 'right' },
+        { header: 'Days', width: 60, align: 'right' },
+        { header: 'Average (mg/dL)', width: 100, align: 'right' },
+        { header: 'In target', width: 80, align: 'right' }
+      ], data.weekly.map(w => [fmt.day(w.weekStart), w.count, w.daysWithData, w.mean, `${w.inTarget}%`].map(String)));
+    }
+
+    if (data.daily.length > 0) {
+      sectionTitle(doc, 'Daily averages');
+      table(doc, [
+        { header: 'Day', width: 110 },
+        { header: 'Readings', width: 70, align: 'right' },
+        { header: 'Average (mg/dL)', width: 100, align: 'right' },
+        { header: 'In target', width: 80, align: 'right' }
+      ], data.daily.map(d => [fmt.day(d.date), d.count, d.mean, `${d.inTarget}%`].map(String)));
+    }
+
+    sectionTitle(doc, 'Hypo / hyper events (triaged)');
+    if (data.events.length === 0) {
+      doc.font('Helvetica').fontSize(9).fillColor(COLORS.text).text('None in this period.');
+    } else {
+      table(doc, [
+        { header: 'When', width: 100 },
+        { header: 'Event', width: 60 },
+        { header: 'Level', width: 80 },
+        { header: 'Glucose', width: 60, align: 'right' },
+        { header: 'Symptoms', width: 215 }
+      ], data.events.map(e => ({
+        cells: [fmt.dateTime(e.timestamp), e.kind, e.urgencyLevel, e.glucoseReading ?? '-', (e.symptoms || []).join(', ')].map(String),
+        color: e.kind === 'Hypo' ? COLORS.low : e.kind === 'Hyper' ? COLORS.high : COLORS.text
+      })));
+    }
+
+    if (data.readings.length > 0) {
+      sectionTitle(doc, 'Reading log');
+      table(doc, [
+        { header: 'When', width: 110 },
+        { header: 'mg/dL', width: 60, align: 'right' },
+        { header: 'Type', width: 150 },
+        { header: 'Status', width: 80 }
+      ], data.readings.map(r => ({
+        cells: [fmt.dateTime(r.timestamp), r.reading, r.typeLabel, r.status.replace('_', ' ')].map(String),
+        color: COLORS[r.status]
+      })));
+    }
+
+    doc.moveDown(1);
+    ensureSpace(doc, 30);
+    doc.font('Helvetica').fontSize(7).fillColor(COLORS.muted).text(
+      'Readings are self-reported over WhatsApp and have not been verified. Time in range is based on fingerstick readings, not CGM. This report supports, and does not replace, clinical judgement.',
+      MARGIN
+    );
+
+    doc.end();
+  });
+}
+
+module.exports = { renderGlucoseReport };
@@ -7,21 +7,35 @@ const gtts = require('gtts');
 const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { computeGlucoseStats, dailySummaries, detectPatterns, weeklySummaries } = require('./analytics');
+const { renderGlucoseReport } = require('./report');
+const { renderGlucoseChart } = require('./chart');
 
 const app = express();
-app.use(express.json());
+
+// Keep the raw body around - webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Enable CORS for local testing with HTML files
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
   next();
 });
 
+// All /admin routes require an API key (see ADMIN AUTH below)
+app.use('/admin', authenticateAdmin);
+
 // ========================================
 // CONFIGURATION
 // ========================================
@@ -30,17 +44,21 @@ const PORT = process.env.PORT || 3000;
 const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
 const WHATSAPP_PHONE_ID = process.env.WHATSAPP_PHONE_ID;
 const VERIFY_TOKEN = process.env.VERIFY_TOKEN;
+const WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET;
 const MONGODB_URI = process.env.MONGODB_URI;
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const PHYSICIAN_PHONE = process.env.PHYSICIAN_PHONE;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
+// Point at tools/whatsapp-simulator.js for offline development
+const GRAPH_API_BASE_URL = (process.env.GRAPH_API_BASE_URL || 'https://graph.facebook.com/v21.0').replace(/\/+$/, '');
+
 // Validate critical environment variables
 if (!WHATSAPP_TOKEN) console.error('❌ WHATSAPP_TOKEN not set');
 if (!WHATSAPP_PHONE_ID) console.error('❌ WHATSAPP_PHONE_ID not set');
 if (!VERIFY_TOKEN) console.error('❌ VERIFY_TOKEN not set');
+if (!WHATSAPP_APP_SECRET) console.error('❌ WHATSAPP_APP_SECRET not set - webhook POSTs will be rejected');
 if (!MONGODB_URI) console.error('❌ MONGODB_URI not set');
-if (!ANTHROPIC_API_KEY) console.warn('⚠️  ANTHROPIC_API_KEY not set - using fallback');
 if (!OPENAI_API_KEY) console.warn('⚠️  OPENAI_API_KEY not set - voice disabled');
 
 const MEDICAL_PDF_FILES = [
@@ -50,9 +68,25 @@ const MEDICAL_PDF_FILES = [
   { fileId: '127OJ05vyE3b7KcFvjTJZWmekHmCAwukA', filename: 'medical_textbook_4.pdf', source: 'Medical_Reference_4' }
 ];
 
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const CLAUDE_MODEL = 'claude-sonnet-4-20250514';
-let isClaudeAvailable = false;
+// LLM backends, tried in this order (comma-separated: claude,deepseek,openai,mock)
+const LLM_PROVIDER_ORDER = (process.env.LLM_PROVIDERS || 'claude')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const CLAUDE_API_URL = process.env.CLAUDE_API_URL || 'https://api.anthropic.com/v1/messages';
+const CLAUDE_MODEL = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
+const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY;
+const DEEPSEEK_API_URL = process.env.DEEPSEEK_API_URL || 'https://api.deepseek.com/v1/chat/completions';
+const DEEPSEEK_MODEL = process.env.DEEPSEEK_MODEL || 'deepseek-chat';
+const OPENAI_CHAT_URL = process.env.OPENAI_CHAT_URL || 'https://api.openai.com/v1/chat/completions';
+const OPENAI_CHAT_MODEL = process.env.OPENAI_CHAT_MODEL || 'gpt-4o-mini';
+// Separate key allows a self-hosted OpenAI-compatible server; defaults to the Whisper key
+const OPENAI_CHAT_API_KEY = process.env.OPENAI_CHAT_API_KEY || OPENAI_API_KEY;
+// Medication schedule times are read in this zone
+const REMINDER_TIMEZONE = process.env.REMINDER_TIMEZONE || 'Asia/Kolkata';
+const WEEKLY_DIGEST_CHART = process.env.WEEKLY_DIGEST_CHART !== 'false';
+const HYPO_RESPONSE_WINDOW_MINUTES = parseInt(process.env.HYPO_RESPONSE_WINDOW_MINUTES) || 15;
 let ragSystemInitialized = false;
 let voiceEnabled = !!OPENAI_API_KEY;
 
@@ -63,6 +97,8 @@ let voiceEnabled = !!OPENAI_API_KEY;
 const patientSchema = new mongoose.Schema({
   phone: { type: String, required: true, unique: true },
   language_pref: { type: String, enum: ['en', 'hi', 'kn'], default: 'en' },
+  // Script of the patient's last message: romanized (hi/kn) or native (hi_pure/kn_pure)
+  script_pref: { type: String, enum: ['en', 'hi', 'hi_pure', 'kn', 'kn_pure'] },
   full_name: String,
   age: Number,
   gender: { type: String, enum: ['Male', 'Female', 'Other'] },
@@ -85,12 +121,36 @@ const patientSchema = new mongoose.Schema({
   medicationSchedule: [{ medicationName: String, time: String, frequency: String }],
   reminderPreferences: {
     glucoseLogging: { type: Boolean, default: true },
-    medication: { type: Boolean, default: true }
+    medication: { type: Boolean, default: true },
+    weeklyDigest: { type: Boolean, default: true }
+  },
+  lastDigestAt: Date,
+  is_test: { type: Boolean, default: false, index: true },
+  is_pregnant: { type: Boolean, default: false },
+  // Clinician-set targets; empty means defaults from TARGET_PROFILES
+  glycemicTargets: {
+    profile: String,
+    ranges: mongoose.Schema.Types.Mixed,
+    notes: String,
+    setBy: String,
+    updatedAt: Date
   }
 });
 
 const Patient = mongoose.model('Patient', patientSchema);
 
+// Admin-managed allowlist of tester phones (see TEST ACCOUNTS)
+const testAccountSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true },
+  label: String,
+  fixture: String,
+  profileOverrides: mongoose.Schema.Types.Mixed,
+  addedBy: String,
+  createdAt: { type: Date, default: Date.now }
+});
+
+const TestAccount = mongoose.model('TestAccount', testAccountSchema);
+
 const onboardingStateSchema = new mongoose.Schema({
   phone: { type: String, required: true, unique: true },
   currentStep: { type: String, default: 'language' },
@@ -100,6 +160,84 @@ const onboardingStateSchema = new mongoose.Schema({
 
 const OnboardingState = mongoose.model('OnboardingState', onboardingStateSchema);
 
+// One row per scheduled dose per day: the unique index stops double sends,
+// and status records whether the patient took it
+const doseEventSchema = new mongoose.Schema({
+  patientPhone: { type: String, required: true },
+  medicationName: { type: String, required: true },
+  time: { type: String, required: true },
+  doseDate: { type: String, required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'taken', 'skipped', 'snoozed', 'missed'],
+    default: 'pending'
+  },
+  reminderOutboundId: mongoose.Schema.Types.ObjectId,
+  lastReminderAt: Date,
+  snoozeUntil: Date,
+  nudgedAt: { type: Date, default: null },
+  respondedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+doseEventSchema.index({ patientPhone: 1, medicationName: 1, time: 1, doseDate: 1 }, { unique: true });
+doseEventSchema.index({ status: 1, snoozeUntil: 1 });
+doseEventSchema.index({ status: 1, lastReminderAt: 1 });
+doseEventSchema.index({ patientPhone: 1, doseDate: -1 });
+
+const DoseEvent = mongoose.model('DoseEvent', doseEventSchema);
+
+// A Yes / No tap after this is ignored, and the pending reading is dropped
+const PENDING_READING_TTL_MINUTES = 30;
+
+// Low-confidence readings waiting for the patient's Yes / No
+const pendingReadingSchema = new mongoose.Schema({
+  patientPhone: { type: String, required: true, index: true },
+  readings: [mongoose.Schema.Types.Mixed],
+  symptoms: [String],
+  notes: String,
+  aiAssessment: String,
+  createdAt: { type: Date, default: Date.now, expires: PENDING_READING_TTL_MINUTES * 60 }
+});
+
+const PendingReading = mongoose.model('PendingReading', pendingReadingSchema);
+
+// One low-sugar episode, from the first reading below 70 to recovery or escalation
+const hypoEpisodeSchema = new mongoose.Schema({
+  patientPhone: { type: String, required: true, index: true },
+  status: { type: String, enum: ['active', 'escalating', 'escalated', 'recovered', 'closed'], default: 'active' },
+  startedAt: { type: Date, required: true },
+  startReading: Number,
+  startReadingId: mongoose.Schema.Types.ObjectId,
+  severe: Boolean,
+  round: { type: Number, default: 1 },
+  treatments: [{ round: Number, at: Date, reading: Number, outboundId: mongoose.Schema.Types.ObjectId }],
+  rechecks: [{ at: Date, reading: Number, readingId: mongoose.Schema.Types.ObjectId }],
+  // When the patient last sent a reading (the start or a recheck)
+  lastReadingAt: Date,
+  nextRecheckAt: Date,
+  recheckPromptedAt: Date,
+  responseDeadline: Date,
+  escalatedAt: Date,
+  escalationReason: { type: String, enum: ['no_response', 'still_low'] },
+  escalations: [{
+    to: String,
+    role: { type: String, enum: ['emergency_contact', 'physician'] },
+    reason: { type: String, enum: ['no_response', 'still_low'] },
+    at: Date,
+    outboundId: mongoose.Schema.Types.ObjectId
+  }],
+  recoveredAt: Date,
+  recoveryMinutes: Number,
+  outcome: { type: String, enum: ['recovered', 'recovered_after_escalation', 'no_response', 'cancelled'] },
+  endedAt: Date,
+  createdAt: { type: Date, default: Date.now }
+});
+
+hypoEpisodeSchema.index({ status: 1, nextRecheckAt: 1 });
+
+const HypoEpisode = mongoose.model('HypoEpisode', hypoEpisodeSchema);
+
 const medicalKnowledgeSchema = new mongoose.Schema({
   source: { type: String, required: true },
   content: { type: String, required: true },
@@ -122,7 +260,8 @@ const triageSchema = new mongoose.Schema({
   glucoseReading: Number,
   aiAssessment: String,
   medicalReferences: [{ source: String, content: String }],
-  physicianAlerted: Boolean
+  physicianAlerted: Boolean,
+  retractedAt: Date
 });
 
 const Triage = mongoose.model('Triage', triageSchema);
@@ -130,16 +269,73 @@ const Triage = mongoose.model('Triage', triageSchema);
 const glucoseReadingSchema = new mongoose.Schema({
   patientPhone: String,
   reading: Number,
-  readingType: { type: String, enum: ['fasting', 'postprandial', 'random'] },
+  readingType: {
+    type: String,
+    enum: ['fasting', 'pre_breakfast', 'pre_lunch', 'pre_dinner', 'post_meal', 'bedtime',
+           'overnight', 'post_exercise', 'random', 'postprandial']  // postprandial: pre-taxonomy rows
+  },
+  meal: { type: String, enum: ['breakfast', 'lunch', 'dinner'] },
   timestamp: { type: Date, default: Date.now },
   symptoms: [String],
   notes: String,
   alertSent: Boolean,
-  triageId: mongoose.Schema.Types.ObjectId
+  alertOutboundId: mongoose.Schema.Types.ObjectId,
+  triageId: mongoose.Schema.Types.ObjectId,
+  // Patient corrections: voided readings stay for the audit trail but are excluded everywhere
+  voided: { type: Boolean, default: false },
+  voidedAt: Date,
+  history: [{
+    action: { type: String, enum: ['undo', 'delete', 'correct'] },
+    previousValue: Number,
+    newValue: Number,
+    retractionOutboundId: mongoose.Schema.Types.ObjectId,
+    at: Date
+  }],
+  createdAt: { type: Date, default: Date.now }
 });
 
 const GlucoseReading = mongoose.model('GlucoseReading', glucoseReadingSchema);
 
+const insulinDoseSchema = new mongoose.Schema({
+  patientPhone: { type: String, required: true },
+  insulinName: String,
+  insulinType: { type: String, enum: ['basal', 'bolus', 'premixed', 'unknown'], default: 'unknown' },
+  units: { type: Number, required: true },
+  timing: String,
+  rawText: String,
+  timestamp: { type: Date, default: Date.now }
+});
+
+insulinDoseSchema.index({ patientPhone: 1, timestamp: -1 });
+
+const InsulinDose = mongoose.model('InsulinDose', insulinDoseSchema);
+
+// Recurring patterns from the nightly job - one row per patient per pattern key
+const glucosePatternSchema = new mongoose.Schema({
+  patientPhone: { type: String, required: true },
+  key: { type: String, required: true },
+  type: {
+    type: String,
+    enum: ['dawn_phenomenon', 'nocturnal_hypo', 'recurring_lows', 'below_target', 'post_meal_spike', 'weekend_effect']
+  },
+  clinical: Boolean,
+  summary: String,
+  details: mongoose.Schema.Types.Mixed,
+  readingIds: [mongoose.Schema.Types.ObjectId],
+  windowDays: Number,
+  firstDetectedAt: { type: Date, default: Date.now },
+  lastDetectedAt: Date,
+  resolvedAt: Date,
+  insightSentAt: Date,
+  insightOutboundId: mongoose.Schema.Types.ObjectId,
+  physicianAlertedAt: Date,
+  physicianOutboundId: mongoose.Schema.Types.ObjectId
+});
+
+glucosePatternSchema.index({ patientPhone: 1, key: 1 }, { unique: true });
+
+const GlucosePattern = mongoose.model('GlucosePattern', glucosePatternSchema);
+
 const conversationSchema = new mongoose.Schema({
   patientPhone: String,
   messages: [{ role: String, content: String, messageType: { type: String, default: 'text' }, timestamp: Date }],
@@ -149,17 +345,99 @@ const conversationSchema = new mongoose.Schema({
 
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
+// Meta retries webhook deliveries for up to 7 days - remember message ids that long
+const INBOUND_MESSAGE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Every inbound message is persisted before we ack the webhook, then handled
+// by the inbound worker. The unique messageId also de-duplicates Meta retries.
+const inboundMessageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  patientPhone: String,
+  message: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: ['pending', 'processing', 'done', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  // First outbound queued while handling this message - past this point a retry would repeat side effects
+  repliedAt: Date,
+  sentAt: Date,
+  startedAt: Date,
+  processedAt: Date,
+  receivedAt: { type: Date, default: Date.now, expires: INBOUND_MESSAGE_TTL_SECONDS }
+});
+
+inboundMessageSchema.index({ status: 1, sentAt: 1, receivedAt: 1 });
+inboundMessageSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const InboundMessage = mongoose.model('InboundMessage', inboundMessageSchema);
+
+// Doubles as the durable send queue: queued → sending → accepted → sent/delivered/read,
+// or "dead" once retries are exhausted (dead-letter)
+const outboundMessageSchema = new mongoose.Schema({
+  wamid: { type: String, index: { unique: true, sparse: true } },
+  to: String,
+  patientPhone: String,
+  purpose: { type: String, enum: ['reminder', 'alert', 'reply', 'campaign'], default: 'reply' },
+  priority: { type: Number, default: 2 },
+  messageType: String,
+  payload: mongoose.Schema.Types.Mixed,
+  fallbackText: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'accepted', 'sent', 'delivered', 'read', 'failed', 'dead'],
+    default: 'queued'
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 6 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  statusHistory: [{ status: String, timestamp: Date, error: String }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+outboundMessageSchema.index({ status: 1, priority: 1, nextAttemptAt: 1 });
+outboundMessageSchema.index({ patientPhone: 1, createdAt: -1 });
+outboundMessageSchema.index({ purpose: 1, createdAt: -1 });
+
+const OutboundMessage = mongoose.model('OutboundMessage', outboundMessageSchema);
+
+const auditLogSchema = new mongoose.Schema({
+  actor: String,
+  role: String,
+  method: String,
+  path: String,
+  targetPhones: [String],
+  statusCode: Number,
+  outcome: String,
+  ip: String,
+  timestamp: { type: Date, default: Date.now }
+});
+
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ targetPhones: 1, timestamp: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
 // ========================================
 // DATABASE CONNECTION
 // ========================================
 
-if (MONGODB_URI) {
-  mongoose.connect(MONGODB_URI).then(async () => {
+async function connectDatabase(uri = MONGODB_URI) {
+  if (!uri) {
+    console.error('❌ Cannot start - MONGODB_URI not set');
+    return;
+  }
+  
+  try {
+    await mongoose.connect(uri);
     console.log('✅ MongoDB connected');
+    await recoverOutboundQueue();
+    await recoverInboundQueue();
     await initializeRAGSystem();
-  }).catch(err => console.error('❌ MongoDB:', err.message));
-} else {
-  console.error('❌ Cannot start - MONGODB_URI not set');
+  } catch (err) {
+    console.error('❌ MongoDB:', err.message);
+  }
 }
 
 async function initializeRAGSystem() {
@@ -189,7 +467,7 @@ async function downloadWhatsAppAudio(mediaId) {
     console.log(`📥 Downloading audio: ${mediaId}`);
     
     const mediaUrlResponse = await axios.get(
-      `https://graph.facebook.com/v18.0/${mediaId}`,
+      `${GRAPH_API_BASE_URL}/${mediaId}`,
       { headers: { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` } }
     );
     
@@ -478,7 +756,7 @@ async function uploadAudioToWhatsApp(filePath) {
     form.append('messaging_product', 'whatsapp');
     
     const response = await axios.post(
-      `https://graph.facebook.com/v18.0/${WHATSAPP_PHONE_ID}/media`,
+      `${GRAPH_API_BASE_URL}/${WHATSAPP_PHONE_ID}/media`,
       form,
       {
         headers: {
@@ -501,40 +779,62 @@ async function uploadAudioToWhatsApp(filePath) {
   }
 }
 
-async function sendVoiceMessage(to, mediaId) {
-  try {
-    await axios.post(
-      `https://graph.facebook.com/v18.0/${WHATSAPP_PHONE_ID}/messages`,
-      {
-        messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: to,
-        type: 'audio',
-        audio: { id: mediaId }
+async function uploadMediaToWhatsApp(buffer, filename, mimeType) {
+  const form = new FormData();
+  form.append('file', buffer, { filename, contentType: mimeType });
+  form.append('type', mimeType);
+  form.append('messaging_product', 'whatsapp');
+  
+  const response = await axios.post(
+    `${GRAPH_API_BASE_URL}/${WHATSAPP_PHONE_ID}/media`,
+    form,
+    {
+      headers: {
+        'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+        ...form.getHeaders()
       },
-      {
-        headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
+      timeout: 30000
+    }
+  );
+  
+  console.log(`✅ ${mimeType} uploaded: ${response.data.id}`);
+  return response.data.id;
+}
+
+async function sendDocumentMessage(to, mediaId, filename, caption, options = {}) {
+  return await enqueueOutbound(to, 'document', { id: mediaId, filename, caption }, {
+    ...options,
+    fallbackText: options.fallbackText || caption
+  });
+}
+
+async function sendImageMessage(to, mediaId, caption, options = {}) {
+  return await enqueueOutbound(to, 'image', { id: mediaId, caption }, {
+    ...options,
+    fallbackText: options.fallbackText || caption
+  });
+}
+
+async function sendVoiceMessage(to, mediaId, options = {}) {
+  try {
+    const outboundId = await enqueueOutbound(to, 'audio', { id: mediaId }, options);
     
-    console.log(`✅ Voice sent to ${to}`);
+    console.log(`✅ Voice queued for ${to}`);
+    return outboundId;
   } catch (error) {
     console.error('❌ Send voice error:', error.message);
     throw new Error('Failed to send voice');
   }
 }
 
-async function sendVoiceResponse(to, text, language = 'en') {
+async function sendVoiceResponse(to, text, language = 'en', options = {}) {
   try {
     console.log(`🎙️  Voice pipeline start`);
     
     const audioFilePath = await speakResponse(text, language);
     const mediaId = await uploadAudioToWhatsApp(audioFilePath);
-    await sendVoiceMessage(to, mediaId);
+    // If the audio send dead-letters, the patient still gets the text
+    await sendVoiceMessage(to, mediaId, { ...options, fallbackText: text });
     
     console.log(`✅ Voice pipeline complete`);
     return true;
@@ -798,10 +1098,83 @@ Nimmadu glucose reading ಅಥವಾ question?`
   }
 };
 
+// ========================================
+// 🔘 INTERACTIVE ONBOARDING OPTIONS
+// ========================================
+// Steps listed here are sent as WhatsApp reply buttons (max 3) or a list.
+// Reply IDs are "<step>:<value>" and map straight to Patient enum values.
+// The numbered text in MESSAGES stays the fallback if interactive fails.
+
+const ONBOARDING_OPTIONS = {
+  language: {
+    type: 'button',
+    options: [
+      { id: 'language:en', title: 'English' },
+      { id: 'language:hi', title: 'हिंदी (Hindi)' },
+      { id: 'language:kn', title: 'ಕನ್ನಡ (Kannada)' }
+    ]
+  },
+  choice: {
+    type: 'button',
+    options: [
+      { id: 'choice:setup', title: { en: 'Setup now ⚙️', hi: 'अभी Setup ⚙️', kn: 'ಈಗ Setup ⚙️' } },
+      { id: 'choice:emergency', title: 'Emergency 🚨' }
+    ]
+  },
+  gender: {
+    type: 'button',
+    options: [
+      { id: 'gender:Male', title: { en: 'Male', hi: 'पुरुष (Male)', kn: 'ಪುರುಷ (Male)' } },
+      { id: 'gender:Female', title: { en: 'Female', hi: 'महिला (Female)', kn: 'ಮಹಿಳೆ (Female)' } }
+    ]
+  },
+  consent: {
+    type: 'button',
+    options: [
+      { id: 'consent:yes', title: { en: 'Yes', hi: 'हां', kn: 'ಹೌದು' } },
+      { id: 'consent:no', title: { en: 'No', hi: 'नहीं', kn: 'ಇಲ್ಲ' } }
+    ]
+  },
+  diabetes_type: {
+    type: 'button',
+    options: [
+      { id: 'diabetes_type:Type 1', title: 'Type 1' },
+      { id: 'diabetes_type:Type 2', title: 'Type 2' },
+      { id: 'diabetes_type:Gestational', title: 'Gestational' }
+    ]
+  },
+  medication_type: {
+    type: 'list',
+    options: [
+      { id: 'medication_type:Insulin', title: 'Insulin' },
+      { id: 'medication_type:Tablets', title: 'Tablets' },
+      { id: 'medication_type:Both', title: { en: 'Both', hi: 'दोनों', kn: 'Both' } },
+      { id: 'medication_type:None', title: { en: 'None', hi: 'कोई नहीं', kn: 'None' } }
+    ]
+  },
+  diet: {
+    type: 'button',
+    options: [
+      { id: 'diet:Veg', title: { en: 'Vegetarian', hi: 'शाकाहारी (Veg)', kn: 'ಶಾಕಾಹಾರಿ (Veg)' } },
+      { id: 'diet:Non-Veg', title: { en: 'Non-Vegetarian', hi: 'मांसाहारी', kn: 'ಮಾಂಸಾಹಾರಿ' } },
+      { id: 'diet:Eggetarian', title: { en: 'Eggetarian', hi: 'अंडा खाते हैं', kn: 'Eggetarian' } }
+    ]
+  }
+};
+
+const LIST_BUTTON_LABEL = { en: 'Choose', hi: 'चुनें', kn: 'ಆಯ್ಕೆಮಾಡಿ' };
+
 // ========================================
 // SIMPLE PARSING FUNCTIONS (NO AI NEEDED)
 // ========================================
 
+function parseReplyId(replyId, step) {
+  // Button/list reply IDs look like "gender:Female"
+  if (!replyId || !replyId.startsWith(`${step}:`)) return null;
+
+  return replyId.slice(step.length + 1);
+}
+
 function parseLanguage(message) {
   const lower = message.toLowerCase().trim();
   
@@ -1160,9 +1533,9 @@ async function updateLanguagePreference(phone, detectedLang, currentLang) {
 // ✅ RELIABLE ONBOARDING HANDLER (FIXED!)
 // ========================================
 
-async function handleOnboarding(phone, message) {
+async function handleOnboarding(phone, message, replyId = null) {
   try {
-    console.log(`🔧 Onboarding: ${phone} → "${message}"`);
+    console.log(`🔧 Onboarding: ${phone} → "${message}"${replyId ? ` [${replyId}]` : ''}`);
     
     let state = await OnboardingState.findOne({ phone });
     
@@ -1176,7 +1549,7 @@ async function handleOnboarding(phone, message) {
       });
       
       // ✅ ALWAYS start new users in ENGLISH - they choose language in step 1
-      return { response: MESSAGES.welcome.en, completed: false };
+      return { response: MESSAGES.welcome.en, completed: false, step: 'language', lang: 'en' };
     }
 
     const lang = state.data.get('language_pref') || 'en';
@@ -1186,7 +1559,7 @@ async function handleOnboarding(phone, message) {
     // STEP-BY-STEP PROCESSING
     switch (state.currentStep) {
       case 'language': {
-        const parsedLang = parseLanguage(message);
+        const parsedLang = parseReplyId(replyId, 'language') || parseLanguage(message);
         if (parsedLang) {
           state.data.set('language_pref', parsedLang);
           nextStep = 'choice';
@@ -1198,12 +1571,12 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'choice': {
-        const choice = message.trim();
-        if (choice === '1') {
+        const choice = parseReplyId(replyId, 'choice') || { '1': 'setup', '2': 'emergency' }[message.trim()];
+        if (choice === 'setup') {
           // User chose SETUP NOW
           nextStep = 'name';
           response = MESSAGES.ask_name[lang];
-        } else if (choice === '2') {
+        } else if (choice === 'emergency') {
           // User chose EMERGENCY - skip setup
           console.log(`🚨 User ${phone} chose EMERGENCY mode`);
           
@@ -1281,7 +1654,7 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'gender': {
-        const parsedGender = parseGender(message);
+        const parsedGender = parseReplyId(replyId, 'gender') || parseGender(message);
         if (parsedGender) {
           state.data.set('gender', parsedGender);
           nextStep = 'emergency_contact';
@@ -1317,7 +1690,8 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'consent': {
-        const parsedConsent = parseConsent(message);
+        const consentReply = parseReplyId(replyId, 'consent');
+        const parsedConsent = consentReply ? consentReply === 'yes' : parseConsent(message);
         if (parsedConsent !== null) {
           state.data.set('consent_given', parsedConsent);
           nextStep = 'diabetes_type';
@@ -1329,7 +1703,7 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'diabetes_type': {
-        const parsedType = parseDiabetesType(message);
+        const parsedType = parseReplyId(replyId, 'diabetes_type') || parseDiabetesType(message);
         if (parsedType) {
           state.data.set('diabetes_type', parsedType);
           nextStep = 'duration';
@@ -1353,7 +1727,7 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'medication_type': {
-        const parsedMedType = parseMedicationType(message);
+        const parsedMedType = parseReplyId(replyId, 'medication_type') || parseMedicationType(message);
         if (parsedMedType) {
           state.data.set('medication_type', parsedMedType);
           
@@ -1381,7 +1755,7 @@ async function handleOnboarding(phone, message) {
       }
       
       case 'diet': {
-        const parsedDiet = parseDiet(message);
+        const parsedDiet = parseReplyId(replyId, 'diet') || parseDiet(message);
         if (parsedDiet) {
           state.data.set('diet_preference', parsedDiet);
           nextStep = 'comorbidities';
@@ -1432,7 +1806,12 @@ async function handleOnboarding(phone, message) {
     
     console.log(`✅ Step: ${state.currentStep} → Response: ${response.length} chars`);
     
-    return { response, completed: false };
+    return {
+      response,
+      completed: false,
+      step: nextStep,
+      lang: state.data.get('language_pref') || 'en'
+    };
   
   } catch (error) {
     console.error('❌ Onboarding error:', error.message);
@@ -1491,6 +1870,38 @@ async function checkOnboardingStatus(phone) {
   return { needsOnboarding: false, patient };
 }
 
+// Send an onboarding prompt as buttons/list when the step has options,
+// falling back to the numbered text prompt if the interactive send fails
+async function sendOnboardingPrompt(to, text, step, lang = 'en') {
+  const config = ONBOARDING_OPTIONS[step];
+  
+  if (config) {
+    try {
+      await sendInteractiveMessage(to, text.split('1️⃣')[0].trim(), config, lang, { fallbackText: text });
+      return;
+    } catch (error) {
+      console.error(`⚠️  Interactive prompt failed (${step}), sending text:`, error.message);
+    }
+  }
+  
+  await sendWhatsAppMessage(to, text);
+}
+
+async function continueOnboarding(phone, text, replyId = null) {
+  const { response, completed, step, lang } = await handleOnboarding(phone, text, replyId);
+  
+  if (response && response.length > 0) {
+    await sendOnboardingPrompt(phone, response, step, lang);
+  } else {
+    console.error('❌ Empty onboarding response!');
+    await sendWhatsAppMessage(phone, "Error. Type 'start' to restart.");
+  }
+  
+  if (completed) {
+    console.log(`✅ ${phone} onboarding complete!`);
+  }
+}
+
 // ========================================
 // PDF PROCESSING (RAG SYSTEM)
 // ========================================
@@ -1599,7 +2010,7 @@ async function processPDFFile(filePath, source) {
   }
 }
 
-app.post('/admin/process-pdfs', async (req, res) => {
+app.post('/admin/process-pdfs', requireRole('operator'), async (req, res) => {
   res.json({ 
     status: 'started',
     message: 'Processing medical textbooks',
@@ -1632,7 +2043,7 @@ async function processAllPDFs() {
   console.log(`\n✅ COMPLETE! ${totalChunks} total chunks\n`);
 }
 
-app.get('/admin/rag-status', async (req, res) => {
+app.get('/admin/rag-status', requireRole('operator'), async (req, res) => {
   const totalChunks = await MedicalKnowledge.countDocuments();
   const bySource = await MedicalKnowledge.aggregate([
     { $group: { _id: '$source', count: { $sum: 1 } } }
@@ -1673,20 +2084,69 @@ async function retrieveMedicalKnowledge(query, topK = 5) {
 // TRIAGE SYSTEM
 // ========================================
 
-function assessUrgency(glucose, symptoms = []) {
-  if (glucose < 54 || glucose > 400) return 'EMERGENCY';
-  if (symptoms.some(s => ['unconscious', 'confusion', 'seizure'].includes(s.toLowerCase()))) {
-    return 'EMERGENCY';
+// Target and alert ranges (mg/dL) per reading type. "target" is where we want
+// the patient; outside "urgent" the physician is alerted. Below 54 or above 400
+// is an emergency for every type.
+const READING_TYPES = {
+  fasting:       { label: 'Fasting',             target: [80, 130], urgent: [70, 250] },
+  pre_breakfast: { label: 'Before breakfast',    target: [80, 130], urgent: [70, 250] },
+  pre_lunch:     { label: 'Before lunch',        target: [80, 130], urgent: [70, 250] },
+  pre_dinner:    { label: 'Before dinner',       target: [80, 130], urgent: [70, 250] },
+  post_meal:     { label: '2-hr after meal',     target: [70, 180], urgent: [70, 300] },
+  bedtime:       { label: 'Bedtime',             target: [90, 150], urgent: [70, 250] },
+  overnight:     { label: 'Overnight (~3 AM)',   target: [80, 140], urgent: [70, 250] },
+  post_exercise: { label: 'After exercise',      target: [90, 180], urgent: [70, 250] },
+  random:        { label: 'Random',              target: [70, 180], urgent: [70, 250] }
+};
+
+// Readings stored before the richer taxonomy
+const LEGACY_READING_TYPES = { postprandial: 'post_meal' };
+
+const EMERGENCY_RANGE = [54, 400];
+const EMERGENCY_SYMPTOMS = ['unconscious', 'confusion', 'seizure'];
+
+function readingTypeInfo(readingType) {
+  return READING_TYPES[LEGACY_READING_TYPES[readingType] || readingType] || READING_TYPES.random;
+}
+
+// Single source of truth for urgency - triage records, physician alerts and
+// advice all go through here so they can't disagree about the same reading.
+// `targets` is the patient's resolveGlycemicTargets(); omitted = standard ranges.
+function classifyReading(glucose, readingType = 'random', symptoms = [], targets = null) {
+  const type = LEGACY_READING_TYPES[readingType] || readingType;
+  const info = targets?.types[type] || readingTypeInfo(readingType);
+  const [targetLow, targetHigh] = info.target;
+  const [urgentLow, urgentHigh] = info.urgent;
+  
+  const status = glucose < targetLow ? 'low' : glucose > targetHigh ? 'high' : 'in_range';
+  
+  let urgency = 'MONITORING';
+  if (glucose < EMERGENCY_RANGE[0] || glucose > EMERGENCY_RANGE[1] ||
+      symptoms.some(s => EMERGENCY_SYMPTOMS.includes(s.toLowerCase()))) {
+    urgency = 'EMERGENCY';
+  } else if (glucose < urgentLow || glucose > urgentHigh) {
+    urgency = 'URGENT';
+  } else if (status !== 'in_range') {
+    urgency = 'ROUTINE';
   }
-  if (glucose < 70 || glucose > 250) return 'URGENT';
-  if (glucose > 180 || glucose < 80) return 'ROUTINE';
-  return 'MONITORING';
+  
+  return { urgency, status, label: info.label, target: info.target };
+}
+
+function assessUrgency(glucose, symptoms = [], readingType = 'random', targets = null) {
+  return classifyReading(glucose, readingType, symptoms, targets).urgency;
+}
+
+// "190 mg/dL (2-hr after meal, target 70-180)"
+function describeReading(glucose, readingType, targets = null) {
+  const { label, target } = classifyReading(glucose, readingType, [], targets);
+  return `${glucose} mg/dL (${label}, target ${target[0]}-${target[1]})`;
 }
 
-async function createTriageRecord(phone, glucose, symptoms, aiAssessment, medicalRefs) {
-  const urgency = assessUrgency(glucose, symptoms);
+async function createTriageRecord(phone, glucose, symptoms, aiAssessment, medicalRefs, { readingType = 'random', targets = null } = {}) {
+  const urgency = assessUrgency(glucose, symptoms, readingType, targets);
   
-  await Triage.create({
+  const triage = await Triage.create({
     patientPhone: phone,
     urgencyLevel: urgency,
     symptoms,
@@ -1697,212 +2157,619 @@ async function createTriageRecord(phone, glucose, symptoms, aiAssessment, medica
   });
   
   console.log(`🏥 Triage: ${urgency}`);
-  return urgency;
+  return triage;
 }
 
 // ========================================
-// CLAUDE AI + RAG (FOR MEDICAL QUERIES)
+// 🎯 PATIENT-SPECIFIC GLYCEMIC TARGETS
 // ========================================
-
-async function initializeClaude() {
-  if (!ANTHROPIC_API_KEY) return false;
-  
-  try {
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: CLAUDE_MODEL,
-      max_tokens: 50,
-      messages: [{ role: 'user', content: 'Hi' }]
-    }, {
-      headers: {
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      timeout: 10000
-    });
-    
-    if (response.data?.content?.[0]?.text) {
-      isClaudeAvailable = true;
-      console.log('✅ Claude Sonnet 4 ready');
-      return true;
+// Defaults come from a profile picked from diabetes_type, age and pregnancy.
+// A clinician can override single types through PUT /admin/patients/:phone/targets.
+// Whatever resolveGlycemicTargets returns is used by triage, physician alerts,
+// fallback replies, trend summaries and the LLM prompt.
+
+// Per-type overrides on top of READING_TYPES; types not listed keep the standard ranges
+const TARGET_PROFILES = {
+  standard: { label: 'Standard adult', types: {} },
+  older_adult: {
+    label: 'Older adult (relaxed, avoid hypos)',
+    types: {
+      fasting:       { target: [90, 150], urgent: [70, 300] },
+      pre_breakfast: { target: [90, 150], urgent: [70, 300] },
+      pre_lunch:     { target: [90, 150], urgent: [70, 300] },
+      pre_dinner:    { target: [90, 150], urgent: [70, 300] },
+      post_meal:     { target: [90, 200], urgent: [70, 300] },
+      bedtime:       { target: [100, 180], urgent: [70, 300] },
+      overnight:     { target: [90, 160], urgent: [70, 300] },
+      post_exercise: { target: [100, 200], urgent: [70, 300] },
+      random:        { target: [90, 200], urgent: [70, 300] }
+    }
+  },
+  pregnancy: {
+    label: 'Pregnancy / gestational (tight)',
+    types: {
+      fasting:       { target: [70, 95], urgent: [60, 200] },
+      pre_breakfast: { target: [70, 95], urgent: [60, 200] },
+      pre_lunch:     { target: [70, 95], urgent: [60, 200] },
+      pre_dinner:    { target: [70, 95], urgent: [60, 200] },
+      post_meal:     { target: [70, 120], urgent: [60, 200] },
+      bedtime:       { target: [70, 120], urgent: [60, 200] },
+      overnight:     { target: [70, 95], urgent: [60, 200] },
+      post_exercise: { target: [70, 120], urgent: [60, 200] },
+      random:        { target: [70, 140], urgent: [60, 200] }
+    }
+  },
+  pediatric_type1: {
+    label: 'Child/teen with Type 1',
+    types: {
+      fasting:       { target: [90, 145], urgent: [70, 250] },
+      pre_breakfast: { target: [90, 145], urgent: [70, 250] },
+      pre_lunch:     { target: [90, 145], urgent: [70, 250] },
+      pre_dinner:    { target: [90, 145], urgent: [70, 250] },
+      post_meal:     { target: [90, 180], urgent: [70, 250] },
+      bedtime:       { target: [100, 180], urgent: [80, 250] },
+      overnight:     { target: [90, 150], urgent: [80, 250] },
+      post_exercise: { target: [100, 180], urgent: [80, 250] },
+      random:        { target: [90, 180], urgent: [70, 250] }
     }
-  } catch (error) {
-    console.error('❌ Claude init failed');
   }
-  return false;
+};
+
+function defaultTargetProfile(patient) {
+  if (patient?.diabetes_type === 'Gestational' || patient?.is_pregnant) return 'pregnancy';
+  if (patient?.diabetes_type === 'Type 1' && patient?.age && patient.age < 18) return 'pediatric_type1';
+  if (patient?.age >= 65) return 'older_adult';
+  return 'standard';
 }
 
-initializeClaude();
+// → { profile, label, source, types: { fasting: { label, target, urgent }, ... } }
+function resolveGlycemicTargets(patient) {
+  const custom = patient?.glycemicTargets || {};
+  const profile = TARGET_PROFILES[custom.profile] ? custom.profile : defaultTargetProfile(patient);
+  const overrides = custom.ranges || {};
+  
+  const types = {};
+  for (const [type, base] of Object.entries(READING_TYPES)) {
+    types[type] = {
+      ...base,
+      ...(TARGET_PROFILES[profile].types[type] || {}),
+      ...(overrides[type] || {})
+    };
+  }
+  
+  return {
+    profile,
+    label: TARGET_PROFILES[profile].label,
+    source: custom.profile || Object.keys(overrides).length > 0 ? 'clinician' : 'default',
+    types
+  };
+}
 
-const THRESHOLDS = {
-  fasting: { critical_low: 70, critical_high: 250 },
-  postprandial: { critical_low: 70, critical_high: 300 },
-  random: { critical_low: 70, critical_high: 250 }
-};
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
 
-async function sendWhatsAppMessage(to, message) {
-  try {
-    if (!message || typeof message !== 'string' || message.trim().length === 0) {
-      console.error('❌ Empty message - bug detected!');
-      return;
+// Checks a { type: { target: [lo, hi], urgent: [lo, hi] } } override body; returns an error string or null.
+// The target band must sit inside the urgent band, with a missing half taken from the profile.
+function validateTargetRanges(ranges, profile = 'standard') {
+  if (ranges == null) return null;
+  if (!isPlainObject(ranges)) return 'ranges must be an object keyed by reading type';
+  
+  for (const [type, range] of Object.entries(ranges)) {
+    if (!READING_TYPES[type]) return `Unknown reading type "${type}"`;
+    if (!isPlainObject(range)) return `${type} must be an object with target and/or urgent`;
+    
+    for (const key of ['target', 'urgent']) {
+      if (range[key] === undefined) continue;
+      const pair = range[key];
+      if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(Number.isFinite) || pair[0] >= pair[1]) {
+        return `${type}.${key} must be [low, high] numbers with low < high`;
+      }
+      if (pair[0] < EMERGENCY_RANGE[0] || pair[1] > EMERGENCY_RANGE[1]) {
+        return `${type}.${key} must stay within ${EMERGENCY_RANGE[0]}-${EMERGENCY_RANGE[1]} mg/dL`;
+      }
     }
     
-    if (message.length > 4096) {
-      console.warn(`⚠️  Truncating message (${message.length} chars)`);
-      message = message.substring(0, 4090) + '...';
-    }
+    const extra = Object.keys(range).filter(k => !['target', 'urgent'].includes(k));
+    if (extra.length > 0) return `${type}: unexpected field(s) ${extra.join(', ')}`;
     
-    await axios.post(`https://graph.facebook.com/v18.0/${WHATSAPP_PHONE_ID}/messages`, {
-      messaging_product: 'whatsapp',
-      to,
-      type: 'text',
-      text: { body: message }
-    }, { 
-      headers: { 
-        'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000
-    });
-    console.log(`✅ Sent to ${to}`);
-  } catch (e) {
-    console.error('❌ Send failed:', e.message);
+    const { target, urgent } = { ...READING_TYPES[type], ...(TARGET_PROFILES[profile].types[type] || {}), ...range };
+    if (urgent[0] > target[0] || target[1] > urgent[1]) {
+      return `${type}.target ${target[0]}-${target[1]} must lie within ${type}.urgent ${urgent[0]}-${urgent[1]} mg/dL`;
+    }
   }
+  return null;
+}
+
+// "Fasting 90-150, 2-hr after meal 90-200, ..." for the LLM prompt
+function formatTargetsForPrompt(targets) {
+  const shown = ['fasting', 'pre_lunch', 'post_meal', 'bedtime'];
+  return `${targets.label}: ` + shown
+    .map(type => `${targets.types[type].label} ${targets.types[type].target[0]}-${targets.types[type].target[1]}`)
+    .join(', ') + ' mg/dL';
 }
 
 // ========================================
-// 📤 TEMPLATE MESSAGE SENDING
+// 🤖 LLM PROVIDERS (CLAUDE / DEEPSEEK / OPENAI / MOCK)
 // ========================================
-// Use this to initiate conversations with new users
-// or send messages outside 24-hour window
-
-async function sendTemplateMessage(toPhone, templateName, languageCode = 'en', parameters = []) {
-  try {
-    console.log(`📤 Sending template "${templateName}" to ${toPhone}...`);
-    console.log(`📋 Parameters:`, parameters.length > 0 ? parameters : 'None');
-    
-    const payload = {
-      messaging_product: 'whatsapp',
-      to: toPhone,
-      type: 'template',
-      template: {
-        name: templateName,
-        language: {
-          code: languageCode // e.g., 'en', 'hi', 'en_US'
+// Every backend implements chat({ system, messages, maxTokens, timeout }) → text.
+// llmChat() tries them in LLM_PROVIDERS order and fails over to the next one;
+// only when all fail do callers drop to fallbackResponse.
+
+function createClaudeProvider() {
+  return {
+    name: 'claude',
+    configured: !!ANTHROPIC_API_KEY,
+    async chat({ system, messages, maxTokens, timeout }) {
+      const response = await axios.post(CLAUDE_API_URL, {
+        model: CLAUDE_MODEL,
+        max_tokens: maxTokens,
+        ...(system ? { system } : {}),
+        messages
+      }, {
+        headers: {
+          'x-api-key': ANTHROPIC_API_KEY,
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json'
         },
-        components: parameters.length > 0 ? [
-          {
-            type: 'body',
-            parameters: parameters.map(param => ({
-              type: 'text',
-              text: param
-            }))
-          }
-        ] : []
-      }
-    };
-    
-    console.log(`📤 Payload:`, JSON.stringify(payload, null, 2));
+        timeout
+      });
+      
+      return response.data?.content?.[0]?.text;
+    }
+  };
+}
 
-    const response = await axios.post(
-      `https://graph.facebook.com/v21.0/${WHATSAPP_PHONE_ID}/messages`,
-      payload,
-      {
+// DeepSeek, OpenAI and self-hosted servers all speak /chat/completions
+function createOpenAICompatibleProvider(name, { url, apiKey, model }) {
+  return {
+    name,
+    configured: !!apiKey,
+    async chat({ system, messages, maxTokens, timeout }) {
+      const response = await axios.post(url, {
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          ...messages
+        ]
+      }, {
         headers: {
-          'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+          'Authorization': `Bearer ${apiKey}`,
           'Content-Type': 'application/json'
         },
-        timeout: 10000
-      }
-    );
+        timeout
+      });
+      
+      return response.data?.choices?.[0]?.message?.content;
+    }
+  };
+}
 
-    console.log(`✅ Template sent to ${toPhone}:`, response.data.messages?.[0]?.id);
-    return response.data;
-    
-  } catch (error) {
-    console.error('❌ Template send error:', error.response?.data || error.message);
-    console.error('❌ Full error:', JSON.stringify(error.response?.data, null, 2));
-    throw error;
-  }
+// Deterministic offline backend for local development
+function createMockProvider() {
+  return {
+    name: 'mock',
+    configured: true,
+    async chat({ messages }) {
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      return `[mock-llm] ${lastUser?.content || ''}`;
+    }
+  };
 }
 
-// Send template to multiple users (campaign)
-async function sendCampaignToMultipleUsers(userList, templateName, languageCode = 'en') {
-  const results = [];
+const LLM_PROVIDERS = {
+  claude: createClaudeProvider(),
+  deepseek: createOpenAICompatibleProvider('deepseek', {
+    url: DEEPSEEK_API_URL,
+    apiKey: DEEPSEEK_API_KEY,
+    model: DEEPSEEK_MODEL
+  }),
+  openai: createOpenAICompatibleProvider('openai', {
+    url: OPENAI_CHAT_URL,
+    apiKey: OPENAI_CHAT_API_KEY,
+    model: OPENAI_CHAT_MODEL
+  }),
+  mock: createMockProvider()
+};
+
+const llmProviderStatus = {};
+
+function activeLLMProviders() {
+  return LLM_PROVIDER_ORDER
+    .map(name => LLM_PROVIDERS[name])
+    .filter(provider => provider && provider.configured);
+}
+
+async function initializeLLMProviders() {
+  LLM_PROVIDER_ORDER
+    .filter(name => !LLM_PROVIDERS[name])
+    .forEach(name => console.warn(`⚠️  Unknown LLM provider "${name}" - ignored`));
   
-  console.log(`🚀 Starting campaign: ${userList.length} users`);
+  const providers = activeLLMProviders();
+  if (providers.length === 0) {
+    console.warn('⚠️  No LLM provider configured - using fallback');
+    return;
+  }
   
-  for (const user of userList) {
+  for (const provider of providers) {
     try {
-      // Prepare parameters if user has name
-      const parameters = user.name ? [user.name] : [];
-      
-      await sendTemplateMessage(
-        user.phone,
-        templateName,
-        languageCode,
-        parameters
-      );
-      
-      results.push({ 
-        phone: user.phone, 
-        success: true,
-        timestamp: new Date()
+      const text = await provider.chat({
+        messages: [{ role: 'user', content: 'Hi' }],
+        maxTokens: 50,
+        timeout: 10000
       });
       
-      // Rate limiting - 1 second between messages
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
+      llmProviderStatus[provider.name] = { available: !!text, checkedAt: new Date() };
+      console.log(`${text ? '✅' : '⚠️ '} LLM ${provider.name} ${text ? 'ready' : 'returned empty reply'}`);
     } catch (error) {
-      results.push({ 
-        phone: user.phone, 
-        success: false, 
-        error: error.message,
-        timestamp: new Date()
-      });
+      llmProviderStatus[provider.name] = { available: false, lastError: error.message, checkedAt: new Date() };
+      console.error(`❌ LLM ${provider.name} init failed`);
     }
   }
-  
-  const successCount = results.filter(r => r.success).length;
-  console.log(`✅ Campaign complete: ${successCount}/${userList.length} sent`);
-  
-  return results;
 }
 
-function fallbackResponse(msg) {
-  const lower = msg.toLowerCase().trim();
-  const num = msg.match(/(\d{2,3})/);
-  const glucose = num ? parseInt(num[1]) : null;
-  
-  if (lower === 'hi' || lower === 'hello' || lower === 'hey' || lower === 'नमस्ते' || lower === 'ನಮಸ್ಕಾರ') {
-    return `Namaste! 👋 Send your sugar reading or ask me anything.`;
-  }
-  
-  if (glucose && glucose >= 40 && glucose <= 500) {
-    let r = `${glucose} mg/dL - `;
-    
-    if (glucose < 54) r += `🚨 Very LOW! Eat something sweet NOW!`;
-    else if (glucose < 70) r += `⚠️ Low. Eat 3 biscuits now.`;
-    else if (glucose <= 100) r += `✅ Perfect!`;
-    else if (glucose <= 140) r += `👍 Good!`;
-    else if (glucose <= 180) r += `⚠️ High. Walk 10 mins.`;
-    else if (glucose <= 250) r += `🚨 Very high! Walk & drink water.`;
-    else if (glucose <= 400) r += `🚨🚨 Call doctor NOW!`;
-    else r += `🚨🚨🚨 Go to hospital!`;
-    
-    return r;
+async function llmChat({ system, messages, maxTokens = 200, timeout = 20000 }) {
+  for (const provider of activeLLMProviders()) {
+    try {
+      const text = await provider.chat({ system, messages, maxTokens, timeout });
+      if (!text || text.trim().length === 0) throw new Error('Empty response');
+      
+      llmProviderStatus[provider.name] = { available: true, lastUsed: new Date() };
+      return { text, provider: provider.name };
+    } catch (error) {
+      llmProviderStatus[provider.name] = { available: false, lastError: error.message, failedAt: new Date() };
+      console.error(`❌ LLM ${provider.name} error:`, error.message);
+    }
   }
   
-  return `Send your sugar reading 📊 or ask questions about diet, medicine, etc.`;
+  return null;
 }
 
-async function analyzeWithClaudeRAG(phone, msg, patient) {
-  if (!isClaudeAvailable) {
-    console.log('⚠️  Using fallback (Claude unavailable)');
-    return fallbackResponse(msg);
-  }
-  
-  try {
+// ========================================
+// 📬 OUTBOUND SEND QUEUE + DELIVERY TRACKING
+// ========================================
+// Every send is persisted as an OutboundMessage and delivered by a worker
+// loop with retries and backoff, so a Graph API timeout/5xx/429 never drops
+// a hypo advice message or physician alert. Lowest priority number goes first.
+// Once accepted, status webhooks (sent/delivered/read/failed) are matched by wamid.
+
+const OUTBOUND_PRIORITY = { emergency: 0, alert: 1, reply: 2, reminder: 3, campaign: 4 };
+
+const OUTBOUND_QUEUE = {
+  pollMs: 1000,
+  maxAttempts: 6,
+  baseDelayMs: 5000,       // 5s, 10s, 20s, 40s... capped below
+  maxDelayMs: 30 * 60 * 1000,
+  campaignSpacingMs: 1000  // Keep bulk template sends at ~1/sec
+};
+
+// Graph API error codes that mean "slow down" even without an HTTP 429
+const RATE_LIMIT_ERROR_CODES = [4, 80007, 130429, 131056];
+
+const DELIVERY_STATUS_RANK = { queued: -2, sending: -1, dead: -1, accepted: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+let outboundWorkerRunning = false;
+let outboundPausedUntil = 0;
+
+async function enqueueOutbound(to, messageType, payload, options = {}) {
+  const purpose = options.purpose || 'reply';
+  
+  const outbound = await OutboundMessage.create({
+    to,
+    patientPhone: options.patientPhone || to,
+    purpose,
+    priority: options.priority ?? OUTBOUND_PRIORITY[purpose] ?? OUTBOUND_PRIORITY.reply,
+    messageType,
+    payload,
+    fallbackText: options.fallbackText,
+    maxAttempts: options.maxAttempts || OUTBOUND_QUEUE.maxAttempts,
+    statusHistory: [{ status: 'queued', timestamp: new Date() }]
+  });
+  
+  await markInboundJobReplied();
+  setImmediate(processOutboundQueue);
+  
+  return outbound._id.toString();
+}
+
+function outboundRetryDelay(error, attempts) {
+  const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+  if (retryAfter > 0) return retryAfter * 1000;
+  
+  const backoff = OUTBOUND_QUEUE.baseDelayMs * Math.pow(2, attempts - 1);
+  const jitter = Math.random() * 1000;
+  return Math.min(backoff + jitter, OUTBOUND_QUEUE.maxDelayMs);
+}
+
+async function attemptOutboundSend(job) {
+  job.attempts += 1;
+  
+  try {
+    const response = await axios.post(`${GRAPH_API_BASE_URL}/${WHATSAPP_PHONE_ID}/messages`, {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: job.to,
+      type: job.messageType,
+      [job.messageType]: job.payload
+    }, {
+      headers: {
+        'Authorization': `Bearer ${WHATSAPP_TOKEN}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    });
+    
+    job.wamid = response.data?.messages?.[0]?.id;
+    job.status = 'accepted';
+    job.lastError = undefined;
+    job.statusHistory.push({ status: 'accepted', timestamp: new Date() });
+    await job.save();
+    
+    console.log(`✅ Sent ${job.messageType} (${job.purpose}) to ${job.to}`);
+  } catch (error) {
+    const httpStatus = error.response?.status;
+    const errorCode = error.response?.data?.error?.code;
+    const rateLimited = httpStatus === 429 || RATE_LIMIT_ERROR_CODES.includes(errorCode);
+    const retryable = !httpStatus || httpStatus >= 500 || rateLimited;
+    const delay = outboundRetryDelay(error, job.attempts);
+    
+    job.lastError = error.response?.data?.error?.message || error.message;
+    console.error(`❌ Send failed (${job.purpose}, attempt ${job.attempts}/${job.maxAttempts}):`, job.lastError);
+    
+    if (rateLimited) {
+      // The limit applies to our whole phone number - hold every send, not just this one
+      outboundPausedUntil = Date.now() + delay;
+      console.warn(`⏸️  Rate limited - pausing outbound queue for ${Math.round(delay / 1000)}s`);
+    }
+    
+    if (retryable && job.attempts < job.maxAttempts) {
+      job.status = 'queued';
+      job.nextAttemptAt = new Date(Date.now() + delay);
+      await job.save();
+      return;
+    }
+    
+    job.status = 'dead';
+    job.statusHistory.push({ status: 'dead', timestamp: new Date(), error: job.lastError });
+    await job.save();
+    
+    console.error(`☠️  Dead-lettered ${job.purpose} ${job.messageType} to ${job.to}`);
+    
+    // Interactive/voice messages degrade to plain text rather than nothing
+    if (job.fallbackText) {
+      await enqueueOutbound(job.to, 'text', { body: job.fallbackText }, {
+        purpose: job.purpose,
+        patientPhone: job.patientPhone,
+        priority: job.priority
+      });
+    }
+  }
+}
+
+async function processOutboundQueue() {
+  if (outboundWorkerRunning || mongoose.connection.readyState !== 1) return;
+  outboundWorkerRunning = true;
+  
+  try {
+    while (Date.now() >= outboundPausedUntil) {
+      const job = await OutboundMessage.findOneAndUpdate(
+        { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+        { status: 'sending', lockedAt: new Date() },
+        { sort: { priority: 1, nextAttemptAt: 1 }, new: true }
+      );
+      
+      if (!job) break;
+      
+      await attemptOutboundSend(job);
+      
+      if (job.purpose === 'campaign') {
+        await new Promise(resolve => setTimeout(resolve, OUTBOUND_QUEUE.campaignSpacingMs));
+      }
+    }
+  } catch (error) {
+    console.error('❌ Outbound queue error:', error.message);
+  } finally {
+    outboundWorkerRunning = false;
+  }
+}
+
+// A crash mid-send leaves jobs in "sending" - put them back in line
+async function recoverOutboundQueue() {
+  const result = await OutboundMessage.updateMany({ status: 'sending' }, { status: 'queued' });
+  if (result.modifiedCount > 0) {
+    console.log(`♻️  Re-queued ${result.modifiedCount} interrupted outbound messages`);
+  }
+}
+
+async function recordDeliveryStatus(statusUpdate) {
+  const outbound = await OutboundMessage.findOne({ wamid: statusUpdate.id });
+  if (!outbound) return;
+  
+  // Meta retries status callbacks too - ignore ones we already have
+  if (outbound.statusHistory.some(h => h.status === statusUpdate.status)) return;
+  
+  const error = statusUpdate.errors?.[0];
+  outbound.statusHistory.push({
+    status: statusUpdate.status,
+    timestamp: statusUpdate.timestamp ? new Date(parseInt(statusUpdate.timestamp) * 1000) : new Date(),
+    error: error ? `${error.code}: ${error.title}` : undefined
+  });
+  
+  // Callbacks can arrive out of order - never move back from read to delivered
+  if ((DELIVERY_STATUS_RANK[statusUpdate.status] ?? -1) > DELIVERY_STATUS_RANK[outbound.status]) {
+    outbound.status = statusUpdate.status;
+  }
+  
+  await outbound.save();
+  
+  if (statusUpdate.status === 'failed') {
+    console.error(`❌ Delivery failed (${outbound.purpose}) to ${outbound.to}: ${error?.title || 'unknown'}`);
+  }
+}
+
+async function sendWhatsAppMessage(to, message, options = {}) {
+  try {
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      console.error('❌ Empty message - bug detected!');
+      return null;
+    }
+    
+    if (message.length > 4096) {
+      console.warn(`⚠️  Truncating message (${message.length} chars)`);
+      message = message.substring(0, 4090) + '...';
+    }
+    
+    return await enqueueOutbound(to, 'text', { body: message }, options);
+  } catch (e) {
+    console.error('❌ Send failed:', e.message);
+    return null;
+  }
+}
+
+// Reply buttons (up to 3 options) or a single-section list message
+async function sendInteractiveMessage(to, bodyText, config, lang = 'en', options = {}) {
+  const titleFor = (option) => typeof option.title === 'string'
+    ? option.title
+    : (option.title[lang] || option.title[lang.replace('_pure', '')] || option.title.en);
+  const listLabel = LIST_BUTTON_LABEL[lang.replace('_pure', '')] || LIST_BUTTON_LABEL.en;
+  
+  const interactive = config.type === 'list'
+    ? {
+        type: 'list',
+        body: { text: bodyText.substring(0, 1024) },
+        action: {
+          button: listLabel,
+          sections: [{
+            title: listLabel.substring(0, 24),
+            rows: config.options.map(o => ({ id: o.id, title: titleFor(o).substring(0, 24) }))
+          }]
+        }
+      }
+    : {
+        type: 'button',
+        body: { text: bodyText.substring(0, 1024) },
+        action: {
+          buttons: config.options.slice(0, 3).map(o => ({
+            type: 'reply',
+            reply: { id: o.id, title: titleFor(o).substring(0, 20) }
+          }))
+        }
+      };
+  
+  return await enqueueOutbound(to, 'interactive', interactive, options);
+}
+
+// ========================================
+// 📤 TEMPLATE MESSAGE SENDING
+// ========================================
+// Use this to initiate conversations with new users
+// or send messages outside 24-hour window
+
+async function sendTemplateMessage(toPhone, templateName, languageCode = 'en', parameters = [], options = { purpose: 'campaign' }) {
+  console.log(`📤 Queueing template "${templateName}" to ${toPhone}...`);
+  console.log(`📋 Parameters:`, parameters.length > 0 ? parameters : 'None');
+  
+  const template = {
+    name: templateName,
+    language: {
+      code: languageCode // e.g., 'en', 'hi', 'en_US'
+    },
+    components: parameters.length > 0 ? [
+      {
+        type: 'body',
+        parameters: parameters.map(param => ({
+          type: 'text',
+          text: param
+        }))
+      }
+    ] : []
+  };
+  
+  return await enqueueOutbound(toPhone, 'template', template, options);
+}
+
+// Send template to multiple users (campaign)
+// The queue paces campaign sends and lets alerts/replies jump ahead
+async function sendCampaignToMultipleUsers(userList, templateName, languageCode = 'en') {
+  const results = [];
+  
+  console.log(`🚀 Starting campaign: ${userList.length} users`);
+  
+  const testPhones = new Set((await TestAccount.find({}, { phone: 1 })).map(a => a.phone));
+  
+  for (const user of userList) {
+    if (testPhones.has(normalizePhone(user.phone))) {
+      results.push({ phone: user.phone, success: false, skipped: 'test_account', timestamp: new Date() });
+      continue;
+    }
+    
+    try {
+      // Prepare parameters if user has name
+      const parameters = user.name ? [user.name] : [];
+      
+      const outboundId = await sendTemplateMessage(
+        user.phone,
+        templateName,
+        languageCode,
+        parameters
+      );
+      
+      results.push({ 
+        phone: user.phone, 
+        success: true,
+        outboundId,
+        timestamp: new Date()
+      });
+      
+    } catch (error) {
+      results.push({ 
+        phone: user.phone, 
+        success: false, 
+        error: error.message,
+        timestamp: new Date()
+      });
+    }
+  }
+  
+  const successCount = results.filter(r => r.success).length;
+  console.log(`✅ Campaign queued: ${successCount}/${userList.length} messages`);
+  
+  return results;
+}
+
+function fallbackResponse(msg, patient = null) {
+  const lower = msg.toLowerCase().trim();
+  // Unsure numbers get no verdict - they may not be sugar at all
+  const data = extractGlucose(msg);
+  const sure = data.readings.find(r => r.confidence === 'high');
+  
+  if (lower === 'hi' || lower === 'hello' || lower === 'hey' || lower === 'नमस्ते' || lower === 'ನಮಸ್ಕಾರ') {
+    return `Namaste! 👋 Send your sugar reading or ask me anything.`;
+  }
+  
+  if (sure) {
+    const targets = patient ? resolveGlycemicTargets(patient) : null;
+    const { urgency, status, label } = classifyReading(sure.reading, sure.readingType, data.symptoms, targets);
+    const low = status === 'low';
+    let r = `${sure.reading} mg/dL (${label}) - `;
+    
+    if (urgency === 'EMERGENCY') r += low ? `🚨 Very LOW! Eat something sweet NOW!` : `🚨🚨🚨 Go to hospital!`;
+    else if (urgency === 'URGENT') r += low ? `⚠️ Low. Take 15g sugar (3 tsp) now, recheck in 15 min.` : `🚨🚨 Call doctor NOW!`;
+    else if (urgency === 'ROUTINE') r += low ? `⚠️ A bit low. Have a small snack.` : `⚠️ High. Walk 10 mins & drink water.`;
+    else r += `✅ In target!`;
+    
+    return r;
+  }
+  
+  return `Send your sugar reading 📊 or ask questions about diet, medicine, etc.`;
+}
+
+async function analyzeWithRAG(phone, msg, patient) {
+  if (activeLLMProviders().length === 0) {
+    console.log('⚠️  Using fallback (no LLM configured)');
+    return fallbackResponse(msg, patient);
+  }
+  
+  try {
     // ========================================
     // 🧠 RETRIEVE CONVERSATION HISTORY
     // ========================================
@@ -1933,6 +2800,7 @@ async function analyzeWithClaudeRAG(phone, msg, patient) {
     // ========================================
     // 📊 TIME-AWARE GLUCOSE READINGS
     // ========================================
+    const targets = resolveGlycemicTargets(patient);
     const now = new Date();
     const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     const yesterdayStart = new Date(todayStart);
@@ -1943,16 +2811,19 @@ async function analyzeWithClaudeRAG(phone, msg, patient) {
     // Get readings by time period
     const todayReadings = await GlucoseReading.find({
       patientPhone: phone,
+      voided: { $ne: true },
       timestamp: { $gte: todayStart }
     }).sort({ timestamp: -1 });
     
     const yesterdayReadings = await GlucoseReading.find({
       patientPhone: phone,
+      voided: { $ne: true },
       timestamp: { $gte: yesterdayStart, $lt: todayStart }
     }).sort({ timestamp: -1 });
     
     const last7DaysReadings = await GlucoseReading.find({
       patientPhone: phone,
+      voided: { $ne: true },
       timestamp: { $gte: last7DaysStart }
     }).sort({ timestamp: -1 });
     
@@ -1960,24 +2831,51 @@ async function analyzeWithClaudeRAG(phone, msg, patient) {
     let glucoseSummary = '';
     
     if (todayReadings.length > 0) {
-      glucoseSummary += `TODAY: ${todayReadings.map(r => `${r.reading}mg/dL`).join(', ')}`;
+      glucoseSummary += `TODAY: ${todayReadings.map(r => `${r.reading}mg/dL ${readingTypeInfo(r.readingType).label.toLowerCase()}`).join(', ')}`;
     } else {
       glucoseSummary += 'TODAY: No readings yet';
     }
     
     if (yesterdayReadings.length > 0) {
-      glucoseSummary += `\nYESTERDAY: ${yesterdayReadings.slice(0, 3).map(r => `${r.reading}mg/dL`).join(', ')}`;
+      glucoseSummary += `\nYESTERDAY: ${yesterdayReadings.slice(0, 3).map(r => `${r.reading}mg/dL ${readingTypeInfo(r.readingType).label.toLowerCase()}`).join(', ')}`;
     }
     
     if (last7DaysReadings.length > 0) {
-      const avg7Days = Math.round(
-        last7DaysReadings.reduce((sum, r) => sum + r.reading, 0) / last7DaysReadings.length
-      );
-      glucoseSummary += `\nLAST 7 DAYS AVERAGE: ${avg7Days}mg/dL (${last7DaysReadings.length} readings)`;
+      const stats = computeGlucoseStats(last7DaysReadings, analyticsOptions(targets, 7));
+      glucoseSummary += `\n${formatStatsForPrompt(stats)}`;
+    }
+    
+    // Judge the reading in this message by its own type's target, same as triage does
+    const currentReadings = extractGlucose(msg).readings.filter(r => r.confidence === 'high');
+    if (currentReadings.length > 0) {
+      glucoseSummary += `\nTHIS MESSAGE: ${currentReadings.map(r =>
+        `${describeReading(r.reading, r.readingType, targets)} → ${classifyReading(r.reading, r.readingType, [], targets).urgency}`).join('; ')}`;
+    }
+    
+    const hypoStatus = await formatHypoForPrompt(phone);
+    if (hypoStatus) glucoseSummary += `\n${hypoStatus}`;
+    
+    // Insulin doses next to the readings they explain
+    const recentDoses = await InsulinDose.find({
+      patientPhone: phone,
+      timestamp: { $gte: yesterdayStart }
+    }).sort({ timestamp: -1 });
+    
+    const todayDoses = recentDoses.filter(d => d.timestamp >= todayStart);
+    const yesterdayDoses = recentDoses.filter(d => d.timestamp < todayStart);
+    
+    if (todayDoses.length > 0) {
+      glucoseSummary += `\nINSULIN TODAY: ${todayDoses.map(formatInsulinDose).join(', ')}`;
+    }
+    if (yesterdayDoses.length > 0) {
+      glucoseSummary += `\nINSULIN YESTERDAY: ${yesterdayDoses.map(formatInsulinDose).join(', ')}`;
     }
     
     console.log(`📊 Glucose summary:\n${glucoseSummary}`);
     
+    const adherenceSummary = formatAdherenceForProfile(await getAdherence(phone, 7));
+    const patternSummary = await formatPatternsForProfile(phone);
+    
     const references = medicalContext.length > 0
       ? medicalContext.map(doc => `[${doc.source}]\n${doc.content.substring(0, 600)}`).join('\n\n')
       : 'No specific textbook reference found. Use general diabetes management protocols.';
@@ -1987,6 +2885,9 @@ PATIENT PROFILE:
 - Name: ${patient.full_name} (${patient.age} years, ${patient.gender})
 - Diabetes: ${patient.diabetes_type}, ${patient.duration_years} years
 - Medications: ${patient.medication_type} - ${patient.current_meds?.join(', ')}
+- Medication adherence: ${adherenceSummary}
+- Recurring patterns: ${patternSummary}
+- Glucose targets: ${formatTargetsForPrompt(targets)}${targets.source === 'clinician' ? ' (set by their doctor - judge readings against these, not general ranges)' : ''}
 - Comorbidities: ${patient.comorbidities?.join(', ')}
 - HbA1c: ${patient.last_hba1c || 'Unknown'}
 - Diet: ${patient.diet_preference}
@@ -2171,29 +3072,21 @@ ${scriptPref !== 'en' ? 'RESPOND IN SAME FORMAT AS USER\'S MESSAGE!' : ''}`;
       content: msg
     });
     
-    console.log(`📤 Sending ${conversationHistory.length} messages to Claude`);
+    console.log(`📤 Sending ${conversationHistory.length} messages to LLM`);
     
     // ========================================
-    // 🤖 CALL CLAUDE WITH FULL CONTEXT
+    // 🤖 CALL LLM (WITH FAILOVER) WITH FULL CONTEXT
     // ========================================
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: CLAUDE_MODEL,
-      max_tokens: 200,  // ✅ Reduced from 600 for concise responses
+    const result = await llmChat({
       system,
-      messages: conversationHistory
-    }, {
-      headers: {
-        'x-api-key': ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01',
-        'content-type': 'application/json'
-      },
-      timeout: 20000
+      messages: conversationHistory,
+      maxTokens: 200  // ✅ Reduced from 600 for concise responses
     });
     
-    const text = response.data?.content?.[0]?.text;
+    const text = result?.text;
     
     if (text) {
-      console.log(`✅ Claude + RAG (${medicalContext.length} refs, ${recentMessages.length} history)`);
+      console.log(`✅ ${result.provider} + RAG (${medicalContext.length} refs, ${recentMessages.length} history)`);
       
       // ========================================
       // 💾 SAVE CONVERSATION TO DATABASE
@@ -2236,97 +3129,2365 @@ ${scriptPref !== 'en' ? 'RESPOND IN SAME FORMAT AS USER\'S MESSAGE!' : ''}`;
       return text;
     }
   } catch (e) {
-    console.error('❌ Claude error:', e.message);
+    console.error('❌ RAG analysis error:', e.message);
   }
   
   console.log('⚠️  Using fallback');
-  return fallbackResponse(msg);
+  return fallbackResponse(msg, patient);
 }
 
-function extractGlucose(msg) {
-  const match = msg.match(/(\d{2,3})/);
-  const reading = match ? parseInt(match[1]) : null;
-  if (!reading || reading < 40 || reading > 500) return { hasReading: false };
-  
-  const lower = msg.toLowerCase();
-  const type = lower.match(/fasting|empty|morning/) ? 'fasting' :
-               lower.match(/after|post|lunch|dinner/) ? 'postprandial' : 'random';
-  
-  const symptoms = [];
-  ['tired', 'dizzy', 'thirsty', 'blur', 'sweat', 'weak'].forEach(s => {
-    if (lower.includes(s)) symptoms.push(s);
-  });
-  
-  return { hasReading: true, reading, readingType: type, symptoms, notes: msg.substring(0, 200) };
+// ========================================
+// 💉 INSULIN DOSE LOGGING
+// ========================================
+// "took 10 units Lantus", "novorapid 6u before lunch", "lantus 12 raat ko".
+// The numbers in a dose are units, not mg/dL. extractGlucose removes dose
+// text before it looks for a reading.
+
+// Brand/generic names → canonical name + action profile
+const INSULIN_PRODUCTS = [
+  { pattern: /\b(lantus|glargine|basalog|toujeo|glaritus)\b/i, name: 'Glargine', type: 'basal' },
+  { pattern: /\b(levemir|detemir)\b/i, name: 'Detemir', type: 'basal' },
+  { pattern: /\b(tresiba|degludec)\b/i, name: 'Degludec', type: 'basal' },
+  { pattern: /\b(insulatard|nph|isophane|huminsulin n)\b/i, name: 'NPH', type: 'basal' },
+  { pattern: /\b(novomix|mixtard|humalog mix|ryzodeg|30\/70|50\/50)\b/i, name: 'Premixed', type: 'premixed' },
+  { pattern: /\b(novorapid|aspart|fiasp)\b/i, name: 'Aspart', type: 'bolus' },
+  { pattern: /\b(humalog|lispro|admelog)\b/i, name: 'Lispro', type: 'bolus' },
+  { pattern: /\b(apidra|glulisine)\b/i, name: 'Glulisine', type: 'bolus' },
+  { pattern: /\b(actrapid|huminsulin r|regular insulin)\b/i, name: 'Regular', type: 'bolus' }
+];
+
+const INSULIN_UNITS_PATTERN = /(\d{1,3}(?:\.\d)?)\s*(?:units?|u|iu|yunit)\b/gi;
+
+const INSULIN_TIMINGS = [
+  { pattern: /before (?:breakfast|nashta|nashte)|breakfast se pehle/i, timing: 'before_breakfast' },
+  { pattern: /before lunch|lunch se pehle/i, timing: 'before_lunch' },
+  { pattern: /before dinner|dinner se pehle|khane se pehle/i, timing: 'before_dinner' },
+  { pattern: /after (?:breakfast|lunch|dinner|meal|food)|khane ke baad|oota aada mele/i, timing: 'after_meal' },
+  { pattern: /bed ?time|before (?:bed|sleep)|sone se pehle/i, timing: 'bedtime' },
+  { pattern: /correction|extra|high sugar/i, timing: 'correction' },
+  { pattern: /\b(morning|subah|beligge)\b/i, timing: 'morning' },
+  { pattern: /\b(night|raat|ratri)\b/i, timing: 'night' }
+];
+
+const INSULIN_WORD = /\b(insulin|inj|injection|shot|dose)\b/i;
+
+function findInsulinProduct(text) {
+  return INSULIN_PRODUCTS.find(p => p.pattern.test(text)) || null;
 }
 
-async function checkCritical(reading, type, phone) {
-  const t = THRESHOLDS[type] || THRESHOLDS.random;
-  let critical = false;
-  let urgency = 'MONITORING';
+// "lantus 12", "lantus: 12" - a bare number right after the insulin name is its
+// dose; other numbers in the segment ("sugar 95 lantus 12") are left alone
+const productDosePattern = (product, flags = 'i') =>
+  new RegExp(String.raw`${product.pattern.source}\s*[:=-]?\s*(\d{1,2}(?:\.\d)?)\b`, flags);
+
+// Split on list separators so "lantus 10u and novorapid 6u" is two doses
+function parseInsulinDoses(msg) {
+  const doses = [];
+  const segments = msg.split(/,|;|\band\b|\baur\b|&|\n/i);
   
-  if (reading < 54 || reading > 400) {
-    critical = true;
-    urgency = 'EMERGENCY';
-  } else if (reading < t.critical_low || reading > t.critical_high) {
-    critical = true;
-    urgency = 'URGENT';
+  for (const segment of segments) {
+    const product = findInsulinProduct(segment);
+    const unitMatch = [...segment.matchAll(INSULIN_UNITS_PATTERN)][0];
+    
+    let units = unitMatch ? parseFloat(unitMatch[1]) : null;
+    
+    // "lantus 12" with no unit word - the number next to a known insulin is a dose
+    if (units === null && product) {
+      const bare = segment.match(productDosePattern(product));
+      units = bare ? parseFloat(bare.at(-1)) : null;
+    }
+    
+    if (units === null || units <= 0 || units > 150) continue;
+    if (!product && !unitMatch) continue;
+    if (!product && !INSULIN_WORD.test(segment) && !/\b(took|taken|le li|lagaya|injected)\b/i.test(segment)) continue;
+    
+    const timing = INSULIN_TIMINGS.find(t => t.pattern.test(segment))?.timing || null;
+    
+    doses.push({
+      insulinName: product?.name || 'Insulin',
+      insulinType: product?.type || 'unknown',
+      units,
+      timing,
+      rawText: segment.trim().substring(0, 100)
+    });
   }
   
-  if (critical && PHYSICIAN_PHONE && PHYSICIAN_PHONE !== '+919876543210') {
-    await sendWhatsAppMessage(PHYSICIAN_PHONE, 
-      `🚨 ${urgency}\nPatient: ${phone}\nGlucose: ${reading} mg/dL`);
+  return doses;
+}
+
+// Blanks out dose numbers (same length, so offsets still line up) so they can't be read as glucose
+function stripInsulinDoses(msg) {
+  return msg
+    .split(/(,|;|\band\b|\baur\b|&|\n)/i)
+    .map(segment => {
+      const blank = (m) => ' '.repeat(m.length);
+      const withoutUnits = segment.replace(INSULIN_UNITS_PATTERN, blank);
+      const product = findInsulinProduct(segment);
+      if (!product) return withoutUnits;
+      
+      // Only the dose after the name - "sugar 95 lantus 12" still reads 95
+      return withoutUnits.replace(productDosePattern(product, 'gi'), match => match.replace(/\d+(?:\.\d)?$/, blank));
+    })
+    .join('');
+}
+
+async function logInsulinDoses(phone, doses) {
+  const created = [];
+  for (const dose of doses) {
+    created.push(await InsulinDose.create({ patientPhone: phone, ...dose }));
+    console.log(`💉 ${phone}: ${dose.units}u ${dose.insulinName} (${dose.insulinType}${dose.timing ? `, ${dose.timing}` : ''})`);
   }
-  
-  return { critical, urgency };
+  return created;
+}
+
+function formatInsulinDose(dose) {
+  const { minutes } = localClock(dose.timestamp);
+  const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  return `${dose.units}u ${dose.insulinName} (${dose.insulinType}) at ${formatDoseTime(time)}`;
 }
 
 // ========================================
-// WEBHOOK
+// 🩸 GLUCOSE READING PARSER
 // ========================================
+// Handles:
+// - several readings in one message ("fasting 110 and after lunch 190"),
+//   each with its own type;
+// - mmol/L values, converted to mg/dL;
+// - relative times ("yesterday night 240", "2 hours after dinner") that
+//   set the timestamp;
+// - Devanagari and Kannada digits, and Hindi/Kannada number words.
+// Ages, insulin doses, tablet strengths, HbA1c, durations, clock times,
+// pincodes and dates are blanked out before numbers are read.
+
+const MMOL_TO_MGDL = 18;
+const RECENT_READING_HOURS = 6;
+const GLUCOSE_RANGE = { min: 20, max: 600 };  // glucometers show LO/HI outside this
+
+// Words that say a number is sugar; GLUCOSE_CONTEXT adds the units
+const GLUCOSE_WORDS = /sugar|shugar|glucose|reading|fasting|fbs|ppbs|rbs|\bpp\b|शुगर|शक्कर|फास्टिंग|ಶುಗರ್|ಸಕ್ಕರೆ|ಫಾಸ್ಟಿಂಗ್/i;
+const GLUCOSE_CONTEXT = new RegExp(`${GLUCOSE_WORDS.source}|mg|mmol`, 'i');
+
+const NUMBER_WORDS = {
+  // Hindi (romanized + Devanagari)
+  ek: 1, एक: 1, do: 2, दो: 2, teen: 3, तीन: 3, char: 4, chaar: 4, चार: 4,
+  paanch: 5, panch: 5, पांच: 5, पाँच: 5, chhe: 6, chheh: 6, छह: 6, saat: 7, सात: 7,
+  aath: 8, आठ: 8, nau: 9, नौ: 9, das: 10, दस: 10,
+  bees: 20, बीस: 20, tees: 30, तीस: 30, chalis: 40, chalees: 40, चालीस: 40,
+  pachas: 50, pachaas: 50, पचास: 50, saath: 60, साठ: 60, sattar: 70, सत्तर: 70,
+  assi: 80, अस्सी: 80, nabbe: 90, नब्बे: 90,
+  // Kannada (romanized + script)
+  ondu: 1, ಒಂದು: 1, eradu: 2, ಎರಡು: 2, mooru: 3, ಮೂರು: 3, naalku: 4, ನಾಲ್ಕು: 4,
+  aidu: 5, ಐದು: 5, aaru: 6, ಆರು: 6, elu: 7, ಏಳು: 7, entu: 8, ಎಂಟು: 8,
+  ombattu: 9, ಒಂಬತ್ತು: 9, hattu: 10, ಹತ್ತು: 10,
+  ippattu: 20, ಇಪ್ಪತ್ತು: 20, moovattu: 30, ಮೂವತ್ತು: 30, nalavattu: 40, ನಲವತ್ತು: 40,
+  aivattu: 50, ಐವತ್ತು: 50, aravattu: 60, ಅರವತ್ತು: 60, eppattu: 70, ಎಪ್ಪತ್ತು: 70,
+  enbattu: 80, ಎಂಬತ್ತು: 80, tombattu: 90, ತೊಂಬತ್ತು: 90
+};
 
-app.get('/webhook', (req, res) => {
-  if (req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === VERIFY_TOKEN) {
-    return res.status(200).send(req.query['hub.challenge']);
-  }
-  res.sendStatus(403);
-});
+// Hundreds: multiplier words ("do sau") or fixed Kannada forms ("innooru")
+const HUNDRED_WORDS = { sau: 100, सौ: 100, nooru: 100, ನೂರು: 100 };
+const FIXED_HUNDREDS = {
+  innooru: 200, ಇನ್ನೂರು: 200, munnooru: 300, ಮುನ್ನೂರು: 300,
+  naanooru: 400, ನಾನೂರು: 400, ainooru: 500, ಐನೂರು: 500
+};
 
-app.post('/webhook', async (req, res) => {
-  res.sendStatus(200);
+// Words that are also everyday Hindi/English ("do", "saath" = with) only count next to a hundred
+const AMBIGUOUS_NUMBER_WORDS = new Set(['do', 'saath', 'das', 'char', 'elu', 'aaru']);
+
+function normalizeDigits(text) {
+  return text
+    .replace(/[०-९]/g, d => String(d.charCodeAt(0) - 0x0966))
+    .replace(/[೦-೯]/g, d => String(d.charCodeAt(0) - 0x0CE6));
+}
+
+// "ek sau assi" → 180, "innooru aivattu" → 250, "sugar assi hai" → 80
+function replaceNumberWords(text) {
+  const tokens = text.split(/(\s+)/);
+  const hasContext = GLUCOSE_CONTEXT.test(text);
   
-  try {
-    const msg = req.body?.entry?.[0]?.changes?.[0]?.value?.messages?.[0];
-    if (!msg) return;
+  const valueOf = (token) => {
+    const word = (token || '').toLowerCase();
+    if (word in FIXED_HUNDREDS) return { kind: 'fixed', value: FIXED_HUNDREDS[word], word };
+    if (word in HUNDRED_WORDS) return { kind: 'hundred', value: HUNDRED_WORDS[word], word };
+    if (word in NUMBER_WORDS) return { kind: 'unit', value: NUMBER_WORDS[word], word };
+    return null;
+  };
+  
+  const out = [];
+  let i = 0;
+  
+  while (i < tokens.length) {
+    if (!valueOf(tokens[i])) {
+      out.push(tokens[i]);
+      i++;
+      continue;
+    }
     
-    const from = msg.from;
-    const messageType = msg.type;
-    let text = '';
-    let isVoiceMessage = false;
+    // Collect "word (space word)*"
+    const run = [valueOf(tokens[i])];
+    let j = i + 1;
+    while (j + 1 < tokens.length && /^\s+$/.test(tokens[j]) && valueOf(tokens[j + 1])) {
+      run.push(valueOf(tokens[j + 1]));
+      j += 2;
+    }
     
-    console.log(`\n📨 Message from: ${from} (${messageType})`);
+    const hasHundred = run.some(r => r.kind !== 'unit');
+    const onlyAmbiguous = run.every(r => AMBIGUOUS_NUMBER_WORDS.has(r.word));
     
-    if (messageType === 'text') {
-      text = msg.text.body;
-      
-    } else if (messageType === 'audio') {
-      isVoiceMessage = true;
-      
-      try {
-        // ✅ Let Whisper auto-detect language (don't pass preference)
-        text = await transcribeWhatsAppAudio(msg.audio.id);
-        
-        if (!text) {
-          await sendWhatsAppMessage(from, "Couldn't hear clearly. Try text. 😊");
-          return;
+    if (!hasHundred && (onlyAmbiguous || !hasContext)) {
+      out.push(...tokens.slice(i, j));
+    } else {
+      let total = 0;
+      let pending = 0;
+      for (const r of run) {
+        if (r.kind === 'hundred') {
+          total += (pending || 1) * 100;
+          pending = 0;
+        } else if (r.kind === 'fixed') {
+          total += r.value;
+        } else {
+          pending += r.value;
         }
-        
-        const patient = await Patient.findOne({ phone: from });
-        if (patient) {
-          await Patient.findOneAndUpdate(
-            { phone: from },
-            { $inc: { voiceMessagesCount: 1 } }
-          );
+      }
+      out.push(String(total + pending));
+    }
+    i = j;
+  }
+  
+  return out.join('');
+}
+
+// Numbers that are something other than glucose. Replaced with spaces so
+// offsets in the cleaned text still line up with the original message.
+const NON_GLUCOSE_PATTERNS = [
+  /\b(?:hb\s*a1c|a1c|hba1c)\b[^\d]{0,12}\d{1,2}(?:\.\d{1,2})?\s*%?/gi,
+  /\d{1,2}(?:\.\d{1,2})?\s*%/g,
+  /\b\d{1,3}\s*(?:years?|yrs?|yr|saal|sal|varsha|varsh|age)\b/gi,
+  /\b(?:age|umar|umr|vayassu)\b[^\d]{0,8}\d{1,3}/gi,
+  /\b\d{1,4}\s*(?:mins?|minutes?|hours?|hrs?|hr|ghante|ghanta|gante|days?|din|dina|weeks?|hafte|months?|mahine|steps?|km)\b/gi,
+  /\b\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.|baje|gante)\b/gi,
+  /\b\d{1,2}:\d{2}\b/g,
+  /\b\d{1,4}\s*(?:ml|tabs?|tablets?|goli|pills?|kg|kgs|kilo|cal|kcal|g|gm|grams?)\b/gi,
+  /\b\d{2,3}\s*\/\s*\d{2,3}\b/g,                      // blood pressure
+  /\b\d{1,2}[\/-]\d{1,2}(?:[\/-]\d{2,4})?\b/g,          // dates
+  /\b\d{6,}\b/g                                       // pincodes, phone numbers
+];
+
+// "metformin 500", "glycomet gp 2", "glimepiride 1 mg" - the strength after an
+// oral diabetes drug, with or without "mg"
+const ORAL_DRUG_STRENGTH = /\b(metformin|glycomet|glucophage|obimet|gluconorm|glimepiride|amaryl|glimisave|gliclazide|diamicron|reclide|glipizide|glibenclamide|daonil|sitagliptin|januvia|istavel|vildagliptin|galvus|teneligliptin|dapagliflozin|forxiga|empagliflozin|jardiance|pioglitazone|voglibose)(?:\s+(?:sr|xr|er|gp|mf|ds|forte))?\s*[:=-]?\s*\d{1,4}(?:\.\d{1,2})?(?:\s*mg\b)?/gi;
+
+// "500 mg" with no sugar words is a tablet; "sugar 300 mg" and "180 mg%" are readings
+const BARE_MG = /\b\d{1,4}\s*mg\b(?!\s*(?:\/?\s*dl|%))/gi;
+
+function maskNonGlucoseNumbers(text) {
+  const blank = (m) => ' '.repeat(m.length);
+  let masked = stripInsulinDoses(text)
+    .replace(ORAL_DRUG_STRENGTH, (m, name) => name + blank(m.slice(name.length)));
+  if (!GLUCOSE_WORDS.test(text)) masked = masked.replace(BARE_MG, blank);
+  for (const pattern of NON_GLUCOSE_PATTERNS) {
+    masked = masked.replace(pattern, blank);
+  }
+  return masked;
+}
+
+// Most specific first; the weak hints at the end only apply when nothing else matched
+const READING_TYPE_KEYWORDS = [
+  { type: 'overnight', pattern: /\b[23]\s*(?:am|baje)\b|midnight|overnight|middle of the night|aadhi raat|आधी रात|ಮಧ್ಯರಾತ್ರಿ/i },
+  { type: 'bedtime', pattern: /bed ?time|before (?:bed|sleep|sleeping)|sone se pehle|malaguva munna|सोने से पहले|ಮಲಗುವ ಮುನ್ನ/i },
+  { type: 'post_exercise', pattern: /after (?:a |my )?(?:walk|walking|exercise|workout|gym|yoga|run|running|jog|jogging|cycling)|post[- ]?(?:exercise|workout)|(?:walk|exercise|yoga) ke baad|vyayama nantara/i },
+  { type: 'fasting', pattern: /fasting|fbs|empty stomach|khali pet|khaali pet|khaali hotte|खाली पेट|ಖಾಲಿ ಹೊಟ್ಟೆ|उपवास|फास्टिंग|ಫಾಸ್ಟಿಂಗ್/i },
+  { type: 'pre_breakfast', meal: 'breakfast', pattern: /before (?:breakfast|nashta|nashte|tiffin)|(?:nashte|nashta|breakfast) se pehle|tiffin munna/i },
+  { type: 'pre_lunch', meal: 'lunch', pattern: /before lunch|lunch se pehle|oota munna/i },
+  { type: 'pre_dinner', meal: 'dinner', pattern: /before (?:dinner|supper)|dinner se pehle|raat ke khane se pehle/i },
+  { type: 'post_meal', pattern: /after (?:breakfast|nashta|tiffin|lunch|dinner|meal|meals|food|eating|khana)|post[- ]?(?:meal|prandial|lunch|dinner|breakfast)|ppbs|\bpp\b|khane ke baad|khaane ke baad|oota aada mele|oota nantara|खाने के बाद|ಊಟದ ನಂತರ/i },
+  { type: 'bedtime', pattern: /\b(?:last|yesterday)\s+night\b|kal raat|ninne ratri|कल रात|ನಿನ್ನೆ ರಾತ್ರಿ/i },
+  { type: 'random', pattern: /random|rbs/i },
+  // Weak hints: "morning" usually means fasting, a bare meal name usually means after it
+  { type: 'fasting', weak: true, pattern: /\b(morning|subah|beligge)\b|सुबह|ಬೆಳಿಗ್ಗೆ/i },
+  { type: 'post_meal', weak: true, pattern: /lunch|dinner|breakfast|khana|oota|खाना|ಊಟ/i }
+];
+
+const MEAL_WORDS = [
+  { meal: 'breakfast', pattern: /breakfast|nashta|nashte|tiffin/i },
+  { meal: 'lunch', pattern: /lunch|dopahar/i },
+  { meal: 'dinner', pattern: /dinner|supper|raat ka khana/i }
+];
+
+function detectReadingType(context) {
+  const match = READING_TYPE_KEYWORDS.find(k => k.pattern.test(context));
+  if (!match) return null;
+  
+  const meal = match.meal || (match.type === 'post_meal'
+    ? MEAL_WORDS.find(m => m.pattern.test(context))?.meal
+    : undefined);
+  return { type: match.type, meal, weak: !!match.weak };
+}
+
+const MEAL_TIMES = { breakfast: 8 * 60, lunch: 13 * 60, dinner: 20 * 60 + 30 };
+
+// Local wall-clock (dayOffset, minutes) in REMINDER_TIMEZONE → Date
+function zonedDate(dayOffset, minutes, now = new Date()) {
+  const clock = localClock(now);
+  const [y, m, d] = clock.date.split('-').map(Number);
+  const offsetMs = Date.UTC(y, m - 1, d) + clock.minutes * 60000 - Math.floor(now.getTime() / 60000) * 60000;
+  return new Date(Date.UTC(y, m - 1, d + dayOffset) + minutes * 60000 - offsetMs);
+}
+
+// "2026-10-01" → local midnight of that day (+ dayOffset days) in
+// REMINDER_TIMEZONE; null if it isn't a real YYYY-MM-DD date
+function localDayStart(isoDate, dayOffset = 0) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return null;
+  // Noon UTC falls on the same calendar day in every Indian (and most other) timezones
+  const noon = new Date(`${isoDate}T12:00:00Z`);
+  if (isNaN(noon) || noon.toISOString().slice(0, 10) !== isoDate) return null;
+  return zonedDate(dayOffset, 0, noon);
+}
+
+// Reading time from words like "yesterday", "last night", "2 hours ago",
+// "2 hours after dinner", "at 7am". Null means "now".
+function resolveReadingTime(context, now = new Date()) {
+  const lower = context.toLowerCase();
+  const yesterday = /yesterday|\bkal\b|ninne|कल|ನಿನ್ನೆ|last night/.test(lower);
+  const night = /night|raat|ratri|रात|ರಾತ್ರಿ/.test(lower);
+  let dayOffset = yesterday ? -1 : 0;
+  
+  const ago = lower.match(/(\d{1,2})\s*(?:hours?|hrs?|ghante|gante)\s*(?:ago|pehle|hinde)/);
+  if (ago) return new Date(now.getTime() - parseInt(ago[1]) * 60 * 60 * 1000);
+  
+  let minutes = null;
+  
+  const clock = lower.match(/\b(\d{1,2})(?::(\d{2}))?\s*(am|pm|baje)\b/);
+  if (clock) {
+    let hour = parseInt(clock[1]);
+    if (clock[3] === 'pm' && hour < 12) hour += 12;
+    if (clock[3] === 'am' && hour === 12) hour = 0;
+    // "raat 10 baje" is 22:00, but "raat 2 baje" is still 02:00
+    if (clock[3] === 'baje' && /raat|shaam|night|evening/.test(lower)) {
+      if (hour >= 6 && hour < 12) hour += 12;
+      else if (hour === 12) hour = 0;
+    }
+    minutes = hour * 60 + parseInt(clock[2] || '0');
+    // "last night 2am" is early this morning, not the night before
+    if (yesterday && night && minutes < 6 * 60) dayOffset = 0;
+  } else {
+    const afterMeal = lower.match(/(\d{1,2}(?:\.\d)?)?\s*(?:hours?|hrs?|ghante)?\s*after\s*(breakfast|lunch|dinner)/);
+    const meal = afterMeal?.[2] || (lower.match(/\b(breakfast|lunch|dinner)\b/) || [])[1];
+    
+    if (meal && yesterday) {
+      minutes = MEAL_TIMES[meal] + Math.round(parseFloat(afterMeal?.[1] || '2') * 60);
+    } else if (night && yesterday) {
+      minutes = 22 * 60;
+    } else if (/morning|subah|beligge|fasting/.test(lower) && yesterday) {
+      minutes = 7 * 60;
+    } else if (yesterday) {
+      minutes = 12 * 60;
+    }
+  }
+  
+  if (minutes === null) return null;
+  
+  const when = zonedDate(dayOffset, minutes, now);
+  // "at 9pm" said at 8am means last night, not tonight
+  if (when > now) return dayOffset === 0 ? zonedDate(-1, minutes, now) : now;
+  return when;
+}
+
+function extractGlucose(msg, now = new Date()) {
+  const lower = msg.toLowerCase();
+  const symptoms = [];
+  ['tired', 'dizzy', 'thirsty', 'blur', 'sweat', 'weak'].forEach(s => {
+    if (lower.includes(s)) symptoms.push(s);
+  });
+  
+  const text = replaceNumberWords(normalizeDigits(msg));
+  const masked = maskNonGlucoseNumbers(text);
+  
+  const numberPattern = /(\d{1,3}(?:\.\d{1,2})?)\s*(mg\s*\/?\s*dl|mgdl|mg\s*%|mg\b|mmol\s*\/?\s*l?|mmol)?/gi;
+  const candidates = [...masked.matchAll(numberPattern)];
+  const readings = [];
+  const hasContext = GLUCOSE_CONTEXT.test(text);
+  const separator = /,|;|\band\b|\baur\b|&|\n|\.\s/i;
+  // "yesterday fasting 110 and after dinner 240" - the lead-in applies to every reading
+  const leadIn = candidates.length > 0 ? text.slice(0, candidates[0].index) : '';
+  
+  candidates.forEach((match, idx) => {
+    const raw = parseFloat(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    const isMmol = unit.startsWith('mmol') || (!unit && match[1].includes('.') && raw >= 1 && raw < 35 && hasContext);
+    
+    if (!isMmol && match[1].includes('.')) return;
+    
+    const reading = isMmol ? Math.round(raw * MMOL_TO_MGDL) : raw;
+    if (reading < GLUCOSE_RANGE.min || reading > GLUCOSE_RANGE.max) return;
+    
+    // Labels between two numbers belong to the side of the separator they sit on
+    const start = idx > 0 ? candidates[idx - 1].index + candidates[idx - 1][0].length : 0;
+    const end = idx < candidates.length - 1 ? candidates[idx + 1].index : text.length;
+    const before = idx > 0 ? text.slice(start, match.index).split(separator).pop() : text.slice(0, match.index);
+    const after = idx < candidates.length - 1
+      ? text.slice(match.index + match[0].length, end).split(separator)[0]
+      : text.slice(match.index + match[0].length);
+    
+    const detected = detectReadingType(before) || detectReadingType(after) || { type: 'random' };
+    const timestamp = resolveReadingTime(`${leadIn} ${before} ${after}`, now) || now;
+    
+    // Low = a bare number with nothing saying it's sugar; callers ask before logging it
+    const confident = !!unit || hasContext || GLUCOSE_CONTEXT.test(`${before} ${after}`) ||
+      (detected.type !== 'random' && !detected.weak) || /^\s*\d{1,3}(?:\.\d{1,2})?\s*$/.test(text);
+    
+    readings.push({
+      reading,
+      readingType: detected.type,
+      meal: detected.meal,
+      timestamp,
+      unit: isMmol ? 'mmol/L' : 'mg/dL',
+      originalValue: raw,
+      confidence: confident ? 'high' : 'low'
+    });
+  });
+  
+  if (readings.length === 0) return { hasReading: false, readings: [] };
+  
+  // reading/readingType mirror the first reading for single-value callers
+  return {
+    hasReading: true,
+    readings,
+    reading: readings[0].reading,
+    readingType: readings[0].readingType,
+    symptoms,
+    notes: msg.substring(0, 200)
+  };
+}
+
+// notify: false classifies without paging the physician (e.g. backdated readings)
+async function checkCritical(reading, type, phone, { notify = true, symptoms = [], targets = null } = {}) {
+  const { urgency } = classifyReading(reading, type, symptoms, targets);
+  const critical = urgency === 'EMERGENCY' || urgency === 'URGENT';
+  
+  let alertOutboundId = null;
+  if (critical && !notify) {
+    console.log(`📝 ${urgency} reading for ${phone} is backdated - no physician alert`);
+  } else if (critical && await isTestAccount(phone)) {
+    console.log(`🧪 Physician alert skipped for test account ${phone}`);
+  } else if (critical && PHYSICIAN_PHONE && PHYSICIAN_PHONE !== '+919876543210') {
+    alertOutboundId = await sendWhatsAppMessage(PHYSICIAN_PHONE, 
+      `🚨 ${urgency}\nPatient: ${phone}\nGlucose: ${describeReading(reading, type, targets)}`,
+      {
+        purpose: 'alert',
+        patientPhone: phone,
+        priority: urgency === 'EMERGENCY' ? OUTBOUND_PRIORITY.emergency : OUTBOUND_PRIORITY.alert
+      });
+  }
+  
+  return { critical, urgency, alertOutboundId };
+}
+
+// ========================================
+// 🩸 READING LOGGING + CONFIRMATION
+// ========================================
+// High-confidence readings are stored and triaged straight away. A bare
+// number with no sugar words or units around it ("I walked 100 today") is
+// parked as a PendingReading. The patient is asked Yes / No / Not sugar
+// before anything reaches GlucoseReading or Triage.
+
+const CONFIRM_OPTIONS = [
+  { action: 'yes', title: { en: '✅ Yes, log it', hi: '✅ Haan, log karo', hi_pure: '✅ हाँ, लॉग करो', kn: '✅ Houdu, log maadi', kn_pure: '✅ ಹೌದು, ಲಾಗ್ ಮಾಡಿ' } },
+  { action: 'no', title: { en: '❌ No', hi: '❌ Nahi', hi_pure: '❌ नहीं', kn: '❌ Illa', kn_pure: '❌ ಇಲ್ಲ' } },
+  { action: 'not_sugar', title: { en: "🚫 It's not sugar", hi: '🚫 Sugar nahi hai', hi_pure: '🚫 शुगर नहीं है', kn: '🚫 Sugar alla', kn_pure: '🚫 ಶುಗರ್ ಅಲ್ಲ' } }
+];
+
+const CONFIRM_MESSAGES = {
+  ask: {
+    en: (values) => `📝 Log ${values} as a glucose reading?`,
+    hi: (values) => `📝 Kya ${values} ko sugar reading mein log karun?`,
+    hi_pure: (values) => `📝 क्या ${values} को शुगर रीडिंग में लॉग करूं?`,
+    kn: (values) => `📝 ${values} annu sugar reading aagi log maadala?`,
+    kn_pure: (values) => `📝 ${values} ಅನ್ನು ಶುಗರ್ ರೀಡಿಂಗ್ ಆಗಿ ಲಾಗ್ ಮಾಡಲಾ?`
+  },
+  replyHint: {
+    en: () => 'Reply YES, NO or NOT SUGAR',
+    hi: () => 'Jawab dijiye: YES, NO ya NOT SUGAR',
+    hi_pure: () => 'जवाब दीजिए: हाँ, नहीं या शुगर नहीं',
+    kn: () => 'Uttara kodi: YES, NO athava NOT SUGAR',
+    kn_pure: () => 'ಉತ್ತರ ಕೊಡಿ: ಹೌದು, ಇಲ್ಲ ಅಥವಾ ಶುಗರ್ ಅಲ್ಲ'
+  },
+  logged: {
+    en: (values) => `✅ Logged ${values}.`,
+    hi: (values) => `✅ ${values} log ho gaya.`,
+    hi_pure: (values) => `✅ ${values} लॉग हो गया।`,
+    kn: (values) => `✅ ${values} log aaytu.`,
+    kn_pure: (values) => `✅ ${values} ಲಾಗ್ ಆಯಿತು.`
+  },
+  wrongValue: {
+    en: () => `👍 Not logged. If it was a sugar reading, send it like "sugar 118".`,
+    hi: () => `👍 Log nahi kiya. Sugar reading ho to aise bhejiye: "sugar 118".`,
+    hi_pure: () => `👍 लॉग नहीं किया। शुगर रीडिंग हो तो ऐसे भेजिए: "शुगर 118"।`,
+    kn: () => `👍 Log maadilla. Sugar reading aadre heege kalisi: "sugar 118".`,
+    kn_pure: () => `👍 ಲಾಗ್ ಮಾಡಿಲ್ಲ. ಶುಗರ್ ರೀಡಿಂಗ್ ಆದರೆ ಹೀಗೆ ಕಳುಹಿಸಿ: "ಶುಗರ್ 118".`
+  },
+  notSugar: {
+    en: () => `👍 Got it, that wasn't a sugar reading - nothing logged.`,
+    hi: () => `👍 Samajh gaya, woh sugar reading nahi thi - kuch log nahi kiya.`,
+    hi_pure: () => `👍 समझ गया, वह शुगर रीडिंग नहीं थी - कुछ लॉग नहीं किया।`,
+    kn: () => `👍 Sari, adu sugar reading alla - enu log maadilla.`,
+    kn_pure: () => `👍 ಸರಿ, ಅದು ಶುಗರ್ ರೀಡಿಂಗ್ ಅಲ್ಲ - ಏನೂ ಲಾಗ್ ಮಾಡಿಲ್ಲ.`
+  },
+  expired: {
+    en: () => `⌛ That question expired. Send the reading again if you want it logged.`,
+    hi: () => `⌛ Woh sawal purana ho gaya. Log karna ho to reading dobara bhejiye.`,
+    hi_pure: () => `⌛ वह सवाल पुराना हो गया। लॉग करना हो तो रीडिंग दोबारा भेजिए।`,
+    kn: () => `⌛ Aa prashne hale aaytu. Log maadabekidre reading matte kalisi.`,
+    kn_pure: () => `⌛ ಆ ಪ್ರಶ್ನೆ ಹಳೆಯದಾಯಿತು. ಲಾಗ್ ಮಾಡಬೇಕಿದ್ದರೆ ರೀಡಿಂಗ್ ಮತ್ತೆ ಕಳುಹಿಸಿ.`
+  }
+};
+
+// script_pref ("hi_pure") first, then the base language, then English
+function confirmText(key, script, ...args) {
+  const texts = CONFIRM_MESSAGES[key];
+  return (texts[script] || texts[script.replace('_pure', '')] || texts.en)(...args);
+}
+
+const CONFIRM_TEXT_REPLIES = {
+  yes: /^(yes|y|haan|ha|han|houdu|hoon|ok|okay|log it|हाँ|हां|ಹೌದು)[.! ।]*$/,
+  no: /^(no|n|nahi|nahin|illa|beda|नहीं|ಇಲ್ಲ|ಬೇಡ)[.! ।]*$/,
+  not_sugar: /^(not sugar|it'?s not sugar|sugar nahi( hai)?|sugar alla|शुगर नहीं( है)?|ಶುಗರ್ ಅಲ್ಲ)[.! ।]*$/
+};
+
+function formatReadingList(readings, targets) {
+  return readings
+    .map(r => `${r.reading} mg/dL (${classifyReading(r.reading, r.readingType, [], targets).label.toLowerCase()})`)
+    .join(', ');
+}
+
+// Stores readings, triages them and pages the physician if needed
+async function logGlucoseReadings(phone, patient, readings, { symptoms = [], notes, aiAssessment } = {}) {
+  const targets = resolveGlycemicTargets(patient);
+  
+  for (const r of readings) {
+    const timestamp = new Date(r.timestamp);
+    // Only readings from the last few hours can still need the physician now
+    const isRecent = Date.now() - timestamp.getTime() < RECENT_READING_HOURS * 60 * 60 * 1000;
+    const { critical, urgency, alertOutboundId } = await checkCritical(r.reading, r.readingType, phone, {
+      notify: isRecent,
+      symptoms,
+      targets
+    });
+    
+    const triage = await createTriageRecord(phone, r.reading, symptoms, aiAssessment, [], { readingType: r.readingType, targets });
+    const saved = await GlucoseReading.create({
+      patientPhone: phone,
+      reading: r.reading,
+      readingType: r.readingType,
+      meal: r.meal,
+      timestamp,
+      symptoms,
+      notes,
+      alertSent: critical && isRecent,
+      alertOutboundId,
+      triageId: triage._id
+    });
+    
+    console.log(`✅ ${patient.full_name}: ${r.reading}mg/dL ${r.readingType} (${urgency})${isRecent ? '' : ` at ${timestamp.toISOString()}`}`);
+    
+    // Backdated lows are history, not something to treat now
+    if (isRecent) {
+      try {
+        await handleHypoReading(patient, saved);
+      } catch (error) {
+        console.error(`❌ Hypo protocol for ${phone}:`, error.message);
+      }
+    }
+  }
+}
+
+async function askToConfirmReadings(phone, patient, readings, { symptoms, notes, aiAssessment }) {
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  const pending = await PendingReading.create({ patientPhone: phone, readings, symptoms, notes, aiAssessment });
+  const body = confirmText('ask', lang, formatReadingList(readings, resolveGlycemicTargets(patient)));
+  
+  await sendInteractiveMessage(phone, body, {
+    type: 'button',
+    options: CONFIRM_OPTIONS.map(o => ({ id: `confirm:${pending._id}:${o.action}`, title: o.title }))
+  }, lang, {
+    purpose: 'reply',
+    patientPhone: phone,
+    fallbackText: `${body}\n\n${confirmText('replyHint', lang)}`
+  });
+  
+  console.log(`❓ ${phone}: asked to confirm ${readings.map(r => r.reading).join(', ')}`);
+}
+
+// Claims the pending entry so a double tap can't log twice
+async function resolvePendingReading(phone, pendingId, action, patient) {
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  const pending = await PendingReading.findOneAndDelete({
+    ...(pendingId ? { _id: pendingId } : {}),
+    patientPhone: phone,
+    createdAt: { $gte: new Date(Date.now() - PENDING_READING_TTL_MINUTES * 60 * 1000) }
+  }, { sort: { createdAt: -1 } });
+  
+  if (!pending) return pendingId ? confirmText('expired', lang) : null;
+  
+  if (action === 'yes') {
+    await logGlucoseReadings(phone, patient, pending.readings, pending);
+    return confirmText('logged', lang, formatReadingList(pending.readings, resolveGlycemicTargets(patient)));
+  }
+  
+  console.log(`🚫 ${phone}: discarded ${pending.readings.map(r => r.reading).join(', ')} (${action})`);
+  return action === 'not_sugar' ? confirmText('notSugar', lang) : confirmText('wrongValue', lang);
+}
+
+// Button tap: "confirm:<pendingId>:<action>"
+async function handleConfirmButton(phone, replyId, patient) {
+  const [, pendingId, action] = replyId.split(':');
+  if (!CONFIRM_OPTIONS.some(o => o.action === action) || !mongoose.Types.ObjectId.isValid(pendingId)) return null;
+  return await resolvePendingReading(phone, pendingId, action, patient);
+}
+
+// Typed YES / NO / NOT SUGAR - only while a confirmation is open
+async function handleConfirmTextReply(phone, text, patient) {
+  const lower = text.toLowerCase().trim();
+  const action = ['not_sugar', 'yes', 'no'].find(a => CONFIRM_TEXT_REPLIES[a].test(lower));
+  if (!action) return null;
+  return await resolvePendingReading(phone, null, action, patient);
+}
+
+// ========================================
+// 🍬 HYPO FOLLOW-UP PROTOCOL (rule of 15)
+// ========================================
+// A fresh reading below 70 opens a HypoEpisode. The patient gets rule-of-15
+// instructions, and a recheck prompt arrives 15 minutes later. The next reading
+// the patient sends is the recheck:
+//   - 70 or above: recovered; recovery time and outcome are recorded
+//   - still low: another round of treatment and another 15-minute recheck
+//   - still low after maxRounds: escalated to the physician and emergency contact
+// No reading within HYPO_RESPONSE_WINDOW_MINUTES of the prompt also escalates.
+// Each escalation reason pages the physician and emergency contact once. An
+// escalated patient who is still low keeps getting 15-minute rechecks, and a
+// later good reading still closes the episode as recovered.
+
+const HYPO_PROTOCOL = {
+  threshold: 70,
+  severeThreshold: 54,
+  recheckMinutes: 15,
+  responseWindowMinutes: HYPO_RESPONSE_WINDOW_MINUTES,
+  maxRounds: 3,
+  closeAfterHours: 4       // escalated and no reading for this long → closed as no_response
+};
+
+const HYPO_MESSAGES = {
+  severe: {
+    en: () => '🚨 This is very low. If you feel confused or faint, ask someone near you to help and call 108.',
+    hi: () => '🚨 Yeh bahut low hai. Chakkar ya ghabrahat ho to paas wale ko bulaiye aur 108 par call kariye.',
+    hi_pure: () => '🚨 यह बहुत कम है। चक्कर या घबराहट हो तो पास वाले को बुलाइए और 108 पर कॉल कीजिए।',
+    kn: () => '🚨 Idu thumba low. Thale suttuvudu athava gondala aadare hattiradavarannu kareyiri mattu 108 ge call maadi.',
+    kn_pure: () => '🚨 ಇದು ತುಂಬಾ ಕಡಿಮೆ. ತಲೆ ಸುತ್ತುವುದು ಅಥವಾ ಗೊಂದಲ ಆದರೆ ಹತ್ತಿರದವರನ್ನು ಕರೆಯಿರಿ ಮತ್ತು 108 ಗೆ ಕರೆ ಮಾಡಿ.'
+  },
+  treat: {
+    en: (reading) => `🍬 Your sugar is low (${reading} mg/dL). Do this now - the rule of 15:\n1️⃣ Take 15 g of fast sugar: 3 teaspoons of sugar or glucose in water, or half a glass (150 ml) of juice or regular cola\n2️⃣ Sit and rest for 15 minutes\n3️⃣ Check your sugar again and send me the number\n\n⏰ I'll remind you in 15 minutes.`,
+    hi: (reading) => `🍬 Aapki sugar low hai (${reading} mg/dL). Abhi yeh kariye - 15 ka niyam:\n1️⃣ 15 g jaldi asar wali cheeni lijiye: 3 chammach cheeni ya glucose paani mein, ya aadha glass (150 ml) juice ya normal cola\n2️⃣ 15 minute baith kar aaram kariye\n3️⃣ Sugar dobara check karke number bhejiye\n\n⏰ 15 minute mein yaad dilaunga.`,
+    hi_pure: (reading) => `🍬 आपकी शुगर कम है (${reading} mg/dL)। अभी यह कीजिए - 15 का नियम:\n1️⃣ 15 ग्राम जल्दी असर वाली चीनी लीजिए: 3 चम्मच चीनी या ग्लूकोज़ पानी में, या आधा गिलास (150 ml) जूस या सादा कोला\n2️⃣ 15 मिनट बैठकर आराम कीजिए\n3️⃣ शुगर दोबारा जांचकर नंबर भेजिए\n\n⏰ 15 मिनट में याद दिलाऊंगा।`,
+    kn: (reading) => `🍬 Nimma sugar low ide (${reading} mg/dL). Eega idannu maadi - 15 ra niyama:\n1️⃣ 15 g bega kelasa maaduva sakkare tagolli: 3 chamcha sakkare athava glucose neerinalli, athava ardha glass (150 ml) juice athava normal cola\n2️⃣ 15 nimisha kulitu vishranti tagolli\n3️⃣ Sugar matte check maadi number kalisi\n\n⏰ 15 nimishadalli nenapisuttene.`,
+    kn_pure: (reading) => `🍬 ನಿಮ್ಮ ಶುಗರ್ ಕಡಿಮೆ ಇದೆ (${reading} mg/dL). ಈಗ ಇದನ್ನು ಮಾಡಿ - 15 ರ ನಿಯಮ:\n1️⃣ 15 ಗ್ರಾಂ ಬೇಗ ಕೆಲಸ ಮಾಡುವ ಸಕ್ಕರೆ ತೆಗೆದುಕೊಳ್ಳಿ: 3 ಚಮಚ ಸಕ್ಕರೆ ಅಥವಾ ಗ್ಲೂಕೋಸ್ ನೀರಿನಲ್ಲಿ, ಅಥವಾ ಅರ್ಧ ಗ್ಲಾಸ್ (150 ml) ಜ್ಯೂಸ್ ಅಥವಾ ಸಾಮಾನ್ಯ ಕೋಲಾ\n2️⃣ 15 ನಿಮಿಷ ಕುಳಿತು ವಿಶ್ರಾಂತಿ ತೆಗೆದುಕೊಳ್ಳಿ\n3️⃣ ಶುಗರ್ ಮತ್ತೆ ಪರೀಕ್ಷಿಸಿ ನಂಬರ್ ಕಳುಹಿಸಿ\n\n⏰ 15 ನಿಮಿಷದಲ್ಲಿ ನೆನಪಿಸುತ್ತೇನೆ.`
+  },
+  repeat: {
+    en: (reading) => `🍬 Still low (${reading} mg/dL). Take another 15 g of fast sugar now (3 teaspoons of sugar or half a glass of juice), rest 15 minutes and check again.\n\n⏰ I'll remind you in 15 minutes.`,
+    hi: (reading) => `🍬 Abhi bhi low hai (${reading} mg/dL). Phir se 15 g cheeni lijiye (3 chammach cheeni ya aadha glass juice), 15 minute aaram karke dobara check kariye.\n\n⏰ 15 minute mein yaad dilaunga.`,
+    hi_pure: (reading) => `🍬 अभी भी कम है (${reading} mg/dL)। फिर से 15 ग्राम चीनी लीजिए (3 चम्मच चीनी या आधा गिलास जूस), 15 मिनट आराम करके दोबारा जांचिए।\n\n⏰ 15 मिनट में याद दिलाऊंगा।`,
+    kn: (reading) => `🍬 Innu low ide (${reading} mg/dL). Matte 15 g sakkare tagolli (3 chamcha sakkare athava ardha glass juice), 15 nimisha vishranti tagondu matte check maadi.\n\n⏰ 15 nimishadalli nenapisuttene.`,
+    kn_pure: (reading) => `🍬 ಇನ್ನೂ ಕಡಿಮೆ ಇದೆ (${reading} mg/dL). ಮತ್ತೆ 15 ಗ್ರಾಂ ಸಕ್ಕರೆ ತೆಗೆದುಕೊಳ್ಳಿ (3 ಚಮಚ ಸಕ್ಕರೆ ಅಥವಾ ಅರ್ಧ ಗ್ಲಾಸ್ ಜ್ಯೂಸ್), 15 ನಿಮಿಷ ವಿಶ್ರಾಂತಿ ತೆಗೆದುಕೊಂಡು ಮತ್ತೆ ಪರೀಕ್ಷಿಸಿ.\n\n⏰ 15 ನಿಮಿಷದಲ್ಲಿ ನೆನಪಿಸುತ್ತೇನೆ.`
+  },
+  recheck: {
+    en: () => '⏰ 15 minutes are up. Please check your sugar now and send me the number.',
+    hi: () => '⏰ 15 minute ho gaye. Abhi sugar check karke number bhejiye.',
+    hi_pure: () => '⏰ 15 मिनट हो गए। अभी शुगर जांचकर नंबर भेजिए।',
+    kn: () => '⏰ 15 nimisha aaytu. Eega sugar check maadi number kalisi.',
+    kn_pure: () => '⏰ 15 ನಿಮಿಷ ಆಯಿತು. ಈಗ ಶುಗರ್ ಪರೀಕ್ಷಿಸಿ ನಂಬರ್ ಕಳುಹಿಸಿ.'
+  },
+  recovered: {
+    en: (reading, minutes) => `✅ Good - your sugar is back to ${reading} mg/dL (${minutes} min). If your next meal is more than an hour away, eat a small snack like 2 rotis, a banana or biscuits with milk.`,
+    hi: (reading, minutes) => `✅ Badhiya - sugar wapas ${reading} mg/dL par hai (${minutes} min). Agla khana ek ghante se zyada door ho to thoda kuch khaiye - 2 roti, kela ya doodh ke saath biscuit.`,
+    hi_pure: (reading, minutes) => `✅ बढ़िया - शुगर वापस ${reading} mg/dL पर है (${minutes} मिनट)। अगला खाना एक घंटे से ज़्यादा दूर हो तो थोड़ा कुछ खाइए - 2 रोटी, केला या दूध के साथ बिस्कुट।`,
+    kn: (reading, minutes) => `✅ Olleyadu - sugar matte ${reading} mg/dL ge bandide (${minutes} nimisha). Mundina oota ondu ganteginta jaasti dooradalli iddare swalpa tindi tinni - 2 chapati, baalehannu athava haalina jothe biscuit.`,
+    kn_pure: (reading, minutes) => `✅ ಒಳ್ಳೆಯದು - ಶುಗರ್ ಮತ್ತೆ ${reading} mg/dL ಗೆ ಬಂದಿದೆ (${minutes} ನಿಮಿಷ). ಮುಂದಿನ ಊಟ ಒಂದು ಗಂಟೆಗಿಂತ ಹೆಚ್ಚು ದೂರದಲ್ಲಿದ್ದರೆ ಸ್ವಲ್ಪ ತಿಂಡಿ ತಿನ್ನಿ - 2 ಚಪಾತಿ, ಬಾಳೆಹಣ್ಣು ಅಥವಾ ಹಾಲಿನ ಜೊತೆ ಬಿಸ್ಕತ್ತು.`
+  },
+  stillLow: {
+    en: (reading, rounds) => `🚨 Your sugar is still low (${reading} mg/dL) after ${rounds} rounds. Take 15 g of sugar again now, and call 108 or go to the nearest hospital if you don't feel better.`,
+    hi: (reading, rounds) => `🚨 ${rounds} baar ke baad bhi sugar low hai (${reading} mg/dL). Abhi phir 15 g cheeni lijiye, aur theek na lage to 108 par call kariye ya paas ke hospital jaiye.`,
+    hi_pure: (reading, rounds) => `🚨 ${rounds} बार के बाद भी शुगर कम है (${reading} mg/dL)। अभी फिर 15 ग्राम चीनी लीजिए, और ठीक न लगे तो 108 पर कॉल कीजिए या पास के अस्पताल जाइए।`,
+    kn: (reading, rounds) => `🚨 ${rounds} sala aadaroo sugar innu low (${reading} mg/dL). Eega matte 15 g sakkare tagolli, sari anisadiddare 108 ge call maadi athava hattirada aaspatrege hogi.`,
+    kn_pure: (reading, rounds) => `🚨 ${rounds} ಸಲ ಆದರೂ ಶುಗರ್ ಇನ್ನೂ ಕಡಿಮೆ (${reading} mg/dL). ಈಗ ಮತ್ತೆ 15 ಗ್ರಾಂ ಸಕ್ಕರೆ ತೆಗೆದುಕೊಳ್ಳಿ, ಸರಿ ಅನಿಸದಿದ್ದರೆ 108 ಗೆ ಕರೆ ಮಾಡಿ ಅಥವಾ ಹತ್ತಿರದ ಆಸ್ಪತ್ರೆಗೆ ಹೋಗಿ.`
+  },
+  noReply: {
+    en: () => `📞 I didn't hear back from you. Please send your sugar reading as soon as you can.`,
+    hi: () => `📞 Aapka jawab nahi aaya. Jitni jaldi ho sake sugar reading bhejiye.`,
+    hi_pure: () => `📞 आपका जवाब नहीं आया। जितनी जल्दी हो सके शुगर रीडिंग भेजिए।`,
+    kn: () => `📞 Nimminda uttara baralilla. Aadashtu bega sugar reading kalisi.`,
+    kn_pure: () => `📞 ನಿಮ್ಮಿಂದ ಉತ್ತರ ಬರಲಿಲ್ಲ. ಆದಷ್ಟು ಬೇಗ ಶುಗರ್ ರೀಡಿಂಗ್ ಕಳುಹಿಸಿ.`
+  },
+  informed: {
+    en: (withContact) => `I have informed your doctor${withContact ? ' and your emergency contact' : ''}.`,
+    hi: (withContact) => `Maine aapke doctor${withContact ? ' aur emergency contact' : ''} ko bata diya hai.`,
+    hi_pure: (withContact) => `मैंने आपके डॉक्टर${withContact ? ' और इमरजेंसी संपर्क' : ''} को बता दिया है।`,
+    kn: (withContact) => `Nimma doctor${withContact ? ' mattu emergency contact' : ''} ge tilisiddene.`,
+    kn_pure: (withContact) => `ನಿಮ್ಮ ಡಾಕ್ಟರ್${withContact ? ' ಮತ್ತು ತುರ್ತು ಸಂಪರ್ಕ' : ''} ಗೆ ತಿಳಿಸಿದ್ದೇನೆ.`
+  },
+  // To the emergency contact, in the patient's language
+  contactNoReply: {
+    en: (name, reading, minutes) => `🚨 ${name} had low sugar (${reading} mg/dL) ${minutes} minutes ago and hasn't replied to Gluco Sahayak. Please call or check on them now.`,
+    hi: (name, reading, minutes) => `🚨 ${name} ki sugar ${minutes} minute pehle low thi (${reading} mg/dL) aur unhone Gluco Sahayak ko jawab nahi diya. Kripya abhi unhe call kariye ya dekhiye.`,
+    hi_pure: (name, reading, minutes) => `🚨 ${name} की शुगर ${minutes} मिनट पहले कम थी (${reading} mg/dL) और उन्होंने Gluco Sahayak को जवाब नहीं दिया। कृपया अभी उन्हें कॉल कीजिए या देखिए।`,
+    kn: (name, reading, minutes) => `🚨 ${name} avara sugar ${minutes} nimishada hinde low ittu (${reading} mg/dL), avaru Gluco Sahayak ge uttara kottilla. Dayavittu eega call maadi athava nodi.`,
+    kn_pure: (name, reading, minutes) => `🚨 ${name} ಅವರ ಶುಗರ್ ${minutes} ನಿಮಿಷದ ಹಿಂದೆ ಕಡಿಮೆ ಇತ್ತು (${reading} mg/dL), ಅವರು Gluco Sahayak ಗೆ ಉತ್ತರ ಕೊಟ್ಟಿಲ್ಲ. ದಯವಿಟ್ಟು ಈಗ ಕರೆ ಮಾಡಿ ಅಥವಾ ನೋಡಿ.`
+  },
+  contactStillLow: {
+    en: (name, reading, rounds) => `🚨 ${name}'s sugar is still low (${reading} mg/dL) after ${rounds} rounds of treatment. Please be with them, and call 108 if they are confused or drowsy.`,
+    hi: (name, reading, rounds) => `🚨 ${name} ki sugar ${rounds} baar ilaaj ke baad bhi low hai (${reading} mg/dL). Kripya unke saath rahiye, aur ghabrahat ya neend jaisi haalat ho to 108 par call kariye.`,
+    hi_pure: (name, reading, rounds) => `🚨 ${name} की शुगर ${rounds} बार इलाज के बाद भी कम है (${reading} mg/dL)। कृपया उनके साथ रहिए, और घबराहट या नींद जैसी हालत हो तो 108 पर कॉल कीजिए।`,
+    kn: (name, reading, rounds) => `🚨 ${name} avara sugar ${rounds} sala chikitse nantaravoo low (${reading} mg/dL). Dayavittu avara jothe iri, gondala athava nidde bandante iddare 108 ge call maadi.`,
+    kn_pure: (name, reading, rounds) => `🚨 ${name} ಅವರ ಶುಗರ್ ${rounds} ಸಲ ಚಿಕಿತ್ಸೆ ನಂತರವೂ ಕಡಿಮೆ (${reading} mg/dL). ದಯವಿಟ್ಟು ಅವರ ಜೊತೆ ಇರಿ, ಗೊಂದಲ ಅಥವಾ ನಿದ್ದೆ ಬಂದಂತೆ ಇದ್ದರೆ 108 ಗೆ ಕರೆ ಮಾಡಿ.`
+  },
+  contactRecovered: {
+    en: (name, reading) => `✅ Update: ${name}'s sugar is back to ${reading} mg/dL.`,
+    hi: (name, reading) => `✅ Update: ${name} ki sugar wapas ${reading} mg/dL par hai.`,
+    hi_pure: (name, reading) => `✅ अपडेट: ${name} की शुगर वापस ${reading} mg/dL पर है।`,
+    kn: (name, reading) => `✅ Update: ${name} avara sugar matte ${reading} mg/dL ge bandide.`,
+    kn_pure: (name, reading) => `✅ ಅಪ್‌ಡೇಟ್: ${name} ಅವರ ಶುಗರ್ ಮತ್ತೆ ${reading} mg/dL ಗೆ ಬಂದಿದೆ.`
+  }
+};
+
+// script_pref ("hi_pure") first, then the base language, then English
+function hypoText(key, script, ...args) {
+  const texts = HYPO_MESSAGES[key];
+  return (texts[script] || texts[script.replace('_pure', '')] || texts.en)(...args);
+}
+
+const minutesBetween = (from, to) => Math.round((to - from) / (60 * 1000));
+
+// 'escalating' is a sweep paging people right now - still an open episode
+const ACTIVE_HYPO_STATUSES = ['active', 'escalating', 'escalated'];
+
+async function sendHypoMessage(phone, text) {
+  return await sendWhatsAppMessage(phone, text, { purpose: 'alert', patientPhone: phone });
+}
+
+async function startHypoEpisode(patient, reading) {
+  const now = new Date();
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  const severe = reading.reading < HYPO_PROTOCOL.severeThreshold;
+  
+  const text = severe
+    ? `${hypoText('severe', lang)}\n\n${hypoText('treat', lang, reading.reading)}`
+    : hypoText('treat', lang, reading.reading);
+  const outboundId = await sendHypoMessage(patient.phone, text);
+  
+  const episode = await HypoEpisode.create({
+    patientPhone: patient.phone,
+    startedAt: reading.timestamp,
+    startReading: reading.reading,
+    startReadingId: reading._id,
+    severe,
+    treatments: [{ round: 1, at: now, reading: reading.reading, outboundId }],
+    lastReadingAt: now,
+    nextRecheckAt: new Date(now.getTime() + HYPO_PROTOCOL.recheckMinutes * 60 * 1000)
+  });
+  
+  console.log(`🍬 Hypo episode started for ${patient.phone}: ${reading.reading} mg/dL${severe ? ' (severe)' : ''}`);
+  return episode;
+}
+
+// Pages the emergency contact and the physician, once per reason: a "still low"
+// after a "no response" page goes out, a second "still low" doesn't. Each page
+// is saved as soon as it's sent so a retried escalation won't repeat it.
+// Returns whether the contact has been reached.
+async function escalateHypoEpisode(episode, patient, reason, lastReading) {
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  const name = patient.full_name || patient.phone;
+  const contact = patient.emergency_contact ? normalizePhone(patient.emergency_contact) : '';
+  const escalations = [...episode.escalations];
+  const paged = [];
+  
+  const alreadyPaged = (role) => escalations.some(e => e.role === role && e.reason === reason);
+  const page = async (to, role, text) => {
+    const outboundId = await sendWhatsAppMessage(to, text, {
+      purpose: 'alert',
+      patientPhone: patient.phone,
+      priority: OUTBOUND_PRIORITY.emergency
+    });
+    const escalation = { to, role, reason, at: new Date(), outboundId };
+    await HypoEpisode.updateOne({ _id: episode._id }, { $push: { escalations: escalation } });
+    escalations.push(escalation);
+    paged.push(role);
+  };
+  
+  if (await isTestAccount(patient.phone)) {
+    console.log(`🧪 Hypo escalation skipped for test account ${patient.phone}`);
+  } else {
+    if (contact.length >= 10 && contact !== patient.phone && !alreadyPaged('emergency_contact')) {
+      await page(contact, 'emergency_contact', reason === 'no_response'
+        ? hypoText('contactNoReply', lang, name, lastReading, minutesBetween(episode.startedAt, new Date()))
+        : hypoText('contactStillLow', lang, name, lastReading, episode.round));
+    }
+    
+    if (PHYSICIAN_PHONE && PHYSICIAN_PHONE !== '+919876543210' && !alreadyPaged('physician')) {
+      const contactNotified = escalations.some(e => e.role === 'emergency_contact');
+      await page(PHYSICIAN_PHONE, 'physician',
+        `🚨 HYPO - ${reason === 'no_response' ? 'NO RESPONSE' : 'STILL LOW'}\n` +
+        `Patient: ${name} (${patient.phone})\n` +
+        `Started: ${episode.startReading} mg/dL at ${formatReadingTime(episode.startedAt)}\n` +
+        `Rounds: ${episode.round}, last ${lastReading} mg/dL\n` +
+        `Emergency contact: ${patient.emergency_contact || 'none on file'}${contactNotified ? ' (notified)' : ''}`);
+    }
+  }
+  
+  // Unless a good reading closed it meanwhile
+  await HypoEpisode.updateOne({ _id: episode._id, status: { $in: ACTIVE_HYPO_STATUSES } }, {
+    status: 'escalated',
+    escalatedAt: episode.escalatedAt || new Date(),
+    escalationReason: reason
+  });
+  
+  console.log(`🚨 Hypo escalated for ${patient.phone} (${reason}) → ${paged.join(', ') || 'nobody new'}`);
+  return escalations.some(e => e.role === 'emergency_contact');
+}
+
+// A fresh reading: opens an episode if low, or counts as the recheck for an open one
+async function handleHypoReading(patient, reading) {
+  const phone = patient.phone;
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  const now = new Date();
+  const low = reading.reading < HYPO_PROTOCOL.threshold;
+  
+  const episode = await HypoEpisode.findOne({ patientPhone: phone, status: { $in: ACTIVE_HYPO_STATUSES } }).sort({ startedAt: -1 });
+  if (!episode) return low ? await startHypoEpisode(patient, reading) : null;
+  
+  episode.rechecks.push({ at: now, reading: reading.reading, readingId: reading._id });
+  episode.lastReadingAt = now;
+  
+  if (!low) {
+    const wasEscalated = episode.status !== 'active';
+    episode.status = 'recovered';
+    episode.recoveredAt = now;
+    episode.recoveryMinutes = minutesBetween(episode.startedAt, now);
+    episode.outcome = wasEscalated ? 'recovered_after_escalation' : 'recovered';
+    episode.endedAt = now;
+    episode.nextRecheckAt = undefined;
+    episode.responseDeadline = undefined;
+    await episode.save();
+    
+    await sendHypoMessage(phone, hypoText('recovered', lang, reading.reading, episode.recoveryMinutes));
+    // Whoever was paged hears that it's over, once each
+    const paged = [...new Map(episode.escalations.map(e => [e.to, e])).values()];
+    for (const e of paged) {
+      const text = e.role === 'physician'
+        ? `✅ HYPO RESOLVED\nPatient: ${patient.full_name || phone} (${phone})\nBack to ${reading.reading} mg/dL after ${episode.recoveryMinutes} min`
+        : hypoText('contactRecovered', lang, patient.full_name || phone, reading.reading);
+      await sendWhatsAppMessage(e.to, text, { purpose: 'alert', patientPhone: phone });
+    }
+    
+    console.log(`✅ Hypo recovered for ${phone}: ${reading.reading} mg/dL after ${episode.recoveryMinutes} min`);
+    return episode;
+  }
+  
+  if (episode.status === 'active' && episode.round < HYPO_PROTOCOL.maxRounds) {
+    episode.round += 1;
+    const outboundId = await sendHypoMessage(phone, hypoText('repeat', lang, reading.reading));
+    episode.treatments.push({ round: episode.round, at: now, reading: reading.reading, outboundId });
+    episode.nextRecheckAt = new Date(now.getTime() + HYPO_PROTOCOL.recheckMinutes * 60 * 1000);
+    episode.recheckPromptedAt = undefined;
+    episode.responseDeadline = undefined;
+    await episode.save();
+    
+    console.log(`🍬 Hypo round ${episode.round} for ${phone}: ${reading.reading} mg/dL`);
+    return episode;
+  }
+  
+  // Out of rounds (or already escalated and still low) - treat again, get people
+  // involved, and keep rechecking every 15 minutes
+  episode.nextRecheckAt = new Date(now.getTime() + HYPO_PROTOCOL.recheckMinutes * 60 * 1000);
+  episode.recheckPromptedAt = undefined;
+  episode.responseDeadline = undefined;
+  await episode.save();
+  const contactReached = await escalateHypoEpisode(episode, patient, 'still_low', reading.reading);
+  await sendHypoMessage(phone, `${hypoText('stillLow', lang, reading.reading, episode.round)}\n\n📞 ${hypoText('informed', lang, contactReached)}`);
+  return episode;
+}
+
+// Once a minute: recheck prompts, then escalation for prompts nobody answered
+async function followUpHypoEpisodes(now = new Date()) {
+  let episode;
+  
+  while ((episode = await HypoEpisode.findOneAndUpdate(
+    { status: { $in: ['active', 'escalated'] }, nextRecheckAt: { $lte: now }, recheckPromptedAt: { $exists: false } },
+    {
+      recheckPromptedAt: now,
+      responseDeadline: new Date(now.getTime() + HYPO_PROTOCOL.responseWindowMinutes * 60 * 1000)
+    },
+    { new: true }
+  ))) {
+    const patient = await Patient.findOne({ phone: episode.patientPhone });
+    await sendHypoMessage(episode.patientPhone, hypoText('recheck', patient?.script_pref || patient?.language_pref || 'en'));
+    console.log(`⏰ Hypo recheck prompt → ${episode.patientPhone}`);
+  }
+  
+  // Claim by status so a slow sweep can't escalate the same episode twice. The
+  // claimed episode comes back as it was, so a failed escalation can be put back
+  // for the next sweep (pages already sent aren't repeated).
+  const failed = [];
+  while ((episode = await HypoEpisode.findOneAndUpdate(
+    { _id: { $nin: failed }, status: { $in: ['active', 'escalated'] }, responseDeadline: { $lte: now } },
+    { status: 'escalating', $unset: { nextRecheckAt: 1, responseDeadline: 1 } }
+  ))) {
+    const patient = await Patient.findOne({ phone: episode.patientPhone });
+    if (!patient) {
+      await HypoEpisode.updateOne({ _id: episode._id }, { status: 'closed', outcome: 'no_response', endedAt: now });
+      continue;
+    }
+    
+    try {
+      const lang = patient.script_pref || patient.language_pref || 'en';
+      const last = episode.rechecks.length ? episode.rechecks[episode.rechecks.length - 1].reading : episode.startReading;
+      const contactReached = await escalateHypoEpisode(episode, patient, 'no_response', last);
+      await sendHypoMessage(patient.phone, `${hypoText('noReply', lang)}\n${hypoText('informed', lang, contactReached)}`);
+    } catch (error) {
+      console.error(`❌ Hypo escalation failed for ${episode.patientPhone}:`, error.message);
+      failed.push(episode._id);
+      await HypoEpisode.updateOne({ _id: episode._id, status: { $in: ['escalating', 'escalated'] } }, {
+        status: episode.status,
+        responseDeadline: episode.responseDeadline,
+        ...(episode.nextRecheckAt && { nextRecheckAt: episode.nextRecheckAt })
+      });
+    }
+  }
+  
+  // Escalated (or stuck mid-escalation) and the patient has stopped sending readings
+  const cutoff = new Date(now.getTime() - HYPO_PROTOCOL.closeAfterHours * 60 * 60 * 1000);
+  await HypoEpisode.updateMany(
+    {
+      status: { $in: ['escalated', 'escalating'] },
+      $or: [
+        { lastReadingAt: { $lte: cutoff } },
+        { lastReadingAt: { $exists: false }, startedAt: { $lte: cutoff } }
+      ]
+    },
+    { status: 'closed', outcome: 'no_response', endedAt: now, $unset: { nextRecheckAt: 1, responseDeadline: 1 } }
+  );
+}
+
+// A corrected or deleted reading that opened an episode may mean there was no
+// hypo; a reading corrected down to a low starts one
+async function syncHypoEpisodeAfterAmend(reading, patient) {
+  const episode = await HypoEpisode.findOne({
+    status: { $in: ACTIVE_HYPO_STATUSES },
+    $or: [{ startReadingId: reading._id }, { 'rechecks.readingId': reading._id }]
+  });
+  
+  if (!reading.voided && reading.reading < HYPO_PROTOCOL.threshold) {
+    // Corrected down to a low ("CORRECT 180 to 58"): handled like a fresh low reading
+    const isRecent = Date.now() - reading.timestamp.getTime() < RECENT_READING_HOURS * 60 * 60 * 1000;
+    if (!episode && isRecent) await handleHypoReading(patient, reading);
+    return;
+  }
+  if (!episode || !episode.startReadingId.equals(reading._id)) return;
+  
+  await HypoEpisode.updateOne({ _id: episode._id }, {
+    status: 'closed',
+    outcome: 'cancelled',
+    endedAt: new Date(),
+    $unset: { nextRecheckAt: 1, responseDeadline: 1 }
+  });
+  console.log(`↩️ Hypo episode for ${patient.phone} cancelled - starting reading was amended`);
+}
+
+async function formatHypoForPrompt(phone) {
+  const episode = await HypoEpisode.findOne({ patientPhone: phone, status: { $in: ACTIVE_HYPO_STATUSES } }).sort({ startedAt: -1 });
+  if (!episode) return null;
+  
+  const last = episode.rechecks.length ? episode.rechecks[episode.rechecks.length - 1].reading : episode.startReading;
+  return `HYPO PROTOCOL ACTIVE: started ${episode.startReading}mg/dL at ${formatReadingTime(episode.startedAt)}, ` +
+    `treatment round ${episode.round}, last ${last}mg/dL${episode.status === 'escalated' ? ', escalated to physician' : ''} - ` +
+    `keep to rule-of-15 advice and ask for a recheck reading`;
+}
+
+// ========================================
+// 📈 GLUCOSE ANALYTICS (numbers in analytics.js)
+// ========================================
+// The REPORT reply, the LLM context and /admin/analytics all call
+// getGlucoseAnalytics, so they always show the same figures.
+
+function analyticsOptions(targets, days) {
+  return {
+    days,
+    statusOf: (r) => classifyReading(r.reading, r.readingType, [], targets).status,
+    dayOf: (date) => localClock(date).date
+  };
+}
+
+async function getGlucoseAnalytics(phone, patient, days = 14) {
+  const readings = await GlucoseReading.find({
+    patientPhone: phone,
+    voided: { $ne: true },
+    timestamp: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+  });
+  
+  return computeGlucoseStats(readings, analyticsOptions(resolveGlycemicTargets(patient), days));
+}
+
+function formatStatsForPrompt(stats) {
+  if (stats.count === 0) return `LAST ${stats.days} DAYS: no readings`;
+  
+  const parts = [
+    `avg ${stats.mean}mg/dL over ${stats.count} readings`,
+    `${stats.target.inRange}% in this patient's target (${stats.target.below}% below, ${stats.target.above}% above)`,
+    `hypo events ${stats.hypoEvents.total}${stats.hypoEvents.level2 ? ` (${stats.hypoEvents.level2} below 54)` : ''}`
+  ];
+  if (stats.cv !== null) parts.push(`CV ${stats.cv}% (${stats.stable ? 'stable' : 'high variability'})`);
+  if (stats.fasting.count) parts.push(`fasting avg ${stats.fasting.mean}`);
+  if (stats.postMeal.count) parts.push(`post-meal avg ${stats.postMeal.mean}`);
+  if (stats.gmiReliable) parts.push(`GMI ${stats.gmi}%`);
+  
+  return `LAST ${stats.days} DAYS: ${parts.join(', ')}`;
+}
+
+const REPORT_MESSAGES = {
+  empty: {
+    en: (days) => `📊 No readings in the last ${days} days. Send one like "fasting 120" to get started!`,
+    hi: (days) => `📊 Pichhle ${days} din mein koi reading nahi. "fasting 120" jaise bhejiye!`,
+    kn: (days) => `📊 Kaleda ${days} dinagalalli yaavude reading illa. "fasting 120" heege kalisi!`
+  },
+  title: {
+    en: (days, count) => `📊 Your last ${days} days (${count} readings)`,
+    hi: (days, count) => `📊 Pichhle ${days} din (${count} readings)`,
+    kn: (days, count) => `📊 Kaleda ${days} dina (${count} readings)`
+  },
+  average: { en: 'Average', hi: 'Average', kn: 'Sarasari' },
+  inTarget: { en: 'In your target', hi: 'Target mein', kn: 'Target alli' },
+  high: { en: 'High', hi: 'High', kn: 'High' },
+  low: { en: 'Low', hi: 'Low', kn: 'Low' },
+  fasting: { en: 'Fasting avg', hi: 'Fasting avg', kn: 'Fasting avg' },
+  postMeal: { en: 'After meals', hi: 'Khane ke baad', kn: 'Oota nantara' },
+  hypos: { en: 'Low sugar episodes', hi: 'Low sugar episodes', kn: 'Low sugar episodes' },
+  stable: { en: 'Steady sugar 👍', hi: 'Sugar steady hai 👍', kn: 'Sugar steady ide 👍' },
+  swinging: { en: 'Sugar swinging a lot ⚠️', hi: 'Sugar bahut upar-neeche ho raha hai ⚠️', kn: 'Sugar thumba mele-kelage aagtide ⚠️' },
+  gmi: { en: 'Estimated HbA1c', hi: 'Andaazit HbA1c', kn: 'Andaaju HbA1c' },
+  streak: {
+    en: (n) => `🔥 Logged ${n} days in a row!`,
+    hi: (n) => `🔥 Lagataar ${n} din log kiya!`,
+    kn: (n) => `🔥 Sathatha ${n} dina log maadiddira!`
+  }
+};
+
+function formatPatientReport(stats, lang) {
+  const t = (key, ...args) => {
+    const entry = REPORT_MESSAGES[key][lang] || REPORT_MESSAGES[key].en;
+    return typeof entry === 'function' ? entry(...args) : entry;
+  };
+  
+  if (stats.count === 0) return t('empty', stats.days);
+  
+  const lines = [
+    t('title', stats.days, stats.count),
+    `• ${t('average')}: ${stats.mean} mg/dL`,
+    `• ${t('inTarget')}: ${stats.target.inRange}% ✅ | ${t('high')}: ${stats.target.above}% | ${t('low')}: ${stats.target.below}%`
+  ];
+  
+  const meals = [];
+  if (stats.fasting.count) meals.push(`${t('fasting')}: ${stats.fasting.mean}`);
+  if (stats.postMeal.count) meals.push(`${t('postMeal')}: ${stats.postMeal.mean}`);
+  if (meals.length) lines.push(`• ${meals.join(' · ')}`);
+  
+  if (stats.hypoEvents.total > 0) lines.push(`• ${t('hypos')}: ${stats.hypoEvents.total}`);
+  if (stats.stable !== null) lines.push(`• ${stats.stable ? t('stable') : t('swinging')}`);
+  if (stats.gmiReliable) lines.push(`• ${t('gmi')}: ~${stats.gmi}%`);
+  if (stats.streaks.loggingDays >= 3) lines.push('', t('streak', stats.streaks.loggingDays));
+  
+  return lines.join('\n');
+}
+
+// "summary", "stats 30" → text summary; "REPORT", "report 90" → PDF (see PDF REPORTS)
+async function handleReportCommand(phone, text, patient) {
+  const match = text.toLowerCase().trim().match(/^(?:my )?(report|summary|stats)(?:\s+(\d{1,3}))?(?:\s+days?)?$/);
+  if (!match) return null;
+  
+  const lang = patient.language_pref || 'en';
+  
+  if (match[1] === 'report') {
+    const days = Math.min(Math.max(parseInt(match[2]) || REPORT_PERIOD.defaultDays, 1), REPORT_PERIOD.maxDays);
+    try {
+      await sendReportPdf(patient, days);
+      return pdfReportText('sending', lang, days);
+    } catch (error) {
+      // No PDF (upload failed etc.) - the text summary still answers the question
+      console.error('❌ PDF report:', error.message);
+      return formatPatientReport(await getGlucoseAnalytics(phone, patient, days), lang);
+    }
+  }
+  
+  const days = Math.min(Math.max(parseInt(match[2]) || 7, 1), 90);
+  const stats = await getGlucoseAnalytics(phone, patient, days);
+  return formatPatientReport(stats, lang);
+}
+
+// ========================================
+// 📄 PDF REPORTS (layout in report.js)
+// ========================================
+// "REPORT" / "report 90" sends the patient a PDF they can show at clinic.
+// GET /admin/report/:phone gives clinicians the same file for any period.
+
+const REPORT_PERIOD = { defaultDays: 30, maxDays: 180 };
+
+const PDF_REPORT_MESSAGES = {
+  caption: {
+    en: (days) => `📄 Glucose report - last ${days} days`,
+    hi: (days) => `📄 Sugar report - pichhle ${days} din`,
+    kn: (days) => `📄 Sugar report - kaleda ${days} dina`
+  },
+  sending: {
+    en: (days) => `📄 Sending your report for the last ${days} days. Show it to your doctor at your next visit.`,
+    hi: (days) => `📄 Pichhle ${days} din ki report bhej raha hoon. Agli baar doctor ko dikhaiye.`,
+    kn: (days) => `📄 Kaleda ${days} dinada report kalisuttiddene. Mundina sala doctor ge torisi.`
+  }
+};
+
+const pdfReportText = (key, lang, ...args) => (PDF_REPORT_MESSAGES[key][lang] || PDF_REPORT_MESSAGES[key].en)(...args);
+
+// Everything report.js needs, for readings between from and to
+async function buildReportData(patient, from, to) {
+  const targets = resolveGlycemicTargets(patient);
+  const days = Math.max(1, Math.round((to - from) / (24 * 60 * 60 * 1000)));
+  const options = analyticsOptions(targets, days);
+  
+  const readings = await GlucoseReading.find({
+    patientPhone: patient.phone,
+    voided: { $ne: true },
+    timestamp: { $gte: from, $lte: to }
+  }).sort({ timestamp: 1 });
+  
+  const triage = await Triage.find({
+    patientPhone: patient.phone,
+    urgencyLevel: { $in: ['EMERGENCY', 'URGENT'] },
+    retractedAt: { $exists: false },
+    timestamp: { $gte: from, $lte: to }
+  }).sort({ timestamp: 1 });
+  
+  // Triage keeps no reading type; take it from the reading it was created with
+  const typeByTriage = new Map(readings.filter(r => r.triageId).map(r => [String(r.triageId), r.readingType]));
+  const eventKind = (t) => {
+    if (t.glucoseReading == null) return 'Symptoms';
+    const { status } = classifyReading(t.glucoseReading, typeByTriage.get(String(t._id)) || 'random', [], targets);
+    // Urgent on symptoms alone ("chest pain") with the reading in range
+    return status === 'low' ? 'Hypo' : status === 'high' ? 'Hyper' : 'Symptoms';
+  };
+  
+  return {
+    patient,
+    targetsLabel: `${targets.label}${targets.source === 'clinician' ? ' (set by clinician)' : ''}`,
+    targetBand: targets.types.random.target,
+    from,
+    to,
+    days,
+    timeZone: REMINDER_TIMEZONE,
+    readings: readings.map(r => ({
+      timestamp: r.timestamp,
+      reading: r.reading,
+      typeLabel: readingTypeInfo(r.readingType).label,
+      status: options.statusOf(r)
+    })),
+    stats: computeGlucoseStats(readings, { ...options, now: to }),
+    daily: dailySummaries(readings, options),
+    weekly: weeklySummaries(readings, options),
+    events: triage.map(t => ({
+      timestamp: t.timestamp,
+      kind: eventKind(t),
+      urgencyLevel: t.urgencyLevel,
+      glucoseReading: t.glucoseReading,
+      symptoms: t.symptoms
+    }))
+  };
+}
+
+async function sendReportPdf(patient, days) {
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  const lang = patient.language_pref || 'en';
+  
+  const pdf = await renderGlucoseReport(await buildReportData(patient, from, to));
+  const filename = `glucose-report-${localClock(to).date}.pdf`;
+  const mediaId = await uploadMediaToWhatsApp(pdf, filename, 'application/pdf');
+  
+  console.log(`📄 Report (${days} days, ${pdf.length} bytes) for ${patient.phone}`);
+  return await sendDocumentMessage(patient.phone, mediaId, filename, pdfReportText('caption', lang, days));
+}
+
+// ========================================
+// 📈 GLUCOSE GRAPH (drawing in chart.js)
+// ========================================
+// "GRAPH", "graph dikhao", "ಗ್ರಾಫ್", "graph 30" → a PNG chart as a WhatsApp
+// image. The image itself is only numbers. The caption and legend explain the
+// colours and shapes in the patient's language. Also attached to the weekly
+// digest unless WEEKLY_DIGEST_CHART=false.
+
+const GRAPH_DAYS = { default: 14, max: 90 };
+
+const GRAPH_COMMAND = /^(?:my |mera |meri )?(?:graph|chart|ग्राफ़?|ಗ್ರಾಫ್)(?:\s*(?:dikhao|dikhaiye|dikha|bhejo|torisi|kalisi|दिखाओ|दिखाइए|भेजो|ತೋರಿಸಿ|ಕಳುಹಿಸಿ))?(?:\s+(\d{1,2}))?(?:\s+days?)?$/;
+
+const GRAPH_MESSAGES = {
+  caption: {
+    en: (days) => `📈 Your sugar - last ${days} days`,
+    hi: (days) => `📈 Aapki sugar - pichhle ${days} din`,
+    kn: (days) => `📈 Nimma sugar - kaleda ${days} dina`
+  },
+  legend: {
+    en: () => '🟩 Green = good   🟧 Orange = high   🟥 Red = low\n■ before food   ▲ after food   ◆ night   ● other\nThe big mark is your latest reading.',
+    hi: () => '🟩 Hara = theek   🟧 Narangi = high   🟥 Laal = low\n■ khane se pehle   ▲ khane ke baad   ◆ raat   ● baaki\nBada nishaan aapki aakhri reading hai.',
+    kn: () => '🟩 Hasiru = sari   🟧 Kesari = high   🟥 Kempu = low\n■ oota munche   ▲ oota nantara   ◆ raatri   ● itara\nDodda gurutu nimma koneya reading.'
+  },
+  empty: {
+    en: (days) => `📈 No readings in the last ${days} days to draw yet. Send one like "fasting 120"!`,
+    hi: (days) => `📈 Pichhle ${days} din mein graph ke liye koi reading nahi. "fasting 120" jaise bhejiye!`,
+    kn: (days) => `📈 Kaleda ${days} dinagalalli graph ge yaavude reading illa. "fasting 120" heege kalisi!`
+  }
+};
+
+const graphText = (key, lang, ...args) => (GRAPH_MESSAGES[key][lang] || GRAPH_MESSAGES[key].en)(...args);
+
+// Sends the chart; null when there is nothing to draw
+async function sendGlucoseGraph(patient, days, { withLegend = false, ...options } = {}) {
+  const to = new Date();
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  const lang = patient.language_pref || 'en';
+  const statusOf = analyticsOptions(resolveGlycemicTargets(patient), days).statusOf;
+  
+  const readings = await GlucoseReading.find({
+    patientPhone: patient.phone,
+    voided: { $ne: true },
+    timestamp: { $gte: from, $lte: to }
+  });
+  if (readings.length === 0) return null;
+  
+  const png = renderGlucoseChart({
+    readings: readings.map(r => ({ timestamp: r.timestamp, reading: r.reading, readingType: r.readingType, status: statusOf(r) })),
+    from,
+    to,
+    timeZone: REMINDER_TIMEZONE
+  });
+  
+  const mediaId = await uploadMediaToWhatsApp(png, `glucose-${localClock(to).date}.png`, 'image/png');
+  const caption = withLegend ? `${graphText('caption', lang, days)}\n\n${graphText('legend', lang)}` : graphText('caption', lang, days);
+  
+  console.log(`📈 Graph (${days} days, ${readings.length} readings) for ${patient.phone}`);
+  return await sendImageMessage(patient.phone, mediaId, caption, options);
+}
+
+// "GRAPH" / "graph dikhao 30" → legend text (the image goes out first), otherwise null
+async function handleGraphCommand(phone, text, patient) {
+  // NFD so a precomposed "फ़" (U+095E) matches the फ + nukta in GRAPH_COMMAND
+  const match = normalizeDigits(text.normalize('NFD').toLowerCase().trim()).match(GRAPH_COMMAND);
+  if (!match) return null;
+  
+  const lang = patient.language_pref || 'en';
+  const days = Math.min(Math.max(parseInt(match[1]) || GRAPH_DAYS.default, 1), GRAPH_DAYS.max);
+  
+  try {
+    const sent = await sendGlucoseGraph(patient, days);
+    return sent ? graphText('legend', lang) : graphText('empty', lang, days);
+  } catch (error) {
+    console.error('❌ Graph:', error.message);
+    return formatPatientReport(await getGlucoseAnalytics(phone, patient, days), lang);
+  }
+}
+
+// ========================================
+// 📅 WEEKLY DIGEST
+// ========================================
+// Sunday evening, each onboarded patient who hasn't opted out gets a short
+// summary of their week in their own language and script. Patients who mostly
+// send voice notes get it as a voice note. DIGEST OFF / DIGEST ON toggle it,
+// and DIGEST shows this week's digest on demand.
+
+const WEEKLY_DIGEST = {
+  minGapDays: 6,          // guards against a double send after a restart
+  voiceMinMessages: 3,
+  voiceShare: 0.5,        // share of conversations that were voice notes
+  targetReadings: 7,      // at least one a day
+  adherenceGoal: 90
+};
+
+const DIGEST_MESSAGES = {
+  title: {
+    en: (from, to) => `📅 Your week (${from} – ${to})`,
+    hi: (from, to) => `📅 Aapka hafta (${from} – ${to})`,
+    hi_pure: (from, to) => `📅 आपका हफ्ता (${from} – ${to})`,
+    kn: (from, to) => `📅 Nimma vaara (${from} – ${to})`,
+    kn_pure: (from, to) => `📅 ನಿಮ್ಮ ವಾರ (${from} – ${to})`
+  },
+  empty: {
+    en: () => `📝 No readings this week. Even one reading a day helps your doctor see how you're doing.`,
+    hi: () => `📝 Is hafte koi reading nahi. Roz ek reading bhi doctor ko aapki sehat samajhne mein madad karti hai.`,
+    hi_pure: () => `📝 इस हफ्ते कोई रीडिंग नहीं। रोज़ एक रीडिंग भी डॉक्टर को आपकी सेहत समझने में मदद करती है।`,
+    kn: () => `📝 Ee vaara yaavude reading illa. Dinakke ondu reading kooda doctor ge nimma aarogya tiliyalu sahaaya maadutte.`,
+    kn_pure: () => `📝 ಈ ವಾರ ಯಾವುದೇ ರೀಡಿಂಗ್ ಇಲ್ಲ. ದಿನಕ್ಕೆ ಒಂದು ರೀಡಿಂಗ್ ಕೂಡ ಡಾಕ್ಟರ್‌ಗೆ ನಿಮ್ಮ ಆರೋಗ್ಯ ತಿಳಿಯಲು ಸಹಾಯ ಮಾಡುತ್ತದೆ.`
+  },
+  readings: {
+    en: (n) => `📝 Readings: ${n}`,
+    hi: (n) => `📝 Readings: ${n}`,
+    hi_pure: (n) => `📝 रीडिंग: ${n}`,
+    kn: (n) => `📝 Readings: ${n}`,
+    kn_pure: (n) => `📝 ರೀಡಿಂಗ್: ${n}`
+  },
+  average: {
+    en: (mean) => `📊 Average: ${mean} mg/dL`,
+    hi: (mean) => `📊 Average: ${mean} mg/dL`,
+    hi_pure: (mean) => `📊 औसत: ${mean} mg/dL`,
+    kn: (mean) => `📊 Sarasari: ${mean} mg/dL`,
+    kn_pure: (mean) => `📊 ಸರಾಸರಿ: ${mean} mg/dL`
+  },
+  inTarget: {
+    en: (pct) => `🎯 In your target: ${pct}%`,
+    hi: (pct) => `🎯 Target mein: ${pct}%`,
+    hi_pure: (pct) => `🎯 टारगेट में: ${pct}%`,
+    kn: (pct) => `🎯 Target alli: ${pct}%`,
+    kn_pure: (pct) => `🎯 ಟಾರ್ಗೆಟ್ ಒಳಗೆ: ${pct}%`
+  },
+  bestDay: {
+    en: (day, pct) => `🌟 Best day: ${day} (${pct}% in target)`,
+    hi: (day, pct) => `🌟 Sabse accha din: ${day} (${pct}% target mein)`,
+    hi_pure: (day, pct) => `🌟 सबसे अच्छा दिन: ${day} (${pct}% टारगेट में)`,
+    kn: (day, pct) => `🌟 Uttama dina: ${day} (${pct}% target alli)`,
+    kn_pure: (day, pct) => `🌟 ಉತ್ತಮ ದಿನ: ${day} (${pct}% ಟಾರ್ಗೆಟ್ ಒಳಗೆ)`
+  },
+  worstDay: {
+    en: (day, mean) => `⚠️ Toughest day: ${day} (avg ${mean})`,
+    hi: (day, mean) => `⚠️ Sabse mushkil din: ${day} (avg ${mean})`,
+    hi_pure: (day, mean) => `⚠️ सबसे मुश्किल दिन: ${day} (औसत ${mean})`,
+    kn: (day, mean) => `⚠️ Kashtada dina: ${day} (avg ${mean})`,
+    kn_pure: (day, mean) => `⚠️ ಕಷ್ಟದ ದಿನ: ${day} (ಸರಾಸರಿ ${mean})`
+  },
+  better: {
+    en: (delta) => `📈 ${delta}% more in target than last week 👏`,
+    hi: (delta) => `📈 Pichhle hafte se ${delta}% zyada target mein 👏`,
+    hi_pure: (delta) => `📈 पिछले हफ्ते से ${delta}% ज़्यादा टारगेट में 👏`,
+    kn: (delta) => `📈 Kaleda vaarakkinta ${delta}% jaasti target alli 👏`,
+    kn_pure: (delta) => `📈 ಕಳೆದ ವಾರಕ್ಕಿಂತ ${delta}% ಜಾಸ್ತಿ ಟಾರ್ಗೆಟ್ ಒಳಗೆ 👏`
+  },
+  worse: {
+    en: (delta) => `📉 ${delta}% less in target than last week`,
+    hi: (delta) => `📉 Pichhle hafte se ${delta}% kam target mein`,
+    hi_pure: (delta) => `📉 पिछले हफ्ते से ${delta}% कम टारगेट में`,
+    kn: (delta) => `📉 Kaleda vaarakkinta ${delta}% kadime target alli`,
+    kn_pure: (delta) => `📉 ಕಳೆದ ವಾರಕ್ಕಿಂತ ${delta}% ಕಡಿಮೆ ಟಾರ್ಗೆಟ್ ಒಳಗೆ`
+  },
+  same: {
+    en: () => `➡️ About the same as last week`,
+    hi: () => `➡️ Pichhle hafte jaisa hi`,
+    hi_pure: () => `➡️ पिछले हफ्ते जैसा ही`,
+    kn: () => `➡️ Kaleda vaarada haage`,
+    kn_pure: () => `➡️ ಕಳೆದ ವಾರದ ಹಾಗೆ`
+  },
+  adherence: {
+    en: (pct, taken, total) => `💊 Medicines taken: ${pct}% (${taken}/${total})`,
+    hi: (pct, taken, total) => `💊 Dawai li: ${pct}% (${taken}/${total})`,
+    hi_pure: (pct, taken, total) => `💊 दवाई ली: ${pct}% (${taken}/${total})`,
+    kn: (pct, taken, total) => `💊 Maatre tagondiddu: ${pct}% (${taken}/${total})`,
+    kn_pure: (pct, taken, total) => `💊 ಮಾತ್ರೆ ತಗೊಂಡಿದ್ದು: ${pct}% (${taken}/${total})`
+  },
+  goalTitle: {
+    en: () => '🎯 Goal for next week:',
+    hi: () => '🎯 Agle hafte ka goal:',
+    hi_pure: () => '🎯 अगले हफ्ते का लक्ष्य:',
+    kn: () => '🎯 Mundina vaarada goal:',
+    kn_pure: () => '🎯 ಮುಂದಿನ ವಾರದ ಗುರಿ:'
+  },
+  avoidLows: {
+    en: () => `No lows: don't skip meals, and keep glucose tablets or sugar with you.`,
+    hi: () => `Low se bachiye: khana mat chhodiye, glucose ya cheeni saath rakhiye.`,
+    hi_pure: () => `लो शुगर से बचें: खाना न छोड़ें, ग्लूकोज़ या चीनी साथ रखें।`,
+    kn: () => `Low aagadante: oota bidabedi, glucose athava sakkare jothege itkolli.`,
+    kn_pure: () => `ಲೋ ಆಗದಂತೆ: ಊಟ ಬಿಡಬೇಡಿ, ಗ್ಲೂಕೋಸ್ ಅಥವಾ ಸಕ್ಕರೆ ಜೊತೆಗೆ ಇಟ್ಟುಕೊಳ್ಳಿ.`
+  },
+  logMore: {
+    en: (n) => `Log at least one reading every day (${n}+ this week).`,
+    hi: (n) => `Roz kam se kam ek reading log kariye (${n}+ readings).`,
+    hi_pure: (n) => `रोज़ कम से कम एक रीडिंग भेजिए (${n}+ रीडिंग)।`,
+    kn: (n) => `Dinakke kaneshtha ondu reading log maadi (${n}+ readings).`,
+    kn_pure: (n) => `ದಿನಕ್ಕೆ ಕನಿಷ್ಠ ಒಂದು ರೀಡಿಂಗ್ ಕಳುಹಿಸಿ (${n}+ ರೀಡಿಂಗ್).`
+  },
+  takeMeds: {
+    en: (pct) => `Take every dose - aim for ${pct}% or more.`,
+    hi: (pct) => `Har dose lijiye - ${pct}% ya usse zyada ka goal.`,
+    hi_pure: (pct) => `हर खुराक लें - ${pct}% या उससे ज़्यादा का लक्ष्य।`,
+    kn: (pct) => `Ella dose tagolli - ${pct}% athava jaasti goal.`,
+    kn_pure: (pct) => `ಎಲ್ಲಾ ಡೋಸ್ ತಗೊಳ್ಳಿ - ${pct}% ಅಥವಾ ಜಾಸ್ತಿ ಗುರಿ.`
+  },
+  walkAfterMeals: {
+    en: () => `Walk for 10 minutes after your biggest meal every day.`,
+    hi: () => `Roz sabse bade khane ke baad 10 minute walk kariye.`,
+    hi_pure: () => `रोज़ सबसे बड़े खाने के बाद 10 मिनट टहलिए।`,
+    kn: () => `Dina doddha oota aada mele 10 nimisha nadeyiri.`,
+    kn_pure: () => `ದಿನಾ ದೊಡ್ಡ ಊಟ ಆದ ಮೇಲೆ 10 ನಿಮಿಷ ನಡೆಯಿರಿ.`
+  },
+  lighterDinner: {
+    en: () => `Have dinner a little earlier and lighter to bring fasting sugar down.`,
+    hi: () => `Fasting sugar kam karne ke liye dinner thoda jaldi aur halka kariye.`,
+    hi_pure: () => `फ़ास्टिंग शुगर कम करने के लिए रात का खाना थोड़ा जल्दी और हल्का खाएं।`,
+    kn: () => `Fasting sugar kadime maadalu raatri oota swalpa bega mattu haguravaagi maadi.`,
+    kn_pure: () => `ಫಾಸ್ಟಿಂಗ್ ಶುಗರ್ ಕಡಿಮೆ ಮಾಡಲು ರಾತ್ರಿ ಊಟ ಸ್ವಲ್ಪ ಬೇಗ ಮತ್ತು ಹಗುರವಾಗಿ ಮಾಡಿ.`
+  },
+  keepGoing: {
+    en: (pct) => `Keep it up - aim for ${pct}% in target.`,
+    hi: (pct) => `Aise hi chaliye - ${pct}% target mein ka goal.`,
+    hi_pure: (pct) => `ऐसे ही जारी रखें - ${pct}% टारगेट में का लक्ष्य।`,
+    kn: (pct) => `Heege munduvarisi - ${pct}% target alli goal.`,
+    kn_pure: (pct) => `ಹೀಗೇ ಮುಂದುವರಿಸಿ - ${pct}% ಟಾರ್ಗೆಟ್ ಒಳಗೆ ಗುರಿ.`
+  },
+  footer: {
+    en: () => 'Reply DIGEST OFF to stop these weekly updates.',
+    hi: () => 'Yeh weekly update band karne ke liye DIGEST OFF bhejiye.',
+    hi_pure: () => 'ये साप्ताहिक अपडेट बंद करने के लिए DIGEST OFF भेजें।',
+    kn: () => 'Ee weekly update nillisalu DIGEST OFF kalisi.',
+    kn_pure: () => 'ಈ ವಾರದ ಅಪ್‌ಡೇಟ್ ನಿಲ್ಲಿಸಲು DIGEST OFF ಕಳುಹಿಸಿ.'
+  },
+  optedOut: {
+    en: () => '🔕 Weekly digest turned off. Send DIGEST ON to turn it back on.',
+    hi: () => '🔕 Weekly digest band. Wapas chalu karne ke liye DIGEST ON bhejiye.',
+    hi_pure: () => '🔕 साप्ताहिक अपडेट बंद। फिर से चालू करने के लिए DIGEST ON भेजें।',
+    kn: () => '🔕 Weekly digest nillisalaagide. Matte shuru maadalu DIGEST ON kalisi.',
+    kn_pure: () => '🔕 ವಾರದ ಅಪ್‌ಡೇಟ್ ನಿಲ್ಲಿಸಲಾಗಿದೆ. ಮತ್ತೆ ಶುರು ಮಾಡಲು DIGEST ON ಕಳುಹಿಸಿ.'
+  },
+  optedIn: {
+    en: () => `🔔 Weekly digest is on - you'll get it every Sunday evening.`,
+    hi: () => '🔔 Weekly digest chalu - har Sunday shaam milega.',
+    hi_pure: () => '🔔 साप्ताहिक अपडेट चालू - हर रविवार शाम मिलेगा।',
+    kn: () => '🔔 Weekly digest shuru - prathi Sunday sanje baruttade.',
+    kn_pure: () => '🔔 ವಾರದ ಅಪ್‌ಡೇಟ್ ಶುರು - ಪ್ರತಿ ಭಾನುವಾರ ಸಂಜೆ ಬರುತ್ತದೆ.'
+  }
+};
+
+// script_pref ("hi_pure") first, then the base language, then English
+function digestText(key, script, ...args) {
+  const texts = DIGEST_MESSAGES[key];
+  return (texts[script] || texts[script.replace('_pure', '')] || texts.en)(...args);
+}
+
+const DIGEST_LOCALES = { hi_pure: 'hi-IN', kn_pure: 'kn-IN' };
+
+// "2026-10-13" → "Tue, 13 Oct" (in Devanagari / Kannada for the native scripts)
+function formatDigestDay(isoDate, script) {
+  return new Intl.DateTimeFormat(DIGEST_LOCALES[script] || 'en-IN', {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+  }).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+// Safety first, then habits, then fine-tuning - one goal only
+function pickWeeklyGoal(stats, adherence, targets) {
+  if (stats.hypoEvents.total > 0) return ['avoidLows'];
+  if (stats.count < WEEKLY_DIGEST.targetReadings) return ['logMore', WEEKLY_DIGEST.targetReadings];
+  if (adherence.overall.percent !== null && adherence.overall.percent < WEEKLY_DIGEST.adherenceGoal) {
+    return ['takeMeds', WEEKLY_DIGEST.adherenceGoal];
+  }
+  if (stats.postMeal.count && stats.postMeal.mean > targets.types.post_meal.target[1]) return ['walkAfterMeals'];
+  if (stats.fasting.count && stats.fasting.mean > targets.types.fasting.target[1]) return ['lighterDinner'];
+  return ['keepGoing', Math.min(100, Math.ceil(((stats.target.inRange || 0) + 5) / 5) * 5)];
+}
+
+async function buildWeeklyDigest(patient, now = new Date()) {
+  const script = patient.script_pref || patient.language_pref || 'en';
+  const targets = resolveGlycemicTargets(patient);
+  const options = analyticsOptions(targets, 7);
+  const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+  
+  const readings = await GlucoseReading.find({
+    patientPhone: patient.phone,
+    voided: { $ne: true },
+    timestamp: { $gte: new Date(weekAgo.getTime() - 7 * 24 * 60 * 60 * 1000), $lte: now }
+  });
+  
+  const thisWeek = readings.filter(r => r.timestamp >= weekAgo);
+  const stats = computeGlucoseStats(thisWeek, { ...options, now });
+  const previous = computeGlucoseStats(readings.filter(r => r.timestamp < weekAgo), { ...options, now: weekAgo });
+  const adherence = await getAdherence(patient.phone, 7);
+  
+  const lines = [digestText('title', script,
+    formatDigestDay(localClock(new Date(weekAgo.getTime() + 24 * 60 * 60 * 1000)).date, script),
+    formatDigestDay(localClock(now).date, script)), ''];
+  
+  if (stats.count === 0) {
+    lines.push(digestText('empty', script));
+  } else {
+    lines.push(
+      digestText('readings', script, stats.count),
+      digestText('average', script, stats.mean),
+      digestText('inTarget', script, stats.target.inRange)
+    );
+    
+    const days = dailySummaries(thisWeek, options);
+    if (days.length >= 2) {
+      const best = [...days].sort((a, b) => b.inTarget - a.inTarget || b.count - a.count)[0];
+      const worst = [...days].sort((a, b) => a.inTarget - b.inTarget || b.mean - a.mean)[0];
+      lines.push(digestText('bestDay', script, formatDigestDay(best.date, script), best.inTarget));
+      if (worst.date !== best.date) lines.push(digestText('worstDay', script, formatDigestDay(worst.date, script), worst.mean));
+    }
+    
+    if (previous.count > 0) {
+      const delta = stats.target.inRange - previous.target.inRange;
+      const comparison = delta >= 5 ? digestText('better', script, delta)
+        : delta <= -5 ? digestText('worse', script, -delta)
+        : digestText('same', script);
+      lines.push(`${comparison} (${previous.mean} → ${stats.mean} mg/dL)`);
+    }
+  }
+  
+  if (adherence.overall.total > 0) {
+    lines.push(digestText('adherence', script, adherence.overall.percent, adherence.overall.taken, adherence.overall.total));
+  }
+  
+  const [goal, ...goalArgs] = pickWeeklyGoal(stats, adherence, targets);
+  lines.push('', digestText('goalTitle', script), digestText(goal, script, ...goalArgs));
+  
+  return { script, stats, previous, goal, text: lines.join('\n'), footer: digestText('footer', script) };
+}
+
+const prefersVoice = (patient) =>
+  patient.voiceMessagesCount >= WEEKLY_DIGEST.voiceMinMessages &&
+  patient.voiceMessagesCount >= (patient.totalConversations || 0) * WEEKLY_DIGEST.voiceShare;
+
+// Emoji and symbols read badly through TTS
+const toSpokenText = (text) => text
+  .replace(/[\u{1F300}-\u{1FAFF}\u{2600}-\u{27BF}\u{2B00}-\u{2BFF}\u{FE0F}\u{200D}]/gu, '')
+  .replace(/→/g, 'to')
+  .replace(/^\s+/gm, '');
+
+async function sendWeeklyDigest(patient, now = new Date()) {
+  const digest = await buildWeeklyDigest(patient, now);
+  
+  let sentAsVoice = false;
+  if (voiceEnabled && prefersVoice(patient)) {
+    sentAsVoice = await sendVoiceResponse(patient.phone, toSpokenText(digest.text), digest.script, { purpose: 'reminder' });
+  }
+  // Voice patients still get the footer, so they can find DIGEST OFF
+  await sendWhatsAppMessage(patient.phone, sentAsVoice ? digest.footer : `${digest.text}\n\n${digest.footer}`, { purpose: 'reminder' });
+  
+  if (WEEKLY_DIGEST_CHART && digest.stats.count > 0) {
+    try {
+      await sendGlucoseGraph(patient, 7, { withLegend: true, purpose: 'reminder' });
+    } catch (error) {
+      console.error(`❌ Digest graph for ${patient.phone}:`, error.message);
+    }
+  }
+  
+  await Patient.updateOne({ _id: patient._id }, { lastDigestAt: now });
+  return { ...digest, sentAsVoice };
+}
+
+async function sendWeeklyDigests(now = new Date()) {
+  const patients = await Patient.find({
+    onboarding_completed: true,
+    is_test: { $ne: true },
+    'reminderPreferences.weeklyDigest': { $ne: false },
+    $or: [
+      { lastDigestAt: { $exists: false } },
+      { lastDigestAt: { $lt: new Date(now.getTime() - WEEKLY_DIGEST.minGapDays * 24 * 60 * 60 * 1000) } }
+    ]
+  });
+  
+  let voice = 0;
+  for (const patient of patients) {
+    try {
+      if ((await sendWeeklyDigest(patient, now)).sentAsVoice) voice++;
+    } catch (error) {
+      console.error(`❌ Weekly digest for ${patient.phone}:`, error.message);
+    }
+  }
+  
+  console.log(`📅 Weekly digest: ${patients.length} patients (${voice} as voice notes)`);
+}
+
+// "DIGEST OFF" / "DIGEST ON" / "DIGEST" → reply text, otherwise null
+async function handleDigestCommand(phone, text, patient) {
+  const lower = text.toLowerCase().trim();
+  const script = patient.script_pref || patient.language_pref || 'en';
+  
+  if (/^(digest (off|stop)|stop digest)$/.test(lower)) {
+    await Patient.updateOne({ phone }, { 'reminderPreferences.weeklyDigest': false });
+    return digestText('optedOut', script);
+  }
+  if (/^(digest (on|start)|start digest)$/.test(lower)) {
+    await Patient.updateOne({ phone }, { 'reminderPreferences.weeklyDigest': true });
+    return digestText('optedIn', script);
+  }
+  if (/^(my )?(weekly )?digest$/.test(lower)) {
+    return (await buildWeeklyDigest(patient)).text;
+  }
+  
+  return null;
+}
+
+// ========================================
+// 🔍 NIGHTLY PATTERN DETECTION (rules in analytics.js)
+// ========================================
+// Each night every patient with recent readings is checked for recurring
+// patterns. A pattern is stored once per (patient, key) and kept up to date
+// while it lasts. It is resolved on the first night it's no longer seen. The
+// patient gets one insight message per night; clinical patterns also go to the
+// physician. A pattern that continues isn't re-sent for PATTERN_DETECTION.renotifyDays.
+
+const PATTERN_DETECTION = {
+  windowDays: 14,
+  renotifyDays: 7
+};
+
+const SLOT_LABELS = {
+  night: { en: 'at night', hi: 'raat mein', hi_pure: 'रात में', kn: 'raatri', kn_pure: 'ರಾತ್ರಿ' },
+  morning: { en: 'in the morning', hi: 'subah', hi_pure: 'सुबह', kn: 'beligge', kn_pure: 'ಬೆಳಿಗ್ಗೆ' },
+  afternoon: { en: 'in the afternoon', hi: 'dopahar mein', hi_pure: 'दोपहर में', kn: 'madhyahna', kn_pure: 'ಮಧ್ಯಾಹ್ನ' },
+  evening: { en: 'in the evening', hi: 'shaam ko', hi_pure: 'शाम को', kn: 'sanje', kn_pure: 'ಸಂಜೆ' },
+  late_evening: { en: 'late in the evening', hi: 'der shaam', hi_pure: 'देर शाम', kn: 'thada sanje', kn_pure: 'ತಡ ಸಂಜೆ' }
+};
+
+const MEAL_LABELS = {
+  breakfast: { en: 'breakfast', hi: 'nashte', hi_pure: 'नाश्ते', kn: 'tindi', kn_pure: 'ತಿಂಡಿ' },
+  lunch: { en: 'lunch', hi: 'lunch', hi_pure: 'दोपहर के खाने', kn: 'madhyahna oota', kn_pure: 'ಮಧ್ಯಾಹ್ನದ ಊಟ' },
+  dinner: { en: 'dinner', hi: 'dinner', hi_pure: 'रात के खाने', kn: 'raatri oota', kn_pure: 'ರಾತ್ರಿ ಊಟ' }
+};
+
+const PATTERN_MESSAGES = {
+  intro: {
+    en: () => '🔍 I looked at your recent readings and noticed:',
+    hi: () => '🔍 Aapki pichhli readings dekh kar yeh paaya:',
+    hi_pure: () => '🔍 आपकी पिछली रीडिंग देखकर यह पाया:',
+    kn: () => '🔍 Nimma itteechina readings nodi idannu gamanisiddene:',
+    kn_pure: () => '🔍 ನಿಮ್ಮ ಇತ್ತೀಚಿನ ರೀಡಿಂಗ್ ನೋಡಿ ಇದನ್ನು ಗಮನಿಸಿದ್ದೇನೆ:'
+  },
+  dawn_phenomenon: {
+    en: (d) => `🌅 Fasting sugar has been high on ${d.days} mornings (avg ${d.fastingMean}) while bedtime is fine (avg ${d.bedtimeMean}). Sugar is rising overnight.`,
+    hi: (d) => `🌅 ${d.days} subah fasting sugar high rahi (avg ${d.fastingMean}), jabki sone se pehle theek thi (avg ${d.bedtimeMean}). Raat mein sugar badh rahi hai.`,
+    hi_pure: (d) => `🌅 ${d.days} सुबह फास्टिंग शुगर ज़्यादा रही (औसत ${d.fastingMean}), जबकि सोने से पहले ठीक थी (औसत ${d.bedtimeMean})। रात में शुगर बढ़ रही है।`,
+    kn: (d) => `🌅 ${d.days} beligge fasting sugar high ittu (avg ${d.fastingMean}), malaguva munche sari ittu (avg ${d.bedtimeMean}). Raatri sugar eruttide.`,
+    kn_pure: (d) => `🌅 ${d.days} ಬೆಳಿಗ್ಗೆ ಫಾಸ್ಟಿಂಗ್ ಶುಗರ್ ಹೆಚ್ಚು ಇತ್ತು (ಸರಾಸರಿ ${d.fastingMean}), ಮಲಗುವ ಮುನ್ನ ಸರಿ ಇತ್ತು (ಸರಾಸರಿ ${d.bedtimeMean}). ರಾತ್ರಿ ಶುಗರ್ ಏರುತ್ತಿದೆ.`
+  },
+  nocturnal_hypo: {
+    en: (d) => `🌙 Sugar went low at night on ${d.days} days (lowest ${d.lowest}). Keep a snack by your bed and check your sugar if you wake up sweaty or shaky.`,
+    hi: (d) => `🌙 ${d.days} din raat mein sugar low hui (sabse kam ${d.lowest}). Bistar ke paas kuch khane ko rakhiye, aur paseena ya kaanpna ho to sugar check kariye.`,
+    hi_pure: (d) => `🌙 ${d.days} दिन रात में शुगर कम हुई (सबसे कम ${d.lowest})। बिस्तर के पास कुछ खाने को रखिए, और पसीना या कांपना हो तो शुगर जांचिए।`,
+    kn: (d) => `🌙 ${d.days} dina raatri sugar low aaytu (kadime ${d.lowest}). Haasige hattira snack itkolli, bevaru athava nadukidre sugar check maadi.`,
+    kn_pure: (d) => `🌙 ${d.days} ದಿನ ರಾತ್ರಿ ಶುಗರ್ ಕಡಿಮೆ ಆಯಿತು (ಕನಿಷ್ಠ ${d.lowest}). ಹಾಸಿಗೆ ಹತ್ತಿರ ತಿಂಡಿ ಇಟ್ಟುಕೊಳ್ಳಿ, ಬೆವರು ಅಥವಾ ನಡುಕ ಬಂದರೆ ಶುಗರ್ ಪರೀಕ್ಷಿಸಿ.`
+  },
+  recurring_lows: {
+    en: (d, lang) => `⚠️ Sugar has gone low ${slotLabel(d.slot, lang)} on ${d.days} days (lowest ${d.lowest}). Try not to skip or delay meals around then.`,
+    hi: (d, lang) => `⚠️ ${d.days} din ${slotLabel(d.slot, lang)} sugar low hui (sabse kam ${d.lowest}). Us samay khana na chhodiye, na der kariye.`,
+    hi_pure: (d, lang) => `⚠️ ${d.days} दिन ${slotLabel(d.slot, lang)} शुगर कम हुई (सबसे कम ${d.lowest})। उस समय खाना न छोड़िए, न देर कीजिए।`,
+    kn: (d, lang) => `⚠️ ${d.days} dina ${slotLabel(d.slot, lang)} sugar low aaytu (kadime ${d.lowest}). Aa samayadalli oota bidabedi, thada maadabedi.`,
+    kn_pure: (d, lang) => `⚠️ ${d.days} ದಿನ ${slotLabel(d.slot, lang)} ಶುಗರ್ ಕಡಿಮೆ ಆಯಿತು (ಕನಿಷ್ಠ ${d.lowest}). ಆ ಸಮಯದಲ್ಲಿ ಊಟ ಬಿಡಬೇಡಿ, ತಡ ಮಾಡಬೇಡಿ.`
+  },
+  below_target: {
+    en: (d, lang) => `📉 Sugar has been a little under your target ${slotLabel(d.slot, lang)} on ${d.days} days (lowest ${d.lowest}). Not dangerous, but mention it to your doctor at your next visit.`,
+    hi: (d, lang) => `📉 ${d.days} din ${slotLabel(d.slot, lang)} sugar aapke target se thodi kam rahi (sabse kam ${d.lowest}). Khatra nahi hai, par agli visit par doctor ko bataiye.`,
+    hi_pure: (d, lang) => `📉 ${d.days} दिन ${slotLabel(d.slot, lang)} शुगर आपके टारगेट से थोड़ी कम रही (सबसे कम ${d.lowest})। खतरा नहीं है, पर अगली बार डॉक्टर को बताइए।`,
+    kn: (d, lang) => `📉 ${d.days} dina ${slotLabel(d.slot, lang)} sugar nimma target ginta swalpa kadime ittu (kadime ${d.lowest}). Apaaya illa, aadre mundina visit alli doctor ge heli.`,
+    kn_pure: (d, lang) => `📉 ${d.days} ದಿನ ${slotLabel(d.slot, lang)} ಶುಗರ್ ನಿಮ್ಮ ಗುರಿಗಿಂತ ಸ್ವಲ್ಪ ಕಡಿಮೆ ಇತ್ತು (ಕನಿಷ್ಠ ${d.lowest}). ಅಪಾಯ ಇಲ್ಲ, ಆದರೆ ಮುಂದಿನ ಭೇಟಿಯಲ್ಲಿ ಡಾಕ್ಟರ್‌ಗೆ ಹೇಳಿ.`
+  },
+  post_meal_spike: {
+    en: (d, lang) => `🍽️ Sugar goes high after ${mealLabel(d.meal, lang)} (${d.days} days, avg ${d.peakMean}). A smaller portion of rice or roti, or a 10-minute walk after ${mealLabel(d.meal, lang)}, can help.`,
+    hi: (d, lang) => `🍽️ ${mealLabel(d.meal, lang)} ke baad sugar high jaati hai (${d.days} din, avg ${d.peakMean}). Chawal/roti thoda kam, ya khane ke baad 10 minute walk madad karega.`,
+    hi_pure: (d, lang) => `🍽️ ${mealLabel(d.meal, lang)} के बाद शुगर ज़्यादा जाती है (${d.days} दिन, औसत ${d.peakMean})। चावल/रोटी थोड़ा कम, या खाने के बाद 10 मिनट टहलना मदद करेगा।`,
+    kn: (d, lang) => `🍽️ ${mealLabel(d.meal, lang)} nantara sugar high aagtide (${d.days} dina, avg ${d.peakMean}). Anna/chapati swalpa kadime, athava oota aada mele 10 nimisha nadige sahaaya maadutte.`,
+    kn_pure: (d, lang) => `🍽️ ${mealLabel(d.meal, lang)} ನಂತರ ಶುಗರ್ ಹೆಚ್ಚಾಗುತ್ತಿದೆ (${d.days} ದಿನ, ಸರಾಸರಿ ${d.peakMean}). ಅನ್ನ/ಚಪಾತಿ ಸ್ವಲ್ಪ ಕಡಿಮೆ, ಅಥವಾ ಊಟದ ನಂತರ 10 ನಿಮಿಷ ನಡಿಗೆ ಸಹಾಯ ಮಾಡುತ್ತದೆ.`
+  },
+  weekend_effect: {
+    en: (d) => `📅 Sugar is ${d.direction} on weekends (avg ${d.weekendMean}) than on weekdays (avg ${d.weekdayMean}). Keeping meals and medicines on the weekday schedule helps.`,
+    hi: (d) => `📅 Weekend par sugar ${d.direction === 'higher' ? 'zyada' : 'kam'} rehti hai (avg ${d.weekendMean}), weekdays par ${d.weekdayMean}. Weekend par bhi khana aur dawai usi samay lijiye.`,
+    hi_pure: (d) => `📅 सप्ताहांत पर शुगर ${d.direction === 'higher' ? 'ज़्यादा' : 'कम'} रहती है (औसत ${d.weekendMean}), बाकी दिनों में ${d.weekdayMean}। सप्ताहांत पर भी खाना और दवाई उसी समय लीजिए।`,
+    kn: (d) => `📅 Weekend alli sugar ${d.direction === 'higher' ? 'jaasti' : 'kadime'} (avg ${d.weekendMean}), weekdays alli ${d.weekdayMean}. Weekend alli kooda oota mattu maatre ade samayakke tagolli.`,
+    kn_pure: (d) => `📅 ವಾರಾಂತ್ಯದಲ್ಲಿ ಶುಗರ್ ${d.direction === 'higher' ? 'ಹೆಚ್ಚು' : 'ಕಡಿಮೆ'} (ಸರಾಸರಿ ${d.weekendMean}), ವಾರದ ದಿನಗಳಲ್ಲಿ ${d.weekdayMean}. ವಾರಾಂತ್ಯದಲ್ಲೂ ಊಟ ಮತ್ತು ಮಾತ್ರೆ ಅದೇ ಸಮಯಕ್ಕೆ ತೆಗೆದುಕೊಳ್ಳಿ.`
+  },
+  doctorTold: {
+    en: () => '👨‍⚕️ I have shared this with your doctor.',
+    hi: () => '👨‍⚕️ Maine yeh aapke doctor ko bata diya hai.',
+    hi_pure: () => '👨‍⚕️ मैंने यह आपके डॉक्टर को बता दिया है।',
+    kn: () => '👨‍⚕️ Idannu nimma doctor ge tilisiddene.',
+    kn_pure: () => '👨‍⚕️ ಇದನ್ನು ನಿಮ್ಮ ಡಾಕ್ಟರ್‌ಗೆ ತಿಳಿಸಿದ್ದೇನೆ.'
+  }
+};
+
+// script_pref ("hi_pure") first, then the base language, then English
+const byScript = (variants, script) => variants[script] || variants[script.replace('_pure', '')] || variants.en;
+const slotLabel = (slot, script) => byScript(SLOT_LABELS[slot], script);
+const mealLabel = (meal, script) => byScript(MEAL_LABELS[meal], script);
+const patternText = (key, script, ...args) => byScript(PATTERN_MESSAGES[key], script)(...args, script);
+
+function patternOptions(targets) {
+  return {
+    statusOf: (r) => classifyReading(r.reading, r.readingType, [], targets).status,
+    dayOf: (date) => localClock(date).date,
+    minutesOf: (date) => localClock(date).minutes
+  };
+}
+
+async function detectPatternsForPatient(patient, now = new Date()) {
+  const phone = patient.phone;
+  const readings = await GlucoseReading.find({
+    patientPhone: phone,
+    voided: { $ne: true },
+    timestamp: { $gte: new Date(now.getTime() - PATTERN_DETECTION.windowDays * 24 * 60 * 60 * 1000) }
+  });
+  
+  const found = detectPatterns(readings, patternOptions(resolveGlycemicTargets(patient)));
+  const toNotify = [];
+  
+  for (const pattern of found) {
+    const existing = await GlucosePattern.findOne({ patientPhone: phone, key: pattern.key });
+    const renotifyAfter = now.getTime() - PATTERN_DETECTION.renotifyDays * 24 * 60 * 60 * 1000;
+    
+    const doc = await GlucosePattern.findOneAndUpdate(
+      { patientPhone: phone, key: pattern.key },
+      {
+        $set: {
+          type: pattern.type,
+          clinical: pattern.clinical,
+          summary: pattern.summary,
+          details: pattern.details,
+          readingIds: pattern.readingIds,
+          windowDays: PATTERN_DETECTION.windowDays,
+          lastDetectedAt: now
+        },
+        $unset: { resolvedAt: 1 },
+        $setOnInsert: { firstDetectedAt: now }
+      },
+      { upsert: true, new: true }
+    );
+    
+    if (!existing || existing.resolvedAt || !existing.insightSentAt || existing.insightSentAt.getTime() < renotifyAfter) {
+      toNotify.push(doc);
+    }
+  }
+  
+  // Anything not seen tonight has gone away
+  await GlucosePattern.updateMany(
+    { patientPhone: phone, key: { $nin: found.map(p => p.key) }, resolvedAt: { $exists: false } },
+    { resolvedAt: now }
+  );
+  
+  if (toNotify.length === 0) return { found, notified: 0 };
+  
+  const clinical = toNotify.filter(p => p.clinical);
+  let physicianOutboundId = null;
+  
+  if (clinical.length > 0 && PHYSICIAN_PHONE && PHYSICIAN_PHONE !== '+919876543210') {
+    physicianOutboundId = await sendWhatsAppMessage(PHYSICIAN_PHONE,
+      `🔍 PATTERN\nPatient: ${patient.full_name} (${phone})\n${clinical.map(p => `• ${p.summary}`).join('\n')}\nLast ${PATTERN_DETECTION.windowDays} days`,
+      { purpose: 'alert', patientPhone: phone });
+  }
+  
+  const script = patient.script_pref || patient.language_pref || 'en';
+  const lines = [patternText('intro', script), '', ...toNotify.map(p => patternText(p.type, script, p.details))];
+  if (physicianOutboundId) lines.push('', patternText('doctorTold', script));
+  
+  const insightOutboundId = await sendWhatsAppMessage(phone, lines.join('\n'), { purpose: 'reminder' });
+  
+  await GlucosePattern.updateMany(
+    { _id: { $in: toNotify.map(p => p._id) } },
+    { insightSentAt: now, insightOutboundId }
+  );
+  if (physicianOutboundId) {
+    await GlucosePattern.updateMany(
+      { _id: { $in: clinical.map(p => p._id) } },
+      { physicianAlertedAt: now, physicianOutboundId }
+    );
+  }
+  
+  console.log(`🔍 ${phone}: ${toNotify.map(p => p.key).join(', ')}${physicianOutboundId ? ' (physician flagged)' : ''}`);
+  return { found, notified: toNotify.length };
+}
+
+async function detectPatternsNightly(now = new Date()) {
+  const since = new Date(now.getTime() - PATTERN_DETECTION.windowDays * 24 * 60 * 60 * 1000);
+  const phones = await GlucoseReading.distinct('patientPhone', { timestamp: { $gte: since }, voided: { $ne: true } });
+  const patients = await Patient.find({
+    phone: { $in: phones },
+    onboarding_completed: true,
+    is_test: { $ne: true }
+  });
+  
+  let notified = 0;
+  for (const patient of patients) {
+    try {
+      notified += (await detectPatternsForPatient(patient, now)).notified;
+    } catch (error) {
+      console.error(`❌ Pattern detection for ${patient.phone}:`, error.message);
+    }
+  }
+  
+  console.log(`🔍 Pattern detection: ${patients.length} patients checked, ${notified} new insights`);
+}
+
+async function formatPatternsForProfile(phone) {
+  const active = await GlucosePattern.find({ patientPhone: phone, resolvedAt: { $exists: false } });
+  return active.length > 0 ? active.map(p => p.summary).join('; ') : 'None detected';
+}
+
+// ========================================
+// ✏️ READING CORRECTIONS (UNDO / DELETE / CORRECT)
+// ========================================
+// "UNDO" removes the last reading (within 24h), "DELETE 810" or "DELETE 2"
+// removes one by value or by its number in "my readings today", and
+// "CORRECT 180 to 118" fixes a value. Readings are never hard-deleted: they
+// are voided, and every change is appended to reading.history. If the old
+// value paged the physician, a retraction is sent.
+
+const READING_UNDO_WINDOW_HOURS = 24;
+
+const READING_MESSAGES = {
+  list: {
+    en: (lines) => lines ? `📋 Today's readings:\n${lines}\n\nFix one: "CORRECT 2 to 118" or "DELETE 2"` : `📋 No readings logged today.`,
+    hi: (lines) => lines ? `📋 Aaj ki readings:\n${lines}\n\nBadalne ke liye: "CORRECT 2 to 118" ya "DELETE 2"` : `📋 Aaj koi reading nahi hai.`,
+    hi_pure: (lines) => lines ? `📋 आज की रीडिंग:\n${lines}\n\nबदलने के लिए: "CORRECT 2 to 118" या "DELETE 2"` : `📋 आज कोई रीडिंग नहीं है।`,
+    kn: (lines) => lines ? `📋 Indina readings:\n${lines}\n\nSari maadalu: "CORRECT 2 to 118" athava "DELETE 2"` : `📋 Indu yaavude reading illa.`,
+    kn_pure: (lines) => lines ? `📋 ಇಂದಿನ ರೀಡಿಂಗ್‌ಗಳು:\n${lines}\n\nಸರಿ ಮಾಡಲು: "CORRECT 2 to 118" ಅಥವಾ "DELETE 2"` : `📋 ಇಂದು ಯಾವುದೇ ರೀಡಿಂಗ್ ಇಲ್ಲ.`
+  },
+  deleted: {
+    en: (value) => `🗑️ Removed ${value} mg/dL from your log.`,
+    hi: (value) => `🗑️ ${value} mg/dL log se hata diya.`,
+    hi_pure: (value) => `🗑️ ${value} mg/dL लॉग से हटा दिया।`,
+    kn: (value) => `🗑️ ${value} mg/dL log inda tegedhaakide.`,
+    kn_pure: (value) => `🗑️ ${value} mg/dL ಲಾಗ್‌ನಿಂದ ತೆಗೆದುಹಾಕಿದೆ.`
+  },
+  corrected: {
+    en: (from, to) => `✏️ Changed ${from} → ${to} mg/dL.`,
+    hi: (from, to) => `✏️ ${from} ko ${to} mg/dL kar diya.`,
+    hi_pure: (from, to) => `✏️ ${from} को ${to} mg/dL कर दिया।`,
+    kn: (from, to) => `✏️ ${from} annu ${to} mg/dL maadide.`,
+    kn_pure: (from, to) => `✏️ ${from} ಅನ್ನು ${to} mg/dL ಮಾಡಿದೆ.`
+  },
+  notFound: {
+    en: () => `🤔 I couldn't find that reading. Send "my readings today" to see the list.`,
+    hi: () => `🤔 Woh reading nahi mili. "my readings today" bhejiye.`,
+    hi_pure: () => `🤔 वह रीडिंग नहीं मिली। सूची देखने के लिए "my readings today" भेजिए।`,
+    kn: () => `🤔 Aa reading sigalilla. "my readings today" kalisi.`,
+    kn_pure: () => `🤔 ಆ ರೀಡಿಂಗ್ ಸಿಗಲಿಲ್ಲ. ಪಟ್ಟಿ ನೋಡಲು "my readings today" ಕಳುಹಿಸಿ.`
+  },
+  nothingToUndo: {
+    en: () => `👍 Nothing to undo - no readings in the last 24 hours.`,
+    hi: () => `👍 Pichhle 24 ghante mein koi reading nahi hai.`,
+    hi_pure: () => `👍 पिछले 24 घंटे में कोई रीडिंग नहीं है।`,
+    kn: () => `👍 Kaleda 24 gante yalli yaavude reading illa.`,
+    kn_pure: () => `👍 ಕಳೆದ 24 ಗಂಟೆಯಲ್ಲಿ ಯಾವುದೇ ರೀಡಿಂಗ್ ಇಲ್ಲ.`
+  },
+  invalidValue: {
+    en: () => `⚠️ That value doesn't look like a glucose reading (${GLUCOSE_RANGE.min}-${GLUCOSE_RANGE.max} mg/dL).`,
+    hi: () => `⚠️ Yeh glucose reading nahi lagti (${GLUCOSE_RANGE.min}-${GLUCOSE_RANGE.max} mg/dL).`,
+    hi_pure: () => `⚠️ यह ग्लूकोज़ रीडिंग नहीं लगती (${GLUCOSE_RANGE.min}-${GLUCOSE_RANGE.max} mg/dL)।`,
+    kn: () => `⚠️ Idu glucose reading thara illa (${GLUCOSE_RANGE.min}-${GLUCOSE_RANGE.max} mg/dL).`,
+    kn_pure: () => `⚠️ ಇದು ಗ್ಲೂಕೋಸ್ ರೀಡಿಂಗ್ ತರಹ ಇಲ್ಲ (${GLUCOSE_RANGE.min}-${GLUCOSE_RANGE.max} mg/dL).`
+  }
+};
+
+const readingText = (key, script, ...args) => byScript(READING_MESSAGES[key], script)(...args);
+
+async function todaysReadings(phone) {
+  return await GlucoseReading.find({
+    patientPhone: phone,
+    voided: { $ne: true },
+    timestamp: { $gte: zonedDate(0, 0) }
+  }).sort({ timestamp: 1 });
+}
+
+// "810" matches a value logged in the last 24h; small numbers fall back to the list position
+async function findReadingRef(phone, ref) {
+  const byValue = await GlucoseReading.findOne({
+    patientPhone: phone,
+    voided: { $ne: true },
+    reading: ref,
+    timestamp: { $gte: new Date(Date.now() - READING_UNDO_WINDOW_HOURS * 60 * 60 * 1000) }
+  }).sort({ timestamp: -1 });
+  if (byValue) return byValue;
+  
+  const list = await todaysReadings(phone);
+  return Number.isInteger(ref) && ref >= 1 ? list[ref - 1] || null : null;
+}
+
+function formatReadingTime(date) {
+  const { minutes } = localClock(date);
+  return formatDoseTime(`${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`);
+}
+
+async function sendAlertRetraction(reading, previousValue, newValue, targets) {
+  if (!reading.alertOutboundId || !PHYSICIAN_PHONE) return null;
+  
+  const outcome = newValue === null
+    ? 'was entered by mistake and has been deleted.'
+    : `was a typo - corrected to ${describeReading(newValue, reading.readingType, targets)}.`;
+  
+  console.log(`↩️ Retracting physician alert for ${reading.patientPhone}: ${previousValue} mg/dL`);
+  return await sendWhatsAppMessage(PHYSICIAN_PHONE,
+    `↩️ RETRACTION\nPatient: ${reading.patientPhone}\n` +
+    `Earlier alert for ${previousValue} mg/dL (${formatReadingTime(reading.timestamp)}) ${outcome}`,
+    { purpose: 'alert', patientPhone: reading.patientPhone, priority: OUTBOUND_PRIORITY.alert }
+  );
+}
+
+// newValue null = void the reading
+async function amendReading(reading, newValue, patient, action) {
+  const previousValue = reading.reading;
+  const targets = resolveGlycemicTargets(patient);
+  
+  reading.history.push({ action, previousValue, newValue, at: new Date() });
+  
+  const retractionOutboundId = await sendAlertRetraction(reading, previousValue, newValue, targets);
+  if (retractionOutboundId) reading.history[reading.history.length - 1].retractionOutboundId = retractionOutboundId;
+  
+  if (newValue === null) {
+    reading.voided = true;
+    reading.voidedAt = new Date();
+    if (reading.triageId) await Triage.updateOne({ _id: reading.triageId }, { retractedAt: new Date() });
+  } else {
+    reading.reading = newValue;
+    
+    // The corrected value gets the same triage as a fresh one, including a new alert if needed
+    const isRecent = Date.now() - reading.timestamp.getTime() < RECENT_READING_HOURS * 60 * 60 * 1000;
+    const { critical, urgency, alertOutboundId } = await checkCritical(newValue, reading.readingType, reading.patientPhone, {
+      notify: isRecent,
+      symptoms: reading.symptoms,
+      targets
+    });
+    reading.alertSent = critical && isRecent;
+    reading.alertOutboundId = alertOutboundId;
+    
+    if (reading.triageId) {
+      await Triage.updateOne({ _id: reading.triageId }, {
+        glucoseReading: newValue,
+        urgencyLevel: urgency,
+        physicianAlerted: critical
+      });
+    }
+  }
+  
+  await reading.save();
+  try {
+    await syncHypoEpisodeAfterAmend(reading, patient);
+  } catch (error) {
+    console.error(`❌ Hypo protocol for ${reading.patientPhone}:`, error.message);
+  }
+  console.log(`✏️ ${reading.patientPhone}: ${action} ${previousValue} → ${newValue ?? 'void'}`);
+}
+
+// Returns the reply text, or null if the message isn't a reading command
+async function handleReadingCommand(phone, text, patient) {
+  const lower = text.toLowerCase().trim().replace(/[.!]+$/, '');
+  const lang = patient.script_pref || patient.language_pref || 'en';
+  
+  if (/^(?:my )?readings(?: today)?$|^today'?s readings$|^aaj ki readings?$|^indina readings?$/.test(lower)) {
+    const list = await todaysReadings(phone);
+    const targets = resolveGlycemicTargets(patient);
+    const lines = list.map((r, i) => {
+      const { label, status } = classifyReading(r.reading, r.readingType, [], targets);
+      const flag = status === 'in_range' ? '✅' : status === 'low' ? '⬇️' : '⬆️';
+      return `${i + 1}. ${formatReadingTime(r.timestamp)} - ${r.reading} mg/dL ${label.toLowerCase()} ${flag}`;
+    }).join('\n');
+    return readingText('list', lang, lines);
+  }
+  
+  if (/^(?:undo|undo last(?: reading)?|delete last(?: reading)?|remove last(?: reading)?)$/.test(lower)) {
+    const last = await GlucoseReading.findOne({
+      patientPhone: phone,
+      voided: { $ne: true },
+      createdAt: { $gte: new Date(Date.now() - READING_UNDO_WINDOW_HOURS * 60 * 60 * 1000) }
+    }).sort({ createdAt: -1 });
+    
+    if (!last) return readingText('nothingToUndo', lang);
+    const value = last.reading;
+    await amendReading(last, null, patient, 'undo');
+    return readingText('deleted', lang, value);
+  }
+  
+  const deleteMatch = lower.match(/^(?:delete|remove)\s+(?:reading\s+)?#?(\d{1,3})$/);
+  if (deleteMatch) {
+    const reading = await findReadingRef(phone, parseInt(deleteMatch[1]));
+    if (!reading) return readingText('notFound', lang);
+    const value = reading.reading;
+    await amendReading(reading, null, patient, 'delete');
+    return readingText('deleted', lang, value);
+  }
+  
+  // "CORRECT 180 to 118", "change #2 to 7.2 mmol", "fix 810 -> 81"
+  const correctMatch = lower.match(/^(?:correct|fix|change|edit)\s+(?:reading\s+)?#?(\d{1,3})\s*(?:to|->|→|se)\s*(\d{1,3}(?:\.\d{1,2})?)\s*(mg\s*\/?\s*dl|mmol(?:\s*\/?\s*l)?)?(?:\s*(?:kar do|karo))?$/);
+  if (correctMatch) {
+    const raw = parseFloat(correctMatch[2]);
+    const isMmol = (correctMatch[3] || '').startsWith('mmol') || (!correctMatch[3] && correctMatch[2].includes('.'));
+    const newValue = isMmol ? Math.round(raw * MMOL_TO_MGDL) : raw;
+    if (!Number.isInteger(newValue) || newValue < GLUCOSE_RANGE.min || newValue > GLUCOSE_RANGE.max) {
+      return readingText('invalidValue', lang);
+    }
+    
+    const reading = await findReadingRef(phone, parseInt(correctMatch[1]));
+    if (!reading) return readingText('notFound', lang);
+    const previousValue = reading.reading;
+    await amendReading(reading, newValue, patient, 'correct');
+    return readingText('corrected', lang, previousValue, newValue);
+  }
+  
+  return null;
+}
+
+// ========================================
+// 🧪 TEST ACCOUNTS
+// ========================================
+// Tester phones are allowlisted by an admin (POST /admin/test-accounts). An
+// allowlisted phone can send "TESTMODE [fixture]" to skip onboarding with a
+// fixture profile. Test patients carry is_test and are left out of health
+// counts, reminders, campaigns and physician alerts.
+
+const TEST_PROFILE_FIXTURES = {
+  type2_tablets: {
+    language_pref: 'en',
+    full_name: 'Test Patient (Type 2)',
+    age: 52,
+    gender: 'Male',
+    diabetes_type: 'Type 2',
+    duration_years: 5,
+    medication_type: 'Tablets',
+    current_meds: ['Metformin'],
+    diet_preference: 'Veg'
+  },
+  type1_insulin: {
+    language_pref: 'en',
+    full_name: 'Test Patient (Type 1)',
+    age: 24,
+    gender: 'Female',
+    diabetes_type: 'Type 1',
+    duration_years: 10,
+    medication_type: 'Insulin',
+    current_meds: ['Insulin glargine', 'Insulin aspart'],
+    diet_preference: 'Non-Veg'
+  },
+  hindi_type2: {
+    language_pref: 'hi',
+    full_name: 'Test Patient (Hindi)',
+    age: 60,
+    gender: 'Female',
+    diabetes_type: 'Type 2',
+    duration_years: 12,
+    medication_type: 'Both',
+    current_meds: ['Metformin', 'Insulin glargine'],
+    diet_preference: 'Veg'
+  }
+};
+
+const DEFAULT_TEST_FIXTURE = 'type2_tablets';
+
+// Stored the way WhatsApp sends "from" (digits only) so it matches Patient.phone
+const normalizePhone = (phone) => String(phone).replace(/\D/g, '');
+
+async function isTestAccount(phone) {
+  return !!(await TestAccount.exists({ phone: normalizePhone(phone) }));
+}
+
+// Creates (or rebuilds) the test patient for an allowlisted phone
+async function provisionTestPatient(phone, fixtureName) {
+  const account = await TestAccount.findOne({ phone: normalizePhone(phone) });
+  if (!account) return null;
+  
+  const fixture = fixtureName || account.fixture || DEFAULT_TEST_FIXTURE;
+  if (!TEST_PROFILE_FIXTURES[fixture]) {
+    throw new Error(`Unknown fixture "${fixture}"`);
+  }
+  
+  const profile = {
+    ...TEST_PROFILE_FIXTURES[fixture],
+    ...(account.profileOverrides || {}),
+    phone,
+    is_test: true,
+    consent_given: true,
+    onboarding_completed: true,
+    onboarding_step: 'completed',
+    registeredAt: new Date(),
+    lastActive: new Date()
+  };
+  
+  const patient = await Patient.findOneAndUpdate({ phone }, profile, { upsert: true, new: true });
+  await OnboardingState.findOneAndDelete({ phone });
+  
+  if (fixture !== account.fixture) {
+    account.fixture = fixture;
+    await account.save();
+  }
+  
+  console.log(`🧪 Test patient ready for ${phone} (${fixture})`);
+  return patient;
+}
+
+// Deletes everything stored for test phones; the allowlist stays unless asked
+async function purgeTestData({ removeAccounts = false } = {}) {
+  const accounts = await TestAccount.find({}, { phone: 1 });
+  const flagged = await Patient.find({ is_test: true }, { phone: 1 });
+  const phones = [...new Set([...accounts, ...flagged].map(doc => doc.phone))];
+  
+  const byPatient = { patientPhone: { $in: phones } };
+  const deleted = {
+    patients: (await Patient.deleteMany({ phone: { $in: phones } })).deletedCount,
+    onboardingStates: (await OnboardingState.deleteMany({ phone: { $in: phones } })).deletedCount,
+    readings: (await GlucoseReading.deleteMany(byPatient)).deletedCount,
+    conversations: (await Conversation.deleteMany(byPatient)).deletedCount,
+    triage: (await Triage.deleteMany(byPatient)).deletedCount,
+    pendingReadings: (await PendingReading.deleteMany(byPatient)).deletedCount,
+    hypoEpisodes: (await HypoEpisode.deleteMany(byPatient)).deletedCount,
+    doseEvents: (await DoseEvent.deleteMany(byPatient)).deletedCount,
+    insulinDoses: (await InsulinDose.deleteMany(byPatient)).deletedCount,
+    patterns: (await GlucosePattern.deleteMany(byPatient)).deletedCount,
+    inbound: (await InboundMessage.deleteMany(byPatient)).deletedCount,
+    outbound: (await OutboundMessage.deleteMany({
+      $or: [byPatient, { to: { $in: phones } }],
+      status: { $nin: ['queued', 'sending'] }
+    })).deletedCount
+  };
+  
+  if (removeAccounts) {
+    deleted.accounts = (await TestAccount.deleteMany({})).deletedCount;
+  }
+  
+  console.log(`🧹 Purged test data for ${phones.length} phones`);
+  return { phones, deleted };
+}
+
+// ========================================
+// WEBHOOK
+// ========================================
+
+app.get('/webhook', (req, res) => {
+  if (req.query['hub.mode'] === 'subscribe' && req.query['hub.verify_token'] === VERIFY_TOKEN) {
+    return res.status(200).send(req.query['hub.challenge']);
+  }
+  res.sendStatus(403);
+});
+
+// Meta signs every delivery: X-Hub-Signature-256: sha256=<HMAC of raw body with app secret>
+function isValidWebhookSignature(rawBody, signatureHeader) {
+  if (!WHATSAPP_APP_SECRET || !rawBody || typeof signatureHeader !== 'string') return false;
+  if (!signatureHeader.startsWith('sha256=')) return false;
+  
+  const expected = crypto
+    .createHmac('sha256', WHATSAPP_APP_SECRET)
+    .update(rawBody)
+    .digest();
+  
+  const received = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+  
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function verifyWebhookSignature(req, res, next) {
+  const signature = req.get('X-Hub-Signature-256');
+  
+  if (!isValidWebhookSignature(req.rawBody, signature)) {
+    console.warn(`🚫 Webhook rejected: ${signature ? 'signature mismatch' : 'unsigned request'} from ${req.ip}`);
+    return res.sendStatus(401);
+  }
+  
+  next();
+}
+
+// Returns false if this message id was already seen (Meta retry / duplicate delivery)
+async function persistIncomingMessage(msg) {
+  try {
+    await InboundMessage.create({
+      messageId: msg.id || crypto.randomUUID(),
+      patientPhone: msg.from,
+      message: msg,
+      sentAt: msg.timestamp ? new Date(parseInt(msg.timestamp) * 1000) : new Date()
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// ========================================
+// 📥 INBOUND WORKER
+// ========================================
+// Jobs run oldest-first, at most one per phone at a time, so two quick
+// messages from one patient never race on OnboardingState/Conversation.
+// Different patients are processed in parallel up to the concurrency limit.
+
+const INBOUND_QUEUE = {
+  pollMs: 1000,
+  concurrency: 4,
+  maxAttempts: 3,
+  baseDelayMs: 10000,      // 10s, 20s before the last attempt
+  maxDelayMs: 5 * 60 * 1000
+};
+
+const activeInboundPhones = new Set();
+let inboundQueueScanning = false;
+
+// The job whose message is being handled right now, so enqueueOutbound can
+// record that the patient has been answered (see repliedAt)
+const inboundJobContext = new AsyncLocalStorage();
+
+async function markInboundJobReplied() {
+  const job = inboundJobContext.getStore();
+  if (!job || job.status !== 'processing' || job.repliedAt) return;
+  
+  job.repliedAt = new Date();
+  await InboundMessage.updateOne({ _id: job._id }, { repliedAt: job.repliedAt });
+}
+
+function inboundRetryDelay(attempts) {
+  return Math.min(INBOUND_QUEUE.baseDelayMs * Math.pow(2, attempts - 1), INBOUND_QUEUE.maxDelayMs);
+}
+
+// processIncomingMessage replies first, then logs readings, doses and alerts.
+// Once a reply is queued, a retry would send it again and double-log, so only
+// failures before that point are retried (with backoff).
+async function runInboundJob(job) {
+  try {
+    await inboundJobContext.run(job, () => processIncomingMessage(job.message));
+    
+    job.status = 'done';
+    job.processedAt = new Date();
+    job.lastError = undefined;
+  } catch (error) {
+    const retry = !job.repliedAt && job.attempts < INBOUND_QUEUE.maxAttempts;
+    
+    job.lastError = error.message;
+    job.status = retry ? 'pending' : 'failed';
+    if (retry) job.nextAttemptAt = new Date(Date.now() + inboundRetryDelay(job.attempts));
+    
+    console.error(`❌ Inbound job ${job.messageId} failed (attempt ${job.attempts}/${INBOUND_QUEUE.maxAttempts})` +
+      (job.repliedAt ? ' after replying - not retried' : ''));
+  }
+  
+  await job.save();
+}
+
+async function processInboundQueue() {
+  if (inboundQueueScanning || mongoose.connection.readyState !== 1) return;
+  inboundQueueScanning = true;
+  
+  try {
+    // A phone waiting out a retry keeps its later messages waiting too, so they stay in order
+    const backingOff = await InboundMessage.distinct('patientPhone', {
+      status: 'pending',
+      nextAttemptAt: { $gt: new Date() }
+    });
+    
+    while (activeInboundPhones.size < INBOUND_QUEUE.concurrency) {
+      // Oldest due message from a phone that isn't already being handled
+      const job = await InboundMessage.findOneAndUpdate(
+        {
+          status: 'pending',
+          nextAttemptAt: { $lte: new Date() },
+          patientPhone: { $nin: [...activeInboundPhones, ...backingOff] }
+        },
+        { status: 'processing', startedAt: new Date(), $inc: { attempts: 1 } },
+        { sort: { sentAt: 1, receivedAt: 1 }, new: true }
+      );
+      
+      if (!job) break;
+      
+      activeInboundPhones.add(job.patientPhone);
+      
+      runInboundJob(job)
+        .catch(error => console.error('❌ Inbound job error:', error.message))
+        .finally(() => {
+          activeInboundPhones.delete(job.patientPhone);
+          setImmediate(processInboundQueue);
+        });
+    }
+  } catch (error) {
+    console.error('❌ Inbound queue error:', error.message);
+  } finally {
+    inboundQueueScanning = false;
+  }
+}
+
+// Jobs left "processing" by a crash or deploy are picked up again on startup,
+// unless they had already replied - those are parked as failed for review
+async function recoverInboundQueue() {
+  const abandoned = await InboundMessage.updateMany(
+    { status: 'processing', repliedAt: { $exists: true } },
+    { status: 'failed', lastError: 'Interrupted after replying' }
+  );
+  const result = await InboundMessage.updateMany({ status: 'processing' }, { status: 'pending' });
+  // Messages queued before retry backoff existed are due now
+  await InboundMessage.updateMany({ status: 'pending', nextAttemptAt: { $exists: false } }, { nextAttemptAt: new Date() });
+  const pending = await InboundMessage.countDocuments({ status: 'pending' });
+  
+  if (result.modifiedCount > 0 || pending > 0) {
+    console.log(`♻️  Resuming ${pending} pending inbound messages (${result.modifiedCount} interrupted)`);
+  }
+  if (abandoned.modifiedCount > 0) {
+    console.warn(`⚠️  ${abandoned.modifiedCount} inbound messages were interrupted after replying - marked failed`);
+  }
+  
+  setImmediate(processInboundQueue);
+}
+
+
+async function processIncomingMessage(msg) {
+  try {
+    const from = msg.from;
+    const messageType = msg.type;
+    let text = '';
+    let replyId = null;
+    let isVoiceMessage = false;
+    
+    console.log(`\n📨 Message from: ${from} (${messageType})`);
+    
+    if (messageType === 'text') {
+      text = msg.text.body;
+      
+    } else if (messageType === 'interactive') {
+      // Tapped onboarding button or list row
+      const reply = msg.interactive?.button_reply || msg.interactive?.list_reply;
+      if (!reply) {
+        console.log(`⚠️  Unsupported interactive: ${msg.interactive?.type}`);
+        return;
+      }
+      
+      replyId = reply.id;
+      text = reply.title || '';
+      console.log(`🔘 Reply: ${replyId}`);
+      
+      // Button titles like "English" must answer the question, not run commands
+      const status = await checkOnboardingStatus(from);
+      if (status.needsOnboarding) {
+        await continueOnboarding(from, text, replyId);
+        return;
+      }
+      
+      // Taken / Skip / Snooze on a medication reminder
+      if (replyId.startsWith('dose:')) {
+        const doseReply = await handleDoseButton(from, replyId, status.patient);
+        if (doseReply) await sendWhatsAppMessage(from, doseReply);
+        return;
+      }
+      
+      // Yes / No / Not sugar on an unsure reading
+      if (replyId.startsWith('confirm:')) {
+        const confirmReply = await handleConfirmButton(from, replyId, status.patient);
+        if (confirmReply) await sendWhatsAppMessage(from, confirmReply);
+        return;
+      }
+      
+    } else if (messageType === 'audio') {
+      isVoiceMessage = true;
+      
+      try {
+        // ✅ Let Whisper auto-detect language (don't pass preference)
+        text = await transcribeWhatsAppAudio(msg.audio.id);
+        
+        if (!text) {
+          await sendWhatsAppMessage(from, "Couldn't hear clearly. Try text. 😊");
+          return;
+        }
+        
+        const patient = await Patient.findOne({ phone: from });
+        if (patient) {
+          await Patient.findOneAndUpdate(
+            { phone: from },
+            { $inc: { voiceMessagesCount: 1 } }
+          );
         }
         
       } catch (error) {
@@ -2391,79 +5552,31 @@ app.post('/webhook', async (req, res) => {
     }
     
     // ========================================
-    // 🔓 BYPASS COMMAND (Admin/Testing - Skip Onboarding)
+    // 🧪 TEST MODE (allowlisted testers only - skip onboarding)
     // ========================================
-    if (lowerText === 'bypasssaad') {
-      console.log(`🔓 BYPASS command from ${from}`);
+    const testModeMatch = lowerText.match(/^testmode(?:\s+(\w+))?$/);
+    if (testModeMatch && await isTestAccount(from)) {
+      console.log(`🧪 TESTMODE command from ${from}`);
       
       try {
-        // Check if user already exists and is registered
-        let patient = await Patient.findOne({ phone: from });
-        
-        if (patient && patient.onboarding_completed) {
-          // Already registered and bypassed
-          await sendWhatsAppMessage(from,
-            `✅ Already bypassed!\n\n` +
-            `You're all set. Send your glucose reading or ask anything! 😊`
-          );
-          return;
-        }
-        
-        // Create minimal patient profile (bypass onboarding)
-        patient = await Patient.findOneAndUpdate(
-          { phone: from },
-          {
-            phone: from,
-            language_pref: 'en',
-            full_name: 'Test User',
-            age: 30,
-            gender: 'Male',
-            emergency_contact: '+919999999999',
-            pincode: '560001',
-            consent_given: true,
-            diabetes_type: 'Type 2',
-            duration_years: 5,
-            medication_type: 'Tablets',
-            current_meds: ['Metformin'],
-            comorbidities: ['None'],
-            last_hba1c: null,
-            diet_preference: 'Veg',
-            onboarding_completed: true,
-            onboarding_step: 'completed',
-            registeredAt: new Date(),
-            lastActive: new Date()
-          },
-          { upsert: true, new: true }
-        );
-        
-        // Delete any incomplete onboarding state
-        await OnboardingState.findOneAndDelete({ phone: from });
-        
-        console.log(`✅ Bypass complete for ${from} - created Test User profile`);
+        const patient = await provisionTestPatient(from, testModeMatch[1]);
         
         await sendWhatsAppMessage(from,
-          `🔓 BYPASS ACTIVATED!\n\n` +
+          `🧪 Test mode on\n\n` +
           `✅ Onboarding skipped\n` +
-          `✅ Test profile created\n` +
-          `✅ Name: Test User\n\n` +
-          `You can now chat directly! 💬\n\n` +
+          `✅ Profile: ${patient.full_name}\n\n` +
           `Try:\n` +
           `• "My sugar is 150"\n` +
           `• "Diet advice"\n` +
           `• "मेरा sugar 120 hai" (Hindi)\n\n` +
+          `Fixtures: ${Object.keys(TEST_PROFILE_FIXTURES).join(', ')}\n` +
           `💡 Type "RESET" for normal registration.`
         );
-        
-        return;
-        
       } catch (error) {
-        console.error(`❌ Bypass error for ${from}:`, error.message);
-        console.error(error.stack);
-        await sendWhatsAppMessage(from, 
-          `❌ Bypass failed: ${error.message}\n\nTry "RESET" instead.`
-        );
-        return;
+        console.error(`❌ Test mode error for ${from}:`, error.message);
+        await sendWhatsAppMessage(from, `❌ Test mode failed: ${error.message}`);
       }
+      return;
     }
     
     // ========================================
@@ -2479,6 +5592,11 @@ app.post('/webhook', async (req, res) => {
         await GlucoseReading.deleteMany({ patientPhone: from });
         await Conversation.deleteMany({ patientPhone: from });
         await Triage.deleteMany({ patientPhone: from });
+        await DoseEvent.deleteMany({ patientPhone: from });
+        await InsulinDose.deleteMany({ patientPhone: from });
+        await GlucosePattern.deleteMany({ patientPhone: from });
+        await HypoEpisode.deleteMany({ patientPhone: from });
+        await PendingReading.deleteMany({ patientPhone: from });
         
         // Create fresh onboarding state so next message is processed correctly
         await OnboardingState.create({
@@ -2490,11 +5608,12 @@ app.post('/webhook', async (req, res) => {
         console.log(`✅ User reset complete: ${from}`);
         
         // ✅ Send confirmation and start fresh in ENGLISH
-        await sendWhatsAppMessage(from, 
+        await sendOnboardingPrompt(from, 
           `✅ Account reset complete!\n\n` +
           `All your data has been deleted.\n\n` +
           `Let's start fresh! 🎉\n\n` +
-          MESSAGES.welcome.en
+          MESSAGES.welcome.en,
+          'language'
         );
         
         return; // Exit here, onboarding will continue with next message
@@ -2635,7 +5754,7 @@ app.post('/webhook', async (req, res) => {
         );
       } else {
         // ✅ New user or incomplete onboarding - show welcome in ENGLISH
-        await sendWhatsAppMessage(from, MESSAGES.welcome.en);
+        await sendOnboardingPrompt(from, MESSAGES.welcome.en, 'language');
       }
       
       return;
@@ -2652,7 +5771,7 @@ app.post('/webhook', async (req, res) => {
       
       if (!existingPatient) {
         // ✅ New user - start normal onboarding in ENGLISH
-        await sendWhatsAppMessage(from, MESSAGES.welcome.en);
+        await sendOnboardingPrompt(from, MESSAGES.welcome.en, 'language');
         return;
       }
       
@@ -2665,10 +5784,11 @@ app.post('/webhook', async (req, res) => {
         await OnboardingState.findOneAndDelete({ phone: from });
         
         // ✅ ALWAYS start fresh onboarding in ENGLISH
-        await sendWhatsAppMessage(from,
+        await sendOnboardingPrompt(from,
           `✅ Let's complete your profile!\n\n` +
           `This will help me give you better personalized care. 🩺\n\n` +
-          MESSAGES.welcome.en
+          MESSAGES.welcome.en,
+          'language'
         );
         
         return;
@@ -2701,24 +5821,28 @@ app.post('/webhook', async (req, res) => {
         return;
       }
       
-      const { response, completed } = await handleOnboarding(from, text);
-      
-      if (response && response.length > 0) {
-        await sendWhatsAppMessage(from, response);
-      } else {
-        console.error('❌ Empty onboarding response!');
-        await sendWhatsAppMessage(from, "Error. Type 'start' to restart.");
-      }
-      
-      if (completed) {
-        console.log(`✅ ${from} onboarding complete!`);
-      }
+      await continueOnboarding(from, text);
       return;
     }
     
     // PROCESS WITH CLAUDE + RAG
     let patient = onboardingStatus.patient;
     
+    // ❓ Typed answers to an open reading confirmation, 📊 REPORT, 📅 DIGEST, 📈 GRAPH, ✏️ reading fixes
+    // ("UNDO", "CORRECT 180 to 118"), 💊 typed dose replies and
+    // medication reminder commands ("remind me Metformin 9pm")
+    const commandReply = await handleConfirmTextReply(from, text, patient) ||
+      await handleReportCommand(from, text, patient) ||
+      await handleDigestCommand(from, text, patient) ||
+      await handleGraphCommand(from, text, patient) ||
+      await handleReadingCommand(from, text, patient) ||
+      await handleDoseTextReply(from, text, patient) ||
+      await handleMedicationCommand(from, text, patient);
+    if (commandReply) {
+      await sendWhatsAppMessage(from, commandReply);
+      return;
+    }
+    
     // ========================================
     // 🌐 AUTO-DETECT AND UPDATE LANGUAGE
     // ========================================
@@ -2747,12 +5871,12 @@ app.post('/webhook', async (req, res) => {
       patient.script_pref = detectedLang;
     }
     
-    // Pass the updated patient object to Claude
-    const reply = await analyzeWithClaudeRAG(from, text, patient);
+    // Pass the updated patient object to the LLM
+    const reply = await analyzeWithRAG(from, text, patient);
     
     if (!reply || reply.length === 0) {
-      console.error('❌ Empty Claude response!');
-      await sendWhatsAppMessage(from, fallbackResponse(text));
+      console.error('❌ Empty LLM response!');
+      await sendWhatsAppMessage(from, fallbackResponse(text, patient));
       return;
     }
     
@@ -2767,34 +5891,159 @@ app.post('/webhook', async (req, res) => {
       await sendWhatsAppMessage(from, reply);
     }
     
-    // PROCESS GLUCOSE
-    const data = extractGlucose(text);
-    if (data.hasReading) {
-      const { critical, urgency } = await checkCritical(data.reading, data.readingType, from);
-      
-      await createTriageRecord(from, data.reading, data.symptoms, reply, []);
-      await GlucoseReading.create({
-        patientPhone: from,
-        reading: data.reading,
-        readingType: data.readingType,
-        symptoms: data.symptoms,
-        notes: data.notes,
-        alertSent: critical
-      });
-      
-      console.log(`✅ ${patient.full_name}: ${data.reading}mg/dL (${urgency})`);
-    }
+    // PROCESS INSULIN DOSES - unit counts without a known insulin only count for insulin users
+    const insulinDoses = parseInsulinDoses(text);
+    const usesInsulin = ['Insulin', 'Both'].includes(patient.medication_type);
+    if (insulinDoses.length > 0 && (usesInsulin || insulinDoses.some(d => d.insulinType !== 'unknown'))) {
+      await logInsulinDoses(from, insulinDoses);
+    }
+    
+    // PROCESS GLUCOSE - sure readings are logged now, unsure ones wait for a Yes
+    const data = extractGlucose(text);
+    const context = { symptoms: data.symptoms, notes: data.notes, aiAssessment: reply };
+    const sure = data.readings.filter(r => r.confidence === 'high');
+    const unsure = data.readings.filter(r => r.confidence !== 'high');
+    
+    await logGlucoseReadings(from, patient, sure, context);
+    if (unsure.length > 0) await askToConfirmReadings(from, patient, unsure, context);
+    
+  } catch (e) {
+    console.error('❌ Webhook error:', e.message);
+    throw e;
+  }
+}
+
+app.post('/webhook', verifyWebhookSignature, async (req, res) => {
+  // A single delivery can batch several entries/changes/messages
+  const changes = (req.body?.entry || []).flatMap(entry => entry.changes || []);
+  const messages = changes.flatMap(change => change.value?.messages || []);
+  const statuses = changes.flatMap(change => change.value?.statuses || []);
+  
+  // Persist before acking - if this fails, a 500 makes Meta redeliver
+  try {
+    for (const msg of messages) {
+      if (!(await persistIncomingMessage(msg))) {
+        console.log(`🔁 Duplicate delivery skipped: ${msg.id}`);
+      }
+    }
+  } catch (e) {
+    console.error('❌ Inbound persist error:', e.message);
+    return res.sendStatus(500);
+  }
+  
+  res.sendStatus(200);
+  
+  if (messages.length > 0) setImmediate(processInboundQueue);
+  
+  for (const status of statuses) {
+    try {
+      await recordDeliveryStatus(status);
+    } catch (e) {
+      console.error('❌ Status webhook error:', e.message);
+    }
+  }
+});
+
+// ========================================
+// 🔐 ADMIN AUTH + AUDIT LOG
+// ========================================
+// Keys come from ADMIN_API_KEYS="name:role:key,name:role:key" and are sent as
+// "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Roles: admin (everything), clinician (patient data, triage),
+// operator (campaigns, queues, RAG processing).
+
+const ADMIN_ROLES = ['admin', 'clinician', 'operator'];
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+const ADMIN_API_KEYS = (process.env.ADMIN_API_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, role, ...keyParts] = entry.split(':');
+    return { name, role, keyHash: hashApiKey(keyParts.join(':')) };
+  })
+  .filter(entry => {
+    const valid = entry.name && ADMIN_ROLES.includes(entry.role);
+    if (!valid) console.error(`❌ Ignoring ADMIN_API_KEYS entry for "${entry.name}" - bad role`);
+    return valid;
+  });
+
+if (ADMIN_API_KEYS.length === 0) console.error('❌ ADMIN_API_KEYS not set - admin endpoints are locked');
+
+function findAdminByKey(key) {
+  if (!key) return null;
+  
+  const keyHash = hashApiKey(key);
+  return ADMIN_API_KEYS.find(entry => crypto.timingSafeEqual(entry.keyHash, keyHash)) || null;
+}
+
+function auditTargetPhones(req) {
+  const raw = req.params?.phone || req.body?.phone || req.query?.phone;
+  const phones = raw
+    ? [raw]
+    : (Array.isArray(req.body?.users) ? req.body.users.map(u => u.phone).filter(Boolean) : []);
+  
+  return phones.map(normalizePhone);
+}
+
+async function recordAudit(req, statusCode, outcome) {
+  try {
+    await AuditLog.create({
+      actor: req.admin?.name || 'anonymous',
+      role: req.admin?.role,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      targetPhones: auditTargetPhones(req),
+      statusCode,
+      outcome,
+      ip: req.ip
+    });
+  } catch (error) {
+    console.error('❌ Audit log error:', error.message);
+  }
+}
+
+// Mounted on /admin - every admin route needs a valid key
+function authenticateAdmin(req, res, next) {
+  const header = req.get('Authorization') || '';
+  const key = req.get('X-API-Key') || header.replace(/^Bearer\s+/i, '');
+  const admin = findAdminByKey(key);
+  
+  if (!admin) {
+    console.warn(`🚫 Admin auth failed: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    recordAudit(req, 401, 'unauthenticated');
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  
+  req.admin = admin;
+  next();
+}
+
+// Per-route: admin always passes, others need one of the listed roles
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.admin.role !== 'admin' && !roles.includes(req.admin.role)) {
+      console.warn(`🚫 ${req.admin.name} (${req.admin.role}) denied: ${req.method} ${req.originalUrl}`);
+      recordAudit(req, 403, 'forbidden');
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    
+    // Logged after the handler so the entry carries the real outcome
+    res.on('finish', () => {
+      recordAudit(req, res.statusCode, res.statusCode < 400 ? 'success' : 'error');
+    });
     
-  } catch (e) {
-    console.error('❌ Webhook error:', e.message);
-  }
-});
+    next();
+  };
+}
 
 // ========================================
 // ADMIN ENDPOINTS
 // ========================================
 
-app.post('/admin/reset-user', async (req, res) => {
+app.post('/admin/reset-user', requireRole(), async (req, res) => {
   try {
     const { phone } = req.body;
     if (!phone) return res.status(400).json({ error: 'Phone required' });
@@ -2806,6 +6055,11 @@ app.post('/admin/reset-user', async (req, res) => {
     await GlucoseReading.deleteMany({ patientPhone: formattedPhone });
     await Conversation.deleteMany({ patientPhone: formattedPhone });
     await Triage.deleteMany({ patientPhone: formattedPhone });
+    await DoseEvent.deleteMany({ patientPhone: formattedPhone });
+    await InsulinDose.deleteMany({ patientPhone: formattedPhone });
+    await GlucosePattern.deleteMany({ patientPhone: formattedPhone });
+    await HypoEpisode.deleteMany({ patientPhone: formattedPhone });
+    await PendingReading.deleteMany({ patientPhone: formattedPhone });
     
     res.json({ success: true, message: 'User reset complete', phone: formattedPhone });
     console.log(`✅ Reset: ${formattedPhone}`);
@@ -2814,7 +6068,7 @@ app.post('/admin/reset-user', async (req, res) => {
   }
 });
 
-app.get('/admin/user-status/:phone', async (req, res) => {
+app.get('/admin/user-status/:phone', requireRole('clinician'), async (req, res) => {
   try {
     const phone = req.params.phone.startsWith('+') ? req.params.phone : `+${req.params.phone}`;
     const patient = await Patient.findOne({ phone });
@@ -2841,7 +6095,7 @@ app.get('/admin/user-status/:phone', async (req, res) => {
 // ========================================
 
 // Send template to single user
-app.post('/admin/send-template', async (req, res) => {
+app.post('/admin/send-template', requireRole('operator'), async (req, res) => {
   try {
     const { phone, templateName, languageCode, parameters } = req.body;
     
@@ -2856,7 +6110,7 @@ app.post('/admin/send-template', async (req, res) => {
     
     console.log(`📤 Admin sending template "${template}" to ${formattedPhone}`);
     
-    const result = await sendTemplateMessage(
+    const outboundId = await sendTemplateMessage(
       formattedPhone,
       template,
       language,
@@ -2864,106 +6118,517 @@ app.post('/admin/send-template', async (req, res) => {
     );
     
     res.json({
-      success: true,
-      message: 'Template sent successfully',
-      phone: formattedPhone,
-      template,
-      messageId: result.messages?.[0]?.id
+      success: true,
+      message: 'Template queued',
+      phone: formattedPhone,
+      template,
+      outboundId
+    });
+    
+  } catch (error) {
+    console.error('❌ Template send failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      details: error.response?.data
+    });
+  }
+});
+
+// Send campaign to multiple users
+app.post('/admin/send-campaign', requireRole('operator'), async (req, res) => {
+  try {
+    const { users, templateName, languageCode } = req.body;
+    
+    if (!users || !Array.isArray(users) || users.length === 0) {
+      return res.status(400).json({ error: 'Users array required' });
+    }
+    
+    const template = templateName || 'welcome_message';
+    const language = languageCode || 'en';
+    
+    console.log(`📤 Starting campaign: ${users.length} users, template: ${template}`);
+    
+    const results = await sendCampaignToMultipleUsers(users, template, language);
+    
+    const successCount = results.filter(r => r.success).length;
+    const failedCount = results.filter(r => !r.success).length;
+    
+    res.json({
+      success: true,
+      message: 'Campaign queued',
+      stats: {
+        total: users.length,
+        queued: successCount,
+        failed: failedCount
+      },
+      results
+    });
+    
+  } catch (error) {
+    console.error('❌ Campaign failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.get('/admin/health', requireRole('clinician', 'operator'), async (req, res) => {
+  try {
+    const totalPatients = await Patient.countDocuments({ is_test: { $ne: true } });
+    const completed = await Patient.countDocuments({ onboarding_completed: true, is_test: { $ne: true } });
+    const testPatients = await Patient.countDocuments({ is_test: true });
+    const knowledgeCount = await MedicalKnowledge.countDocuments();
+    
+    res.json({
+      status: 'healthy',
+      timestamp: new Date(),
+      llm: { order: LLM_PROVIDER_ORDER, providers: llmProviderStatus },
+      rag: ragSystemInitialized,
+      voice: !!OPENAI_API_KEY,
+      patients: { total: totalPatients, completed, test: testPatients },
+      knowledge: knowledgeCount
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/conversation/:phone', requireRole('clinician'), async (req, res) => {
+  try {
+    const phone = req.params.phone.startsWith('+') ? req.params.phone : `+${req.params.phone}`;
+    const conversation = await Conversation.findOne({ patientPhone: phone });
+    
+    if (!conversation) {
+      return res.json({
+        phone,
+        exists: false,
+        message: 'No conversation history found'
+      });
+    }
+    
+    res.json({
+      phone,
+      exists: true,
+      totalMessages: conversation.messages.length,
+      lastActive: conversation.lastActive,
+      messages: conversation.messages.map(m => ({
+        role: m.role,
+        content: m.content.substring(0, 200) + (m.content.length > 200 ? '...' : ''),
+        timestamp: m.timestamp
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ========================================
+// 📬 DELIVERY STATUS ENDPOINTS
+// ========================================
+
+app.get('/admin/outbound-messages', requireRole('clinician', 'operator'), async (req, res) => {
+  try {
+    const { phone, purpose, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const query = {};
+    if (phone) query.patientPhone = normalizePhone(phone);
+    if (purpose) query.purpose = purpose;
+    if (status) query.status = status;
+
+    const messages = await OutboundMessage.find(query).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({ total: messages.length, messages });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/inbound-queue', requireRole('operator'), async (req, res) => {
+  try {
+    const byStatus = await InboundMessage.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const failed = await InboundMessage.find({ status: 'failed' }).sort({ receivedAt: -1 }).limit(20);
+
+    res.json({
+      activePhones: [...activeInboundPhones],
+      byStatus: byStatus.map(s => ({ status: s._id, count: s.count })),
+      failed: failed.map(j => ({
+        messageId: j.messageId,
+        patientPhone: j.patientPhone,
+        type: j.message?.type,
+        attempts: j.attempts,
+        lastError: j.lastError,
+        repliedAt: j.repliedAt,
+        receivedAt: j.receivedAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/outbound-queue', requireRole('operator'), async (req, res) => {
+  try {
+    const byStatus = await OutboundMessage.aggregate([
+      { $match: { status: { $in: ['queued', 'sending', 'dead'] } } },
+      { $group: { _id: { status: '$status', purpose: '$purpose' }, count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      pausedUntil: outboundPausedUntil > Date.now() ? new Date(outboundPausedUntil) : null,
+      byStatus: byStatus.map(s => ({ status: s._id.status, purpose: s._id.purpose, count: s.count }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dead-letter view: sends that exhausted their retries
+app.get('/admin/outbound-dead-letters', requireRole('operator'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const dead = await OutboundMessage.find({ status: 'dead' }).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({
+      total: dead.length,
+      messages: dead.map(m => ({
+        id: m._id,
+        to: m.to,
+        patientPhone: m.patientPhone,
+        purpose: m.purpose,
+        messageType: m.messageType,
+        attempts: m.attempts,
+        lastError: m.lastError,
+        createdAt: m.createdAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/admin/outbound-dead-letters/:id/retry', requireRole('operator'), async (req, res) => {
+  try {
+    const outbound = await OutboundMessage.findOneAndUpdate(
+      { _id: req.params.id, status: 'dead' },
+      {
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        $push: { statusHistory: { status: 'queued', timestamp: new Date() } }
+      },
+      { new: true }
+    );
+
+    if (!outbound) return res.status(404).json({ error: 'Dead-letter message not found' });
+
+    setImmediate(processOutboundQueue);
+    res.json({ success: true, id: outbound._id, status: outbound.status });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Were the physician alerts raised by checkCritical actually delivered?
+app.get('/admin/physician-alerts', requireRole('clinician'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const alerts = await OutboundMessage.find({ purpose: 'alert' }).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({
+      total: alerts.length,
+      undelivered: alerts.filter(a => !['delivered', 'read'].includes(a.status)).length,
+      alerts: alerts.map(a => ({
+        id: a._id,
+        wamid: a.wamid,
+        patientPhone: a.patientPhone,
+        physician: a.to,
+        status: a.status,
+        delivered: ['delivered', 'read'].includes(a.status),
+        sentAt: a.createdAt,
+        attempts: a.attempts,
+        lastError: a.lastError,
+        history: a.statusHistory
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/patients/:phone/targets', requireRole('clinician'), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ phone: normalizePhone(req.params.phone) });
+    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    
+    res.json({
+      phone: patient.phone,
+      defaultProfile: defaultTargetProfile(patient),
+      custom: patient.glycemicTargets || null,
+      resolved: resolveGlycemicTargets(patient),
+      profiles: Object.keys(TARGET_PROFILES)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { profile?, ranges?: { fasting: { target: [lo, hi], urgent: [lo, hi] } }, is_pregnant?, notes? }
+app.put('/admin/patients/:phone/targets', requireRole('clinician'), async (req, res) => {
+  try {
+    const { profile, ranges, is_pregnant, notes } = req.body || {};
+    
+    if (profile && !TARGET_PROFILES[profile]) {
+      return res.status(400).json({ error: `Unknown profile. Use one of: ${Object.keys(TARGET_PROFILES).join(', ')}` });
+    }
+    
+    const phone = normalizePhone(req.params.phone);
+    const existing = await Patient.findOne({ phone }).lean();
+    if (!existing) return res.status(404).json({ error: 'Patient not found' });
+    
+    // Ranges are checked against the profile they will sit on
+    const baseProfile = profile || defaultTargetProfile({
+      ...existing,
+      ...(typeof is_pregnant === 'boolean' ? { is_pregnant } : {})
+    });
+    const rangeError = validateTargetRanges(ranges, baseProfile);
+    if (rangeError) return res.status(400).json({ error: rangeError });
+    
+    const update = {
+      glycemicTargets: {
+        profile: profile || undefined,
+        ranges: ranges || {},
+        notes,
+        setBy: req.admin.name,
+        updatedAt: new Date()
+      }
+    };
+    if (typeof is_pregnant === 'boolean') update.is_pregnant = is_pregnant;
+    
+    const patient = await Patient.findOneAndUpdate({ phone }, update, { new: true });
+    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    
+    console.log(`🎯 Targets for ${patient.phone} set by ${req.admin.name} (${profile || 'default profile'})`);
+    res.json({ success: true, resolved: resolveGlycemicTargets(patient) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Back to the defaults for diabetes_type / age / pregnancy
+app.delete('/admin/patients/:phone/targets', requireRole('clinician'), async (req, res) => {
+  try {
+    const patient = await Patient.findOneAndUpdate(
+      { phone: normalizePhone(req.params.phone) },
+      { $unset: { glycemicTargets: 1 } },
+      { new: true }
+    );
+    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    
+    res.json({ success: true, resolved: resolveGlycemicTargets(patient) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Time-in-range, variability, GMI, hypo events, streaks - same numbers the patient's REPORT shows
+app.get('/admin/analytics/:phone', requireRole('clinician'), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ phone: normalizePhone(req.params.phone) });
+    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    
+    const days = Math.min(parseInt(req.query.days) || 14, 90);
+    const stats = await getGlucoseAnalytics(patient.phone, patient, days);
+    
+    res.json({ phone: patient.phone, targets: resolveGlycemicTargets(patient).profile, ...stats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hypo episodes with treatments, rechecks and outcome; ?phone= and ?status= filter
+app.get('/admin/hypo-episodes', requireRole('clinician'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.phone) query.patientPhone = normalizePhone(req.query.phone);
+    if (req.query.status) query.status = req.query.status;
+    
+    const episodes = await HypoEpisode.find(query)
+      .sort({ startedAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200))
+      .lean();
+    
+    res.json({ count: episodes.length, episodes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PDF report for ?days=30 (default) or ?from=YYYY-MM-DD&to=YYYY-MM-DD
+app.get('/admin/report/:phone', requireRole('clinician'), async (req, res) => {
+  try {
+    const patient = await Patient.findOne({ phone: normalizePhone(req.params.phone) });
+    if (!patient) return res.status(404).json({ error: 'Patient not found' });
+    
+    // Dates are local days in REMINDER_TIMEZONE; "to" runs to the end of its day
+    const dayAfterTo = req.query.to && localDayStart(req.query.to, 1);
+    const to = req.query.to ? dayAfterTo && new Date(dayAfterTo.getTime() - 1) : new Date();
+    const days = Math.min(parseInt(req.query.days) || REPORT_PERIOD.defaultDays, REPORT_PERIOD.maxDays);
+    let from = req.query.from ? localDayStart(req.query.from) : to && new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+    
+    if (!from || !to || from >= to) {
+      return res.status(400).json({ error: 'from/to must be YYYY-MM-DD with from before to' });
+    }
+    // Explicit ranges are capped like ?days
+    const earliest = new Date(to.getTime() - REPORT_PERIOD.maxDays * 24 * 60 * 60 * 1000);
+    if (from < earliest) from = earliest;
+    
+    const pdf = await renderGlucoseReport(await buildReportData(patient, from, to));
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="glucose-report-${patient.phone}-${localClock(to).date}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Detected patterns with the readings behind them; ?all=true includes resolved ones
+app.get('/admin/patterns/:phone', requireRole('clinician'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
+    const query = { patientPhone: phone };
+    if (req.query.all !== 'true') query.resolvedAt = { $exists: false };
+    
+    const patterns = await GlucosePattern.find(query).sort({ lastDetectedAt: -1 }).lean();
+    const readingIds = patterns.flatMap(p => p.readingIds);
+    const readings = await GlucoseReading.find({ _id: { $in: readingIds } }, { reading: 1, readingType: 1, meal: 1, timestamp: 1 }).lean();
+    const byId = new Map(readings.map(r => [r._id.toString(), r]));
+    
+    res.json({
+      phone,
+      patterns: patterns.map(({ readingIds: ids, ...p }) => ({
+        ...p,
+        readings: ids.map(id => byId.get(id.toString())).filter(Boolean)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dose adherence next to glucose, per day - e.g. do high readings follow missed doses?
+app.get('/admin/adherence/:phone', requireRole('clinician'), async (req, res) => {
+  try {
+    const phone = normalizePhone(req.params.phone);
+    const days = Math.min(parseInt(req.query.days) || 7, 90);
+    
+    const { events, ...adherence } = await getAdherence(phone, days);
+    const readings = await GlucoseReading.find({
+      patientPhone: phone,
+      voided: { $ne: true },
+      timestamp: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+    });
+    
+    const daily = {};
+    const dayFor = (date) => (daily[date] = daily[date] || { date, taken: 0, skipped: 0, missed: 0, readings: [] });
+    events.forEach(e => { if (e.status in dayFor(e.doseDate)) dayFor(e.doseDate)[e.status]++; });
+    readings.forEach(r => dayFor(localClock(r.timestamp).date).readings.push(r.reading));
+    
+    res.json({
+      phone,
+      ...adherence,
+      daily: Object.values(daily)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(({ readings: values, ...day }) => ({
+          ...day,
+          readingCount: values.length,
+          avgGlucose: values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null,
+          maxGlucose: values.length ? Math.max(...values) : null
+        }))
     });
-    
   } catch (error) {
-    console.error('❌ Template send failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      details: error.response?.data
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Send campaign to multiple users
-app.post('/admin/send-campaign', async (req, res) => {
+app.get('/admin/test-accounts', requireRole('operator'), async (req, res) => {
   try {
-    const { users, templateName, languageCode } = req.body;
-    
-    if (!users || !Array.isArray(users) || users.length === 0) {
-      return res.status(400).json({ error: 'Users array required' });
+    const accounts = await TestAccount.find().sort({ createdAt: -1 });
+    res.json({ total: accounts.length, fixtures: Object.keys(TEST_PROFILE_FIXTURES), accounts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Allowlist a tester; provision: true also creates the test patient right away
+app.post('/admin/test-accounts', requireRole('operator'), async (req, res) => {
+  try {
+    const { phone, label, fixture, profileOverrides, provision } = req.body;
+    if (!phone) return res.status(400).json({ error: 'Phone required' });
+    if (fixture && !TEST_PROFILE_FIXTURES[fixture]) {
+      return res.status(400).json({ error: `Unknown fixture. Use one of: ${Object.keys(TEST_PROFILE_FIXTURES).join(', ')}` });
     }
     
-    const template = templateName || 'welcome_message';
-    const language = languageCode || 'en';
-    
-    console.log(`📤 Starting campaign: ${users.length} users, template: ${template}`);
+    const formattedPhone = normalizePhone(phone);
     
-    const results = await sendCampaignToMultipleUsers(users, template, language);
+    const account = await TestAccount.findOneAndUpdate(
+      { phone: formattedPhone },
+      { phone: formattedPhone, label, fixture: fixture || DEFAULT_TEST_FIXTURE, profileOverrides, addedBy: req.admin.name },
+      { upsert: true, new: true }
+    );
     
-    const successCount = results.filter(r => r.success).length;
-    const failedCount = results.filter(r => !r.success).length;
+    // A profile that already exists on this phone becomes test data too
+    await Patient.updateOne({ phone: formattedPhone }, { is_test: true });
     
-    res.json({
-      success: true,
-      message: 'Campaign completed',
-      stats: {
-        total: users.length,
-        sent: successCount,
-        failed: failedCount
-      },
-      results
-    });
+    const patient = provision ? await provisionTestPatient(formattedPhone) : null;
     
+    console.log(`🧪 Test account added: ${formattedPhone} by ${req.admin.name}`);
+    res.json({ success: true, account, patient });
   } catch (error) {
-    console.error('❌ Campaign failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/admin/health', async (req, res) => {
+app.delete('/admin/test-accounts/:phone', requireRole('operator'), async (req, res) => {
   try {
-    const totalPatients = await Patient.countDocuments();
-    const completed = await Patient.countDocuments({ onboarding_completed: true });
-    const knowledgeCount = await MedicalKnowledge.countDocuments();
+    const phone = normalizePhone(req.params.phone);
+    const result = await TestAccount.deleteOne({ phone });
     
-    res.json({
-      status: 'healthy',
-      timestamp: new Date(),
-      claude: isClaudeAvailable,
-      rag: ragSystemInitialized,
-      voice: !!OPENAI_API_KEY,
-      patients: { total: totalPatients, completed },
-      knowledge: knowledgeCount
-    });
+    res.json({ success: result.deletedCount > 0, phone });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/admin/conversation/:phone', async (req, res) => {
+// Bulk-delete all data belonging to test phones (admin only)
+app.post('/admin/test-accounts/purge', requireRole(), async (req, res) => {
   try {
-    const phone = req.params.phone.startsWith('+') ? req.params.phone : `+${req.params.phone}`;
-    const conversation = await Conversation.findOne({ patientPhone: phone });
-    
-    if (!conversation) {
-      return res.json({
-        phone,
-        exists: false,
-        message: 'No conversation history found'
-      });
-    }
-    
-    res.json({
-      phone,
-      exists: true,
-      totalMessages: conversation.messages.length,
-      lastActive: conversation.lastActive,
-      messages: conversation.messages.map(m => ({
-        role: m.role,
-        content: m.content.substring(0, 200) + (m.content.length > 200 ? '...' : ''),
-        timestamp: m.timestamp
-      }))
-    });
+    const result = await purgeTestData({ removeAccounts: req.body?.removeAccounts === true });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/audit-log', requireRole(), async (req, res) => {
+  try {
+    const { actor, phone } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+    const query = {};
+    if (actor) query.actor = actor;
+    if (phone) query.targetPhones = normalizePhone(phone);
+
+    const entries = await AuditLog.find(query).sort({ timestamp: -1 }).limit(limit);
+
+    res.json({ total: entries.length, entries });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -2974,11 +6639,11 @@ app.get('/', (req, res) => {
     status: 'running',
     version: '7.4.0-LANGUAGE-FIX',
     onboarding: 'Simple & Fast (NO AI)',
-    medical: 'Claude + RAG + FORCED Language',
+    medical: `${LLM_PROVIDER_ORDER.join(' → ')} + RAG + FORCED Language`,
     voice: 'OpenAI TTS (High Quality)',
     features: {
       onboarding: '✅ Reliable',
-      medical_ai: '✅ Claude + RAG - SHORT responses',
+      medical_ai: '✅ LLM (failover) + RAG - SHORT responses',
       conversation_memory: '✅ Remembers context',
       voice_input: voiceEnabled ? '✅ Whisper STT' : '❌ Disabled',
       voice_output: voiceEnabled ? '✅ OpenAI TTS (clear)' : '❌ Disabled',
@@ -2991,50 +6656,591 @@ app.get('/', (req, res) => {
   });
 });
 
+// ========================================
+// 💊 MEDICATION REMINDERS
+// ========================================
+// Each medicationSchedule entry ("Metformin" at "21:00", daily) gets its own
+// reminder. A once-a-minute sweep sends every dose that fell due in the last
+// MEDICATION_REMINDER_CATCHUP_MINUTES, so a restart only delays reminders.
+// Every send claims a DoseEvent row first (unique per dose per day), which
+// stops a dose from being sent twice.
+
+const MEDICATION_REMINDER_CATCHUP_MINUTES = 15;
+
+// "HH:MM" times in the schedule are local to the patients, not the server
+function localClock(date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: REMINDER_TIMEZONE,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+    }).formatToParts(date).map(p => [p.type, p.value])
+  );
+  
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+const toMinutes = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// "9pm", "9:30 pm", "21:00", "9 baje", "morning 8" → "HH:MM"
+function parseDoseTime(text) {
+  const match = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|baje|gante)?\b/i);
+  if (!match) return null;
+  
+  let hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || '0');
+  const meridiem = (match[3] || '').toLowerCase().replace(/\./g, '');
+  
+  if (!match[2] && !meridiem) return null; // bare numbers are too ambiguous
+  if (hour > 23 || minute > 59) return null;
+  
+  if (meridiem === 'pm' && hour < 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  // "9 baje" / "9 gante" - read evening words, otherwise assume daytime
+  if ((meridiem === 'baje' || meridiem === 'gante') && hour < 12 &&
+      /\b(raat|shaam|sham|night|evening|ratri|sanje)\b/i.test(text)) hour += 12;
+  
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+function formatDoseTime(time) {
+  const minutes = toMinutes(time);
+  const hour = Math.floor(minutes / 60);
+  const suffix = hour >= 12 ? 'pm' : 'am';
+  const displayHour = hour % 12 === 0 ? 12 : hour % 12;
+  const mins = minutes % 60;
+  return `${displayHour}${mins ? `:${String(mins).padStart(2, '0')}` : ''}${suffix}`;
+}
+
+const MEDICATION_MESSAGES = {
+  reminder: {
+    en: (name, med, time) => `💊 Hi ${name}, it's ${time} - time for your ${med}.`,
+    hi: (name, med, time) => `💊 नमस्ते ${name}, ${time} हो गए - ${med} लेने का समय है।`,
+    kn: (name, med, time) => `💊 ನಮಸ್ಕಾರ ${name}, ${time} ಆಯ್ತು - ${med} ತಗೊಳ್ಳುವ ಸಮಯ.`
+  },
+  added: {
+    en: (med, time) => `✅ Done! I'll remind you to take ${med} every day at ${time}.`,
+    hi: (med, time) => `✅ हो गया! मैं आपको रोज़ ${time} बजे ${med} की याद दिलाऊँगा।`,
+    kn: (med, time) => `✅ ಆಯ್ತು! ದಿನಾ ${time} ಗೆ ${med} ನೆನಪಿಸುತ್ತೇನೆ.`
+  },
+  exists: {
+    en: (med, time) => `👍 You already have a ${med} reminder at ${time}.`,
+    hi: (med, time) => `👍 ${med} का ${time} रिमाइंडर पहले से सेट है।`,
+    kn: (med, time) => `👍 ${med} ${time} ರಿಮೈಂಡರ್ ಈಗಾಗಲೇ ಇದೆ.`
+  },
+  changed: {
+    en: (med, time) => `✅ ${med} reminder moved to ${time}.`,
+    hi: (med, time) => `✅ ${med} रिमाइंडर अब ${time} पर है।`,
+    kn: (med, time) => `✅ ${med} ರಿಮೈಂಡರ್ ಈಗ ${time} ಗೆ.`
+  },
+  removed: {
+    en: (med) => `🗑️ ${med} reminder removed.`,
+    hi: (med) => `🗑️ ${med} रिमाइंडर हटा दिया।`,
+    kn: (med) => `🗑️ ${med} ರಿಮೈಂಡರ್ ತೆಗೆದುಹಾಕಿದೆ.`
+  },
+  notFound: {
+    en: (med) => `🤔 I couldn't find a ${med} reminder. Send "my reminders" to see them.`,
+    hi: (med) => `🤔 ${med} का कोई रिमाइंडर नहीं मिला। "my reminders" भेजिए।`,
+    kn: (med) => `🤔 ${med} ರಿಮೈಂಡರ್ ಸಿಗಲಿಲ್ಲ. "my reminders" ಕಳಿಸಿ.`
+  },
+  list: {
+    en: (lines) => lines ? `💊 Your medication reminders:\n${lines}` : `💊 No medication reminders yet.\nTry: "remind me Metformin 9pm"`,
+    hi: (lines) => lines ? `💊 आपके दवाई रिमाइंडर:\n${lines}` : `💊 अभी कोई रिमाइंडर नहीं है।\nलिखिए: "remind me Metformin 9pm"`,
+    kn: (lines) => lines ? `💊 ನಿಮ್ಮ ಮಾತ್ರೆ ರಿಮೈಂಡರ್‌ಗಳು:\n${lines}` : `💊 ಯಾವುದೇ ರಿಮೈಂಡರ್ ಇಲ್ಲ.\nಬರೆಯಿರಿ: "remind me Metformin 9pm"`
+  },
+  nudge: {
+    en: (name, med, time) => `⏰ ${name}, did you take your ${time} ${med}?`,
+    hi: (name, med, time) => `⏰ ${name}, ${time} वाली ${med} ली क्या?`,
+    kn: (name, med, time) => `⏰ ${name}, ${time} ${med} ತಗೊಂಡ್ರಾ?`
+  },
+  replyHint: {
+    en: () => 'Reply TAKEN, SKIP or SNOOZE',
+    hi: () => 'जवाब दीजिए: TAKEN, SKIP या SNOOZE',
+    kn: () => 'ಉತ್ತರ ಕೊಡಿ: TAKEN, SKIP ಅಥವಾ SNOOZE'
+  },
+  taken: {
+    en: (med) => `✅ Great, ${med} logged as taken. 👍`,
+    hi: (med) => `✅ बढ़िया, ${med} ले ली - नोट कर लिया। 👍`,
+    kn: (med) => `✅ ಚೆನ್ನಾಗಿದೆ, ${med} ತಗೊಂಡಿದ್ದು ನೋಟ್ ಮಾಡಿದೆ. 👍`
+  },
+  skipped: {
+    en: (med) => `📝 Noted, ${med} skipped. Tell your doctor if you skip often.`,
+    hi: (med) => `📝 ठीक है, ${med} स्किप नोट किया। बार-बार स्किप हो तो डॉक्टर को बताएँ।`,
+    kn: (med) => `📝 ಸರಿ, ${med} ಸ್ಕಿಪ್ ನೋಟ್ ಮಾಡಿದೆ. ತುಂಬಾ ಸ್ಕಿಪ್ ಆದರೆ ಡಾಕ್ಟರ್‌ಗೆ ಹೇಳಿ.`
+  },
+  snoozed: {
+    en: (med, mins) => `⏰ OK, I'll remind you about ${med} in ${mins} minutes.`,
+    hi: (med, mins) => `⏰ ठीक है, ${mins} मिनट बाद ${med} की याद दिलाऊँगा।`,
+    kn: (med, mins) => `⏰ ಸರಿ, ${mins} ನಿಮಿಷದ ನಂತರ ${med} ನೆನಪಿಸುತ್ತೇನೆ.`
+  },
+  alreadyLogged: {
+    en: (med, status) => `👍 ${med} is already logged as ${status}.`,
+    hi: (med, status) => `👍 ${med} पहले से ${status} नोट है।`,
+    kn: (med, status) => `👍 ${med} ಈಗಾಗಲೇ ${status} ಎಂದು ನೋಟ್ ಆಗಿದೆ.`
+  },
+  needTime: {
+    en: (med) => `⏰ What time should I remind you about ${med}? e.g. "remind me ${med} 9pm"`,
+    hi: (med) => `⏰ ${med} के लिए कितने बजे याद दिलाऊँ? जैसे "remind me ${med} 9pm"`,
+    kn: (med) => `⏰ ${med} ಗೆ ಯಾವಾಗ ನೆನಪಿಸಲಿ? ಉದಾ: "remind me ${med} 9pm"`
+  }
+};
+
+const medText = (key, lang, ...args) => (MEDICATION_MESSAGES[key][lang] || MEDICATION_MESSAGES[key].en)(...args);
+
+const sameMedication = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Pulls the medicine name out of "remind me Metformin 9pm" style text
+function extractMedicationName(text) {
+  const name = text
+    .replace(/\b\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm|a\.m\.|p\.m\.|baje|gante)?\b/gi, ' ')
+    .replace(/\b(remind|reminder|reminders|me|to|take|my|at|for|every|day|daily|the|please|stop|remove|delete|cancel|change|move|from|raat|shaam|sham|subah|night|morning|evening|ko|ka|ki|yaad|dilao)\b/gi, ' ')
+    .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  
+  if (!name) return null;
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// Chat commands that edit the schedule. Returns the reply text, or null if
+// the message isn't a medication command.
+async function handleMedicationCommand(phone, text, patient) {
+  const lower = text.toLowerCase().trim();
+  const lang = patient.language_pref || 'en';
+  const schedule = patient.medicationSchedule || [];
+  
+  if (/^(my |show |list )?(medication |medicine |med )?reminders\??$/.test(lower)) {
+    const lines = schedule
+      .slice()
+      .sort((a, b) => toMinutes(a.time) - toMinutes(b.time))
+      .map(d => `• ${d.medicationName} - ${formatDoseTime(d.time)}`)
+      .join('\n');
+    return medText('list', lang, lines);
+  }
+  
+  // "stop Metformin reminder", "remove Metformin 9pm reminder"
+  if (/^(stop|remove|delete|cancel)\b/.test(lower) && /\bremind/.test(lower)) {
+    const medicationName = extractMedicationName(text);
+    if (!medicationName) return null;
+    
+    const time = parseDoseTime(text);
+    const remaining = schedule.filter(d =>
+      !(sameMedication(d.medicationName, medicationName) && (!time || d.time === time)));
+    
+    if (remaining.length === schedule.length) return medText('notFound', lang, medicationName);
+    
+    await Patient.updateOne({ phone }, { medicationSchedule: remaining });
+    console.log(`💊 ${phone}: removed ${medicationName} reminder`);
+    return medText('removed', lang, medicationName);
+  }
+  
+  // "change Metformin to 8am", "move Metformin from 9pm to 10pm"
+  const changeMatch = lower.match(/^(change|move)\b(.+)\bto\b(.+)$/);
+  if (changeMatch) {
+    const newTime = parseDoseTime(changeMatch[3]);
+    const oldTime = parseDoseTime(changeMatch[2]);
+    const medicationName = extractMedicationName(changeMatch[2]);
+    if (!newTime || !medicationName) return null;
+    
+    const matches = schedule.filter(d =>
+      sameMedication(d.medicationName, medicationName) && (!oldTime || d.time === oldTime));
+    if (matches.length === 0) return medText('notFound', lang, medicationName);
+    
+    // Several doses of the same medicine and no "from" time: move the first one only
+    matches[0].time = newTime;
+    await Patient.updateOne({ phone }, { medicationSchedule: schedule });
+    console.log(`💊 ${phone}: ${medicationName} moved to ${newTime}`);
+    return medText('changed', lang, matches[0].medicationName, formatDoseTime(newTime));
+  }
+  
+  // "remind me Metformin 9pm", "Metformin raat 9 baje yaad dilao"
+  if (/\bremind me\b|\byaad dilao\b/.test(lower)) {
+    const medicationName = extractMedicationName(text);
+    if (!medicationName) return null;
+    
+    const time = parseDoseTime(text);
+    if (!time) return medText('needTime', lang, medicationName);
+    
+    if (schedule.some(d => sameMedication(d.medicationName, medicationName) && d.time === time)) {
+      return medText('exists', lang, medicationName, formatDoseTime(time));
+    }
+    
+    await Patient.updateOne(
+      { phone },
+      { $push: { medicationSchedule: { medicationName, time, frequency: 'daily' } } }
+    );
+    console.log(`💊 ${phone}: ${medicationName} reminder at ${time}`);
+    return medText('added', lang, medicationName, formatDoseTime(time));
+  }
+  
+  return null;
+}
+
+async function sendMedicationReminders(now = new Date()) {
+  const today = localClock(now);
+  const yesterday = localClock(new Date(now.getTime() - 24 * 60 * 60 * 1000));
+  
+  const patients = await Patient.find({
+    'reminderPreferences.medication': true,
+    onboarding_completed: true,
+    is_test: { $ne: true },
+    'medicationSchedule.0': { $exists: true }
+  });
+  
+  let sent = 0;
+  
+  for (const p of patients) {
+    for (const dose of p.medicationSchedule) {
+      if (!/^\d{2}:\d{2}$/.test(dose.time || '')) continue;
+      
+      // How long ago the dose was due; a 23:55 dose is still "due" at 00:05
+      let lateBy = today.minutes - toMinutes(dose.time);
+      let doseDate = today.date;
+      if (lateBy < 0) {
+        lateBy += 24 * 60;
+        doseDate = yesterday.date;
+      }
+      if (lateBy > MEDICATION_REMINDER_CATCHUP_MINUTES) continue;
+      
+      let event;
+      try {
+        event = await DoseEvent.create({
+          patientPhone: p.phone,
+          medicationName: dose.medicationName,
+          time: dose.time,
+          doseDate,
+          lastReminderAt: now
+        });
+      } catch (error) {
+        if (error.code === 11000) continue; // already sent
+        throw error;
+      }
+      
+      await sendDoseReminder(p, event, 'reminder');
+      sent++;
+    }
+  }
+  
+  if (sent > 0) console.log(`💊 Sent ${sent} medication reminders`);
+  return sent;
+}
+
+// ========================================
+// 💊 DOSE ADHERENCE (Taken / Skip / Snooze)
+// ========================================
+// A reminder opens a DoseEvent as "pending". The patient taps Taken, Skip or
+// Snooze (or types it). A snoozed dose is reminded again after snoozeMinutes.
+// An unanswered dose gets one nudge after nudgeAfterMinutes and is marked
+// "missed" after missedAfterMinutes.
+
+const DOSE_FOLLOWUP = {
+  snoozeMinutes: 30,
+  nudgeAfterMinutes: 60,
+  missedAfterMinutes: 180,
+  // Typed replies apply to the latest open dose reminded within this window
+  replyWindowHours: 12,
+  // Everyday words ("done", "later") only count this soon after a reminder
+  bareReplyMinutes: 30
+};
+
+const DOSE_ACTIONS = ['taken', 'skip', 'snooze'];
+
+const DOSE_BUTTON_TITLES = {
+  taken: { en: '✅ Taken', hi: '✅ ले ली', kn: '✅ ತಗೊಂಡೆ' },
+  skip: { en: '⏭️ Skip', hi: '⏭️ स्किप', kn: '⏭️ ಸ್ಕಿಪ್' },
+  snooze: { en: '⏰ Snooze 30 min', hi: '⏰ 30 मिनट बाद', kn: '⏰ 30 ನಿಮಿಷ ನಂತರ' }
+};
+
+// Typed fallbacks, e.g. when buttons didn't render. The reply has to be the whole message.
+const DOSE_TEXT_REPLIES = {
+  taken: /^(taken|took it|yes taken|le li|le liya|kha li|tagonde|tegedukonde|ले ली|ले लिया|ತಗೊಂಡೆ)[.! ।]*$/,
+  skip: /^(skip|skipped|skip it|nahi li|chhod do|bidi|नहीं ली|स्किप|ಸ್ಕಿಪ್|ಬಿಡಿ)[.! ।]*$/,
+  snooze: /^(snooze|baad mein|aamele|बाद में|ಆಮೇಲೆ)[.! ।]*$/
+};
+
+// Words that are just as likely ordinary chat - only within DOSE_FOLLOWUP.bareReplyMinutes
+const BARE_DOSE_REPLIES = {
+  taken: /^(done|took|li|ली)[.! ।]*$/,
+  snooze: /^(later|nantara|ನಂತರ)[.! ।]*$/
+};
+
+async function sendDoseReminder(patient, event, kind) {
+  const lang = patient.language_pref || 'en';
+  const body = medText(kind, lang, patient.full_name || '', event.medicationName, formatDoseTime(event.time));
+  
+  const outboundId = await sendInteractiveMessage(patient.phone, body, {
+    type: 'button',
+    options: DOSE_ACTIONS.map(action => ({ id: `dose:${event._id}:${action}`, title: DOSE_BUTTON_TITLES[action] }))
+  }, lang, {
+    purpose: 'reminder',
+    patientPhone: patient.phone,
+    fallbackText: `${body}\n\n${medText('replyHint', lang)}`
+  });
+  
+  await DoseEvent.updateOne({ _id: event._id }, { reminderOutboundId: outboundId });
+  return outboundId;
+}
+
+// Re-sends snoozed doses, nudges unanswered ones, and closes out missed ones
+async function followUpDoseEvents(now = new Date()) {
+  const minutesAgo = (m) => new Date(now.getTime() - m * 60 * 1000);
+  
+  // Claim one at a time so an overlapping sweep can't send the same one twice
+  const claimAndSend = async (filter, update, kind) => {
+    let count = 0;
+    let event;
+    while ((event = await DoseEvent.findOneAndUpdate(filter, update, { new: true }))) {
+      const patient = await Patient.findOne({ phone: event.patientPhone });
+      if (patient && patient.reminderPreferences?.medication !== false) {
+        await sendDoseReminder(patient, event, kind);
+        count++;
+      }
+    }
+    return count;
+  };
+  
+  const resent = await claimAndSend(
+    { status: 'snoozed', snoozeUntil: { $lte: now } },
+    { status: 'pending', lastReminderAt: now, nudgedAt: null, $unset: { snoozeUntil: 1 } },
+    'reminder'
+  );
+  
+  const nudged = await claimAndSend(
+    { status: 'pending', nudgedAt: null, lastReminderAt: { $lte: minutesAgo(DOSE_FOLLOWUP.nudgeAfterMinutes) } },
+    { nudgedAt: now },
+    'nudge'
+  );
+  
+  const missed = await DoseEvent.updateMany(
+    { status: 'pending', nudgedAt: { $ne: null }, lastReminderAt: { $lte: minutesAgo(DOSE_FOLLOWUP.missedAfterMinutes) } },
+    { status: 'missed' }
+  );
+  
+  if (resent + nudged + missed.modifiedCount > 0) {
+    console.log(`💊 Dose follow-up: ${resent} snoozed re-sent, ${nudged} nudged, ${missed.modifiedCount} missed`);
+  }
+}
+
+async function applyDoseAction(event, action, lang) {
+  const now = new Date();
+  
+  if (action === 'snooze') {
+    await DoseEvent.updateOne(
+      { _id: event._id },
+      { status: 'snoozed', snoozeUntil: new Date(now.getTime() + DOSE_FOLLOWUP.snoozeMinutes * 60 * 1000) }
+    );
+    return medText('snoozed', lang, event.medicationName, DOSE_FOLLOWUP.snoozeMinutes);
+  }
+  
+  const status = action === 'taken' ? 'taken' : 'skipped';
+  await DoseEvent.updateOne({ _id: event._id }, { status, respondedAt: now, $unset: { snoozeUntil: 1 } });
+  console.log(`💊 ${event.patientPhone}: ${event.medicationName} ${event.time} ${status}`);
+  return medText(status, lang, event.medicationName);
+}
+
+// Button tap: "dose:<eventId>:<action>"
+async function handleDoseButton(phone, replyId, patient) {
+  const [, eventId, action] = replyId.split(':');
+  const lang = patient?.language_pref || 'en';
+  
+  if (!DOSE_ACTIONS.includes(action) || !mongoose.Types.ObjectId.isValid(eventId)) return null;
+  
+  const event = await DoseEvent.findOne({ _id: eventId, patientPhone: phone });
+  if (!event) return null;
+  
+  // Late taps still count - a dose marked missed can be corrected to taken
+  if (event.status === 'taken' || event.status === 'skipped') {
+    return medText('alreadyLogged', lang, event.medicationName, event.status);
+  }
+  
+  return await applyDoseAction(event, action, lang);
+}
+
+// Typed "taken" / "skip" / "snooze" - applies to the latest open dose
+async function handleDoseTextReply(phone, text, patient) {
+  const lower = text.toLowerCase().trim();
+  const explicit = DOSE_ACTIONS.find(a => DOSE_TEXT_REPLIES[a].test(lower));
+  const action = explicit || DOSE_ACTIONS.find(a => BARE_DOSE_REPLIES[a]?.test(lower));
+  if (!action) return null;
+  
+  const windowMs = explicit
+    ? DOSE_FOLLOWUP.replyWindowHours * 60 * 60 * 1000
+    : DOSE_FOLLOWUP.bareReplyMinutes * 60 * 1000;
+  const event = await DoseEvent.findOne({
+    patientPhone: phone,
+    status: { $in: ['pending', 'snoozed', 'missed'] },
+    lastReminderAt: { $gte: new Date(Date.now() - windowMs) }
+  }).sort({ lastReminderAt: -1 });
+  
+  if (!event) return null;
+  return await applyDoseAction(event, action, patient.language_pref || 'en');
+}
+
+// Taken / (taken + skipped + missed) over the last `days` days; open doses don't count
+async function getAdherence(phone, days = 7) {
+  const since = localClock(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)).date;
+  const events = await DoseEvent.find({ patientPhone: phone, doseDate: { $gte: since } });
+  
+  const tally = (list) => {
+    const counts = { taken: 0, skipped: 0, missed: 0 };
+    list.forEach(e => { if (e.status in counts) counts[e.status]++; });
+    const total = counts.taken + counts.skipped + counts.missed;
+    return { ...counts, total, percent: total > 0 ? Math.round((counts.taken / total) * 100) : null };
+  };
+  
+  const medications = [...new Set(events.map(e => e.medicationName))];
+  
+  return {
+    days,
+    since,
+    overall: tally(events),
+    byMedication: medications.map(name => ({
+      medicationName: name,
+      ...tally(events.filter(e => e.medicationName === name))
+    })),
+    events
+  };
+}
+
+function formatAdherenceForProfile(adherence) {
+  if (adherence.overall.total === 0) return 'No dose tracking yet';
+  
+  const perMed = adherence.byMedication
+    .filter(m => m.total > 0)
+    .map(m => `${m.medicationName} ${m.taken}/${m.total} taken${m.missed ? `, ${m.missed} missed` : ''}`)
+    .join('; ');
+  
+  return `${adherence.overall.percent}% over ${adherence.days} days (${perMed})`;
+}
+
 // ========================================
 // SCHEDULED REMINDERS
 // ========================================
 
-cron.schedule('0 8 * * *', async () => {
+function scheduleReminders() {
+  return [
+    cron.schedule('0 8 * * *', morningReminders),
+    cron.schedule('0 20 * * *', eveningGlucoseReminders),
+    // Patient-local evening, so the day's readings are in and insights don't arrive at 3am
+    cron.schedule('30 21 * * *', async () => {
+      try {
+        await detectPatternsNightly();
+      } catch (error) {
+        console.error('❌ Pattern detection:', error.message);
+      }
+    }, { timezone: REMINDER_TIMEZONE }),
+    cron.schedule('0 19 * * 0', async () => {
+      try {
+        await sendWeeklyDigests();
+      } catch (error) {
+        console.error('❌ Weekly digest:', error.message);
+      }
+    }, { timezone: REMINDER_TIMEZONE }),
+    cron.schedule('* * * * *', async () => {
+      try {
+        await followUpHypoEpisodes();
+      } catch (error) {
+        console.error('❌ Hypo follow-up:', error.message);
+      }
+    }),
+    cron.schedule('* * * * *', async () => {
+      try {
+        await sendMedicationReminders();
+        await followUpDoseEvents();
+      } catch (error) {
+        console.error('❌ Medication reminders:', error.message);
+      }
+    })
+  ];
+}
+
+async function morningReminders() {
   const patients = await Patient.find({ 
     'reminderPreferences.medication': true,
-    onboarding_completed: true 
+    onboarding_completed: true,
+    is_test: { $ne: true },
+    'medicationSchedule.0': { $exists: false } // these get per-dose reminders
   });
   
   for (const p of patients) {
     const greeting = p.language_pref === 'hi' ? '🌅 Good morning' :
                      p.language_pref === 'kn' ? '🌅 Good morning' : '🌅 Good morning';
-    await sendWhatsAppMessage(p.phone, `${greeting} ${p.full_name}! Time for meds & glucose check 😊`);
+    await sendWhatsAppMessage(p.phone, `${greeting} ${p.full_name}! Time for meds & glucose check 😊`, { purpose: 'reminder' });
   }
-});
+}
 
-cron.schedule('0 20 * * *', async () => {
+async function eveningGlucoseReminders() {
   const patients = await Patient.find({ 
     'reminderPreferences.glucoseLogging': true,
-    onboarding_completed: true 
+    onboarding_completed: true,
+    is_test: { $ne: true }
   });
   
   for (const p of patients) {
     const today = await GlucoseReading.findOne({
       patientPhone: p.phone,
+      voided: { $ne: true },
       timestamp: { $gte: new Date().setHours(0,0,0,0) }
     });
     
     if (!today) {
       const reminder = p.language_pref === 'hi' ? '🌙 Please log glucose!' :
                        p.language_pref === 'kn' ? '🌙 Glucose log!' : '🌙 Log your glucose!';
-      await sendWhatsAppMessage(p.phone, reminder);
+      await sendWhatsAppMessage(p.phone, reminder, { purpose: 'reminder' });
     }
   }
-});
+}
+
+// ========================================
+// STARTUP
+// ========================================
+// `node server.js` starts everything. Requiring the file (scenario harness,
+// scripts) only builds the app - call startServer() with overrides as needed.
 
-app.listen(PORT, () => console.log(`
+async function startServer(options = {}) {
+  const port = options.port ?? PORT;
+  
+  await connectDatabase(options.mongodbUri || MONGODB_URI);
+  initializeLLMProviders();
+  
+  const timers = [
+    setInterval(processOutboundQueue, OUTBOUND_QUEUE.pollMs),
+    setInterval(processInboundQueue, INBOUND_QUEUE.pollMs)
+  ];
+  const cronTasks = options.reminders === false ? [] : scheduleReminders();
+  
+  const server = await new Promise(resolve => {
+    const listener = app.listen(port, () => {
+      if (!options.quiet) printBanner(listener.address().port);
+      resolve(listener);
+    });
+  });
+  
+  return {
+    server,
+    async stop() {
+      timers.forEach(clearInterval);
+      cronTasks.forEach(task => task.stop());
+      await new Promise(resolve => server.close(resolve));
+      await mongoose.disconnect();
+    }
+  };
+}
+
+function printBanner(port) {
+  console.log(`
 ╔════════════════════════════════════════╗
 ║  GLUCO SAHAYAK v7.10 - TEMPLATES!     ║
 ╠════════════════════════════════════════╣
-║  Port: ${PORT}                           ║
+║  Port: ${port}                           ║
 ║  Onboarding: SETUP or EMERGENCY       ║
-║  Medical: Claude + RAG                ║
+║  Medical: LLM failover + RAG          ║
 ║  Voice: OpenAI TTS (Normal Speed)     ║
 ║  Language: Script-Aware Responses     ║
 ╠════════════════════════════════════════╣
@@ -3053,4 +7259,46 @@ Send campaign: POST /admin/send-campaign
 Status: GET /admin/health
 
 Bot can now initiate conversations with templates!
-`));
+`);
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  startServer,
+  connectDatabase,
+  morningReminders,
+  eveningGlucoseReminders,
+  sendMedicationReminders,
+  followUpDoseEvents,
+  followUpHypoEpisodes,
+  detectPatternsNightly,
+  sendWeeklyDigests,
+  processInboundQueue,
+  processOutboundQueue,
+  // Message parsers and report data, exported for unit tests
+  extractGlucose,
+  parseInsulinDoses,
+  stripInsulinDoses,
+  buildReportData,
+  models: {
+    Patient,
+    OnboardingState,
+    DoseEvent,
+    GlucosePattern,
+    HypoEpisode,
+    MedicalKnowledge,
+    Triage,
+    GlucoseReading,
+    PendingReading,
+    InsulinDose,
+    Conversation,
+    InboundMessage,
+    OutboundMessage,
+    TestAccount,
+    AuditLog
+  }
+};
@@ -0,0 +1,209 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeGlucoseStats, dailySummaries, weeklySummaries, detectPatterns } = require('../analytics');
+
+let nextId = 1;
+const reading = (timestamp, value, readingType = 'random', extra = {}) =>
+  ({ _id: `r${nextId++}`, timestamp: new Date(timestamp), reading: value, readingType, ...extra });
+
+// Asia/Kolkata, the way server.js passes it in
+const IST_MS = 5.5 * 60 * 60 * 1000;
+const istDay = (date) => new Date(date.getTime() + IST_MS).toISOString().slice(0, 10);
+const istMinutes = (date) => {
+  const local = new Date(date.getTime() + IST_MS);
+  return local.getUTCHours() * 60 + local.getUTCMinutes();
+};
+
+const keysOf = (patterns) => patterns.map(p => p.key).sort();
+
+describe('computeGlucoseStats', () => {
+  const readings = [
+    reading('2026-10-01T02:00:00Z', 60, 'fasting'),
+    reading('2026-10-02T02:00:00Z', 200, 'post_meal'),
+    reading('2026-10-03T02:00:00Z', 260, 'post_meal'),
+    reading('2026-10-04T02:00:00Z', 100, 'fasting'),
+    reading('2026-10-05T02:00:00Z', 150, 'random')
+  ];
+  const stats = computeGlucoseStats(readings, { days: 14, now: new Date('2026-10-05T12:00:00Z') });
+
+  it('summarises the values', () => {
+    assert.equal(stats.count, 5);
+    assert.equal(stats.daysWithData, 5);
+    assert.equal(stats.readingsPerDay, 0.4);
+    assert.equal(stats.mean, 154);
+    assert.equal(stats.sd, 79);
+    assert.equal(stats.cv, 51.5);
+    assert.equal(stats.stable, false);
+    assert.equal(stats.min, 60);
+    assert.equal(stats.max, 260);
+  });
+
+  it('estimates GMI but flags it unreliable on too little data', () => {
+    assert.equal(stats.gmi, 7);
+    assert.equal(stats.gmiReliable, false);
+  });
+
+  it('splits readings into the consensus bands', () => {
+    assert.deepEqual(stats.timeInRange, { veryLow: 0, below: 20, inRange: 40, above: 40, veryHigh: 20 });
+  });
+
+  it('grades against the patient targets when given', () => {
+    const statusOf = (r) => (r.reading < 80 ? 'low' : r.reading > 220 ? 'high' : 'in_range');
+    const own = computeGlucoseStats(readings, { statusOf });
+    assert.deepEqual(own.target, { inRange: 60, below: 20, above: 20 });
+  });
+
+  it('averages fasting and post-meal readings', () => {
+    assert.deepEqual(stats.fasting, { count: 2, mean: 80 });
+    assert.deepEqual(stats.postMeal, { count: 2, mean: 230 });
+  });
+
+  it('counts logging days and the latest in-target run', () => {
+    assert.deepEqual(stats.streaks, { loggingDays: 5, inTargetReadings: 2 });
+  });
+
+  it('groups lows within an hour into one hypo event', () => {
+    const events = computeGlucoseStats([
+      reading('2026-10-01T02:00:00Z', 65),
+      reading('2026-10-01T02:30:00Z', 50),
+      reading('2026-10-01T03:00:00Z', 110),
+      reading('2026-10-02T02:00:00Z', 68)
+    ]).hypoEvents;
+
+    assert.deepEqual(events, { level1: 1, level2: 1, total: 2 });
+  });
+
+  it('returns nulls rather than NaN with no readings', () => {
+    const empty = computeGlucoseStats([]);
+    assert.equal(empty.count, 0);
+    assert.equal(empty.mean, null);
+    assert.equal(empty.cv, null);
+    assert.equal(empty.gmi, null);
+    assert.equal(empty.timeInRange.inRange, null);
+  });
+});
+
+describe('dailySummaries', () => {
+  it('groups by local day, oldest first', () => {
+    const days = dailySummaries([
+      reading('2026-10-02T04:00:00Z', 200),
+      // 01:30 on 2 Oct in India
+      reading('2026-10-01T20:00:00Z', 100),
+      reading('2026-10-01T04:00:00Z', 120)
+    ], { dayOf: istDay });
+
+    assert.deepEqual(days, [
+      { date: '2026-10-01', count: 1, mean: 120, inTarget: 100 },
+      { date: '2026-10-02', count: 2, mean: 150, inTarget: 50 }
+    ]);
+  });
+});
+
+describe('weeklySummaries', () => {
+  it('groups Monday to Sunday weeks', () => {
+    const weeks = weeklySummaries([
+      reading('2026-10-03T04:00:00Z', 100),
+      reading('2026-10-04T04:00:00Z', 200),
+      reading('2026-10-04T10:00:00Z', 150),
+      reading('2026-10-05T04:00:00Z', 120)
+    ]);
+
+    assert.deepEqual(weeks, [
+      { weekStart: '2026-09-28', count: 3, daysWithData: 2, mean: 150, inTarget: 67 },
+      { weekStart: '2026-10-05', count: 1, daysWithData: 1, mean: 120, inTarget: 100 }
+    ]);
+  });
+});
+
+describe('detectPatterns', () => {
+  const options = { dayOf: istDay, minutesOf: istMinutes };
+  const days = ['2026-10-05', '2026-10-06', '2026-10-07'];
+
+  it('finds nothing in steady in-range readings', () => {
+    const steady = days.flatMap(d => [
+      reading(`${d}T01:30:00Z`, 110, 'fasting'),
+      reading(`${d}T16:30:00Z`, 140, 'bedtime')
+    ]);
+    assert.deepEqual(detectPatterns(steady, options), []);
+  });
+
+  it('flags high fasting after in-range bedtimes as dawn phenomenon', () => {
+    const readings = days.flatMap(d => [
+      reading(`${d}T01:30:00Z`, 210, 'fasting'),
+      reading(`${d}T16:30:00Z`, 130, 'bedtime')
+    ]);
+
+    const [pattern] = detectPatterns(readings, options);
+    assert.equal(pattern.key, 'dawn_phenomenon');
+    assert.equal(pattern.clinical, true);
+    assert.deepEqual(pattern.details, { days: 3, fastingMean: 210, bedtimeMean: 130, rise: 80 });
+    assert.equal(pattern.readingIds.length, 6);
+  });
+
+  it('flags night-time lows on two nights', () => {
+    const readings = [
+      // 03:00 in India
+      reading('2026-10-05T21:30:00Z', 62, 'overnight'),
+      reading('2026-10-06T21:30:00Z', 58, 'overnight'),
+      reading('2026-10-06T04:30:00Z', 130, 'post_meal')
+    ];
+
+    const [pattern] = detectPatterns(readings, options);
+    assert.equal(pattern.key, 'nocturnal_hypo:night');
+    assert.equal(pattern.clinical, true);
+    assert.deepEqual(pattern.details, { slot: 'night', days: 2, count: 2, lowest: 58 });
+  });
+
+  it('flags lows that recur in the same part of the day', () => {
+    const readings = days.slice(0, 2).map(d => reading(`${d}T12:30:00Z`, 64, 'pre_dinner'));
+
+    assert.deepEqual(keysOf(detectPatterns(readings, options)), ['recurring_lows:evening']);
+  });
+
+  it('keeps readings under the patient target but above 70 out of the hypo patterns', () => {
+    // A patient whose target starts at 100
+    const statusOf = (r) => (r.reading < 100 ? 'low' : r.reading > 180 ? 'high' : 'in_range');
+    const readings = days.flatMap(d => [
+      reading(`${d}T21:30:00Z`, 85, 'overnight'),
+      reading(`${d}T12:30:00Z`, 90, 'pre_dinner')
+    ]);
+
+    const patterns = detectPatterns(readings, { ...options, statusOf });
+    assert.deepEqual(keysOf(patterns), ['below_target:evening', 'below_target:night']);
+    assert.ok(patterns.every(p => p.type === 'below_target' && !p.clinical));
+  });
+
+  it('reports hypos as clinical even when the patient target is lower', () => {
+    const statusOf = (r) => (r.reading < 60 ? 'low' : r.reading > 180 ? 'high' : 'in_range');
+    const readings = days.slice(0, 2).map(d => reading(`${d}T21:30:00Z`, 65, 'overnight'));
+
+    const patterns = detectPatterns(readings, { ...options, statusOf });
+    assert.deepEqual(keysOf(patterns), ['nocturnal_hypo:night']);
+    assert.equal(patterns[0].clinical, true);
+  });
+
+  it('flags big rises after the same meal', () => {
+    const readings = days.flatMap(d => [
+      reading(`${d}T06:30:00Z`, 110, 'pre_lunch', { meal: 'lunch' }),
+      reading(`${d}T08:30:00Z`, 200, 'post_meal', { meal: 'lunch' })
+    ]);
+
+    const [pattern] = detectPatterns(readings, options);
+    assert.equal(pattern.key, 'post_meal_spike:lunch');
+    assert.equal(pattern.clinical, false);
+    assert.deepEqual(pattern.details, { meal: 'lunch', days: 3, peakMean: 200, averageRise: 90 });
+  });
+
+  it('flags weekends that run higher than weekdays', () => {
+    // 2026-10-03 and 04 are a Saturday and Sunday
+    const readings = [
+      ...['2026-10-03', '2026-10-04', '2026-10-10'].map(d => reading(`${d}T06:30:00Z`, 170)),
+      ...['2026-10-05', '2026-10-06', '2026-10-07'].map(d => reading(`${d}T06:30:00Z`, 120))
+    ];
+
+    const [pattern] = detectPatterns(readings, options);
+    assert.equal(pattern.key, 'weekend_effect');
+    assert.equal(pattern.clinical, false);
+    assert.deepEqual(pattern.details, { weekendMean: 170, weekdayMean: 120, gap: 50, direction: 'higher' });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, textOf } = require('./support/harness');
+
+// The rule-of-15 follow-up once it has escalated. Time is moved forward by
+// passing a later `now` to followUpHypoEpisodes.
+
+const PHONE = '919812345678';
+const CONTACT = '919800000002';
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+describe('hypo escalation', () => {
+  let h;
+
+  const episode = () => h.models.HypoEpisode.findOne({ patientPhone: PHONE }).lean();
+  // Hypo pages only - low readings also raise the usual triage alert
+  const pages = () => h.simulator.sentMessages.filter(m =>
+    m.to === CONTACT || (m.to === h.physicianPhone && /HYPO/.test(textOf(m))));
+  const sweep = (now) => h.capture(() => h.bot.followUpHypoEpisodes(now));
+
+  // Three low readings use up the treatment rounds; the fourth escalates
+  async function escalateStillLow() {
+    for (const value of [60, 62, 61, 59]) await h.send(PHONE, `sugar ${value}`);
+  }
+
+  before(async () => {
+    h = await startHarness();
+  });
+
+  after(async () => {
+    await h.stop();
+  });
+
+  beforeEach(async () => {
+    await h.reset();
+    await h.createPatient({ phone: PHONE });
+  });
+
+  it('puts an episode back when paging fails and pages on the next sweep', async (t) => {
+    await h.send(PHONE, 'sugar 60');
+    await sweep(minutesFromNow(16));
+    const deadline = (await episode()).responseDeadline;
+
+    const exists = t.mock.method(h.models.TestAccount, 'exists');
+    exists.mock.mockImplementationOnce(() => {
+      throw new Error('database blip');
+    });
+    await sweep(minutesFromNow(40));
+
+    const failed = await episode();
+    assert.equal(failed.status, 'active');
+    assert.deepEqual(failed.responseDeadline, deadline);
+    assert.equal(pages().length, 0);
+
+    await sweep(minutesFromNow(41));
+
+    const escalated = await episode();
+    assert.equal(escalated.status, 'escalated');
+    assert.equal(escalated.escalationReason, 'no_response');
+    assert.deepEqual(pages().map(m => m.to).sort(), [h.physicianPhone, CONTACT].sort());
+  });
+
+  it('pages once per reason and keeps rechecking while the patient is still low', async () => {
+    await escalateStillLow();
+
+    assert.equal(pages().length, 2);
+    assert.match(textOf(pages().find(m => m.to === h.physicianPhone)), /STILL LOW/);
+    const escalated = await episode();
+    assert.equal(escalated.status, 'escalated');
+    assert.ok(escalated.nextRecheckAt, 'recheck scheduled after escalating');
+
+    const [prompt] = await sweep(minutesFromNow(16));
+    assert.match(textOf(prompt), /check your sugar now/);
+
+    const replies = await h.send(PHONE, 'sugar 58');
+    assert.ok(replies.some(m => /still low/.test(textOf(m))), 'treated again');
+    assert.equal(pages().length, 2, 'no second still-low page');
+    assert.ok((await episode()).nextRecheckAt > escalated.nextRecheckAt);
+
+    // Then the patient goes quiet: that's a new reason, paged once
+    await sweep(minutesFromNow(16));
+    await sweep(minutesFromNow(40));
+    assert.equal(pages().length, 4);
+    assert.deepEqual((await episode()).escalations.map(e => e.reason).sort(),
+      ['no_response', 'no_response', 'still_low', 'still_low']);
+
+    await h.send(PHONE, 'sugar 110');
+    const recovered = await episode();
+    assert.equal(recovered.outcome, 'recovered_after_escalation');
+    const resolved = pages().slice(4);
+    assert.deepEqual(resolved.map(m => m.to).sort(), [h.physicianPhone, CONTACT].sort());
+  });
+
+  it('writes the instructions and pages in the patient\'s script', async () => {
+    // Script follows what the patient writes in
+    const replies = await h.send(PHONE, 'ಶುಗರ್ 60');
+    assert.ok(replies.some(m => textOf(m).includes('15 ರ ನಿಯಮ')), 'rule of 15 in Kannada script');
+
+    const [prompt] = await sweep(minutesFromNow(16));
+    assert.match(textOf(prompt), /ಶುಗರ್ ಪರೀಕ್ಷಿಸಿ/);
+
+    for (const value of [62, 61, 59]) await h.send(PHONE, `ಶುಗರ್ ${value}`);
+    assert.match(textOf(pages().find(m => m.to === CONTACT)), /ಅವರ ಶುಗರ್/);
+  });
+
+  it('closes as no_response only once the readings stop', async () => {
+    await escalateStillLow();
+    // Escalated long ago, but the patient is still sending readings
+    await h.models.HypoEpisode.updateOne({ patientPhone: PHONE }, { escalatedAt: minutesFromNow(-5 * 60) });
+    await h.send(PHONE, 'sugar 63');
+
+    await sweep(minutesFromNow(20));
+    assert.equal((await episode()).status, 'escalated');
+
+    await sweep(minutesFromNow(4 * 60 + 1));
+    const closed = await episode();
+    assert.equal(closed.status, 'closed');
+    assert.equal(closed.outcome, 'no_response');
+  });
+
+  it('closes an episode left mid-escalation by a crash', async () => {
+    await h.send(PHONE, 'sugar 60');
+    await h.models.HypoEpisode.updateOne({ patientPhone: PHONE }, { status: 'escalating', $unset: { nextRecheckAt: 1 } });
+
+    await sweep(minutesFromNow(4 * 60 + 1));
+
+    assert.equal((await episode()).status, 'closed');
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, LLM_REPLY, textOf } = require('./support/harness');
+
+// A failed inbound job is retried with backoff, but never once the patient
+// has been answered - a retry would reply and log everything a second time.
+
+const PHONE = '919812345678';
+
+describe('inbound queue retries', () => {
+  let h;
+
+  before(async () => {
+    h = await startHarness();
+  });
+
+  after(async () => {
+    await h.stop();
+  });
+
+  beforeEach(async () => {
+    await h.reset();
+    await h.createPatient({ phone: PHONE });
+  });
+
+  it('backs off after a failure before replying, keeping later messages in order', async (t) => {
+    const findOne = t.mock.method(h.models.Patient, 'findOne');
+    findOne.mock.mockImplementationOnce(() => {
+      throw new Error('database blip');
+    });
+
+    const first = await h.send(PHONE, 'hello there');
+    assert.equal(first.length, 0);
+
+    const job = await h.models.InboundMessage.findOne({ patientPhone: PHONE });
+    assert.equal(job.status, 'pending');
+    assert.equal(job.attempts, 1);
+    assert.equal(job.lastError, 'database blip');
+    assert.ok(job.nextAttemptAt > new Date(Date.now() + 5000), 'retry is delayed');
+
+    // The next message from the same phone waits behind the failed one
+    await h.simulator.sendText(PHONE, 'what should I eat?');
+    await h.bot.processInboundQueue();
+    assert.equal(h.sentTo(PHONE).length, 0);
+    assert.equal(await h.models.InboundMessage.countDocuments({ patientPhone: PHONE, status: 'pending' }), 2);
+
+    await h.models.InboundMessage.updateOne({ _id: job._id }, { nextAttemptAt: new Date() });
+    const replies = await h.capture(() => h.bot.processInboundQueue(), PHONE);
+
+    assert.deepEqual(replies.map(textOf), [LLM_REPLY, LLM_REPLY]);
+    const prompts = h.simulator.llmRequests.map(r => JSON.stringify(r.messages));
+    const firstAt = prompts.findIndex(p => p.includes('hello there'));
+    const secondAt = prompts.findIndex(p => p.includes('what should I eat?'));
+    assert.ok(firstAt >= 0 && secondAt > firstAt, 'answered in the order sent');
+    assert.equal(await h.models.InboundMessage.countDocuments({ patientPhone: PHONE, status: 'done' }), 2);
+  });
+
+  it('does not retry once a reply has been queued', async (t) => {
+    const create = t.mock.method(h.models.GlucoseReading, 'create');
+    create.mock.mockImplementationOnce(() => {
+      throw new Error('write failed');
+    });
+
+    const replies = await h.send(PHONE, 'fasting sugar 140');
+    assert.deepEqual(replies.map(textOf), [LLM_REPLY]);
+
+    const job = await h.models.InboundMessage.findOne({ patientPhone: PHONE });
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 1);
+    assert.ok(job.repliedAt, 'reply recorded');
+
+    const again = await h.capture(() => h.bot.processInboundQueue(), PHONE);
+    assert.equal(again.length, 0);
+    assert.equal(await h.models.Triage.countDocuments({ patientPhone: PHONE }), 1);
+  });
+
+  it('gives up after the last attempt', async (t) => {
+    t.mock.method(h.models.Patient, 'findOne', () => {
+      throw new Error('database down');
+    });
+
+    await h.send(PHONE, 'hello');
+    for (let i = 0; i < 2; i++) {
+      await h.models.InboundMessage.updateOne({ patientPhone: PHONE }, { nextAttemptAt: new Date() });
+      await h.capture(() => h.bot.processInboundQueue());
+    }
+
+    const job = await h.models.InboundMessage.findOne({ patientPhone: PHONE });
+    assert.equal(job.status, 'failed');
+    assert.equal(job.attempts, 3);
+  });
+});
@@ -0,0 +1,178 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractGlucose, parseInsulinDoses, stripInsulinDoses } = require('../server');
+
+// The message parsers are pure - no database or network needed.
+
+const readingsOf = (msg) => extractGlucose(msg).readings.map(r => r.reading);
+
+describe('insulin doses', () => {
+  const cases = [
+    ['took 10 units Lantus', [[10, 'Glargine', 'basal']]],
+    ['novorapid 6u before lunch', [[6, 'Aspart', 'bolus']]],
+    ['lantus 12 raat ko', [[12, 'Glargine', 'basal']]],
+    ['lantus 10u and novorapid 6u', [[10, 'Glargine', 'basal'], [6, 'Aspart', 'bolus']]],
+    ['insulin 8 units', [[8, 'Insulin', 'unknown']]],
+    ['sugar 95 lantus 12', [[12, 'Glargine', 'basal']]],
+    ['sugar 60 lantus 10', [[10, 'Glargine', 'basal']]],
+    ['fasting 130, forgot lantus', []],
+    ['walked 20 minutes', []]
+  ];
+
+  for (const [msg, expected] of cases) {
+    it(`"${msg}"`, () => {
+      assert.deepEqual(parseInsulinDoses(msg).map(d => [d.units, d.insulinName, d.insulinType]), expected);
+    });
+  }
+
+  it('picks up the dose timing', () => {
+    assert.equal(parseInsulinDoses('novorapid 6u before lunch')[0].timing, 'before_lunch');
+    assert.equal(parseInsulinDoses('lantus 12 at bedtime')[0].timing, 'bedtime');
+  });
+
+  it('blanks only the dose, keeping offsets', () => {
+    const msg = 'sugar 95 lantus 12';
+    const stripped = stripInsulinDoses(msg);
+
+    assert.equal(stripped.length, msg.length);
+    assert.match(stripped, /sugar 95 lantus\s+$/);
+  });
+});
+
+describe('glucose next to insulin doses', () => {
+  const cases = [
+    ['sugar 95 lantus 12', [95]],
+    ['sugar 60 lantus 10', [60]],
+    ['lantus 12 sugar 95', [95]],
+    ['lantus: 14 fasting 130', [130]],
+    ['took 10 units Lantus, sugar 140', [140]],
+    ['novorapid 6u and sugar 210 after lunch', [210]],
+    ['lantus 10u and novorapid 6u', []]
+  ];
+
+  for (const [msg, expected] of cases) {
+    it(`"${msg}"`, () => {
+      assert.deepEqual(readingsOf(msg), expected);
+    });
+  }
+});
+
+describe('extractGlucose', () => {
+  // 15:30 in Asia/Kolkata
+  const NOW = new Date('2026-10-19T10:00:00Z');
+
+  const parse = (msg) => extractGlucose(msg, NOW).readings
+    .map(r => ({ reading: r.reading, readingType: r.readingType, confidence: r.confidence }));
+
+  describe('readings', () => {
+    const cases = [
+      ['fasting sugar 110', [{ reading: 110, readingType: 'fasting', confidence: 'high' }]],
+      ['sugar 95', [{ reading: 95, readingType: 'random', confidence: 'high' }]],
+      ['fasting 110 and after lunch 190', [
+        { reading: 110, readingType: 'fasting', confidence: 'high' },
+        { reading: 190, readingType: 'post_meal', confidence: 'high' }
+      ]],
+      ['fasting 110, pp 180, bedtime 150', [
+        { reading: 110, readingType: 'fasting', confidence: 'high' },
+        { reading: 180, readingType: 'post_meal', confidence: 'high' },
+        { reading: 150, readingType: 'bedtime', confidence: 'high' }
+      ]],
+      ['शुगर १५०', [{ reading: 150, readingType: 'random', confidence: 'high' }]],
+      ['sugar ek sau bees', [{ reading: 120, readingType: 'random', confidence: 'high' }]],
+      ['room 302', [{ reading: 302, readingType: 'random', confidence: 'low' }]],
+      ['फास्टिंग 110', [{ reading: 110, readingType: 'fasting', confidence: 'high' }]],
+      ['yesterday night 240', [{ reading: 240, readingType: 'bedtime', confidence: 'high' }]]
+    ];
+
+    for (const [msg, expected] of cases) {
+      it(`"${msg}"`, () => {
+        assert.deepEqual(parse(msg), expected);
+      });
+    }
+  });
+
+  describe('numbers that are not glucose', () => {
+    const cases = [
+      ['my pincode is 560001', []],
+      ['hba1c 7.2', []],
+      ['I am 52 years old, sugar 180', [180]],
+      ['age 45 sugar 200', [200]],
+      ['my phone is 9876543210 sugar 140', [140]],
+      ['bp 130/80 sugar 150', [150]],
+      ['took 2 tablets sugar 130', [130]],
+      ['sugar 140 on 12/10', [140]],
+      ['sugar 700', []],
+      ['sugar 15', []],
+      ['took 500 mg', []],
+      ['metformin 500 sugar 150', [150]],
+      ['glycomet 500 fasting 130', [130]],
+      ['sugar 160, metformin 500 mg after lunch', [160]],
+      ['glimepiride 2mg, fasting 118', [118]]
+    ];
+
+    for (const [msg, expected] of cases) {
+      it(`"${msg}"`, () => {
+        assert.deepEqual(extractGlucose(msg, NOW).readings.map(r => r.reading), expected);
+      });
+    }
+  });
+
+  describe('mg and mg%', () => {
+    const cases = [
+      ['blood sugar 300 mg', [300]],
+      ['sugar 180 mg%', [180]],
+      ['sugar 300mg', [300]],
+      ['fasting sugar 126 mg', [126]],
+      ['PP 220 mg', [220]],
+      ['sugar 140 mg/dl', [140]]
+    ];
+
+    for (const [msg, expected] of cases) {
+      it(`"${msg}"`, () => {
+        const readings = extractGlucose(msg, NOW).readings;
+        assert.deepEqual(readings.map(r => r.reading), expected);
+        assert.ok(readings.every(r => r.confidence === 'high'));
+      });
+    }
+  });
+
+  describe('mmol/L', () => {
+    const cases = [
+      ['sugar 6.5 mmol', 117, 6.5],
+      ['fasting 7.8 mmol/l', 140, 7.8],
+      ['sugar 12 mmol', 216, 12]
+    ];
+
+    for (const [msg, mgdl, mmol] of cases) {
+      it(`"${msg}" → ${mgdl} mg/dL`, () => {
+        const [reading] = extractGlucose(msg, NOW).readings;
+        assert.equal(reading.reading, mgdl);
+        assert.equal(reading.unit, 'mmol/L');
+        assert.equal(reading.originalValue, mmol);
+      });
+    }
+  });
+
+  describe('reading times', () => {
+    const cases = [
+      ['sugar 140', '2026-10-19T10:00:00.000Z'],
+      ['2 hours ago sugar 210', '2026-10-19T08:00:00.000Z'],
+      ['sugar 140 at 9am', '2026-10-19T03:30:00.000Z'],
+      ['yesterday fasting 110', '2026-10-18T01:30:00.000Z'],
+      ['last night at 10pm sugar 250', '2026-10-18T16:30:00.000Z'],
+      ['yesterday 2 hours after dinner sugar 240', '2026-10-18T17:00:00.000Z'],
+      ['yesterday night 240', '2026-10-18T16:30:00.000Z'],
+      // Past midnight, so earlier today
+      ['last night 2am sugar 55', '2026-10-18T20:30:00.000Z'],
+      ['kal raat 2 baje sugar 60', '2026-10-18T20:30:00.000Z'],
+      ['kal raat 10 baje sugar 250', '2026-10-18T16:30:00.000Z'],
+      ['yesterday 2am sugar 60', '2026-10-17T20:30:00.000Z']
+    ];
+
+    for (const [msg, expected] of cases) {
+      it(`"${msg}"`, () => {
+        assert.equal(extractGlucose(msg, NOW).readings[0].timestamp.toISOString(), expected);
+      });
+    }
+  });
+});
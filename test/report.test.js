@@ -0,0 +1,95 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness } = require('./support/harness');
+const { renderGlucoseReport } = require('../report');
+
+// Data behind the doctor PDF, and the date range of GET /admin/report/:phone.
+// The harness runs in Asia/Kolkata (UTC+5:30).
+
+const PHONE = '919812345678';
+
+describe('glucose report', () => {
+  let h;
+
+  before(async () => {
+    h = await startHarness();
+  });
+
+  after(async () => {
+    await h.stop();
+  });
+
+  beforeEach(async () => {
+    await h.reset();
+    await h.createPatient({ phone: PHONE });
+  });
+
+  it('labels events by reading, and symptom-only events as Symptoms', async () => {
+    const at = (iso) => new Date(iso);
+    await h.models.Triage.create([
+      { patientPhone: PHONE, timestamp: at('2026-10-02T04:00:00Z'), urgencyLevel: 'EMERGENCY', glucoseReading: 48 },
+      { patientPhone: PHONE, timestamp: at('2026-10-03T04:00:00Z'), urgencyLevel: 'URGENT', glucoseReading: 320 },
+      { patientPhone: PHONE, timestamp: at('2026-10-04T04:00:00Z'), urgencyLevel: 'EMERGENCY', symptoms: ['chest pain'] },
+      { patientPhone: PHONE, timestamp: at('2026-10-05T04:00:00Z'), urgencyLevel: 'ROUTINE', glucoseReading: 190 },
+      // Urgent on symptoms, with a normal reading
+      { patientPhone: PHONE, timestamp: at('2026-10-06T04:00:00Z'), urgencyLevel: 'URGENT', glucoseReading: 120, symptoms: ['blurred vision'] }
+    ]);
+    const patient = await h.models.Patient.findOne({ phone: PHONE });
+
+    const data = await h.bot.buildReportData(patient, at('2026-10-01T00:00:00Z'), at('2026-10-10T00:00:00Z'));
+
+    assert.deepEqual(data.events.map(e => e.kind), ['Hypo', 'Hyper', 'Symptoms', 'Symptoms']);
+  });
+
+  it('shades the patient target band and grades events against it', async () => {
+    await h.models.Patient.updateOne({ phone: PHONE }, { diabetes_type: 'Gestational' });
+    const at = (iso) => new Date(iso);
+    const triage = await h.models.Triage.create({
+      patientPhone: PHONE, timestamp: at('2026-10-02T02:00:00Z'), urgencyLevel: 'URGENT', glucoseReading: 160
+    });
+    await h.models.GlucoseReading.create({
+      patientPhone: PHONE, timestamp: at('2026-10-02T02:00:00Z'), reading: 160, readingType: 'post_meal', triageId: triage._id
+    });
+    const patient = await h.models.Patient.findOne({ phone: PHONE });
+
+    const data = await h.bot.buildReportData(patient, at('2026-10-01T00:00:00Z'), at('2026-10-10T00:00:00Z'));
+
+    assert.deepEqual(data.targetBand, [70, 140]);
+    assert.deepEqual(data.events.map(e => e.kind), ['Hyper']);
+    assert.ok((await renderGlucoseReport(data)).length > 0);
+  });
+
+  describe('GET /admin/report/:phone', () => {
+    // The range the report was built for, from the readings query
+    async function reportRange(t, query) {
+      const find = t.mock.method(h.models.GlucoseReading, 'find');
+      const response = await h.admin('get', `/admin/report/${PHONE}?${query}`, { role: 'clinician' });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers['content-type'], 'application/pdf');
+
+      const { $gte, $lte } = find.mock.calls[0].arguments[0].timestamp;
+      return [$gte.toISOString(), $lte.toISOString()];
+    }
+
+    it('reads from/to as whole local days', async (t) => {
+      assert.deepEqual(await reportRange(t, 'from=2026-10-01&to=2026-10-31'), [
+        '2026-09-30T18:30:00.000Z',
+        '2026-10-31T18:29:59.999Z'
+      ]);
+    });
+
+    it('caps explicit ranges at the longest report period', async (t) => {
+      assert.deepEqual(await reportRange(t, 'from=2025-01-01&to=2026-06-30'), [
+        '2026-01-01T18:29:59.999Z',
+        '2026-06-30T18:29:59.999Z'
+      ]);
+    });
+
+    it('rejects dates that are not real YYYY-MM-DD days', async () => {
+      for (const query of ['from=2026-02-30&to=2026-03-10', 'from=yesterday', 'to=2026-1-5', 'from=2026-10-10&to=2026-10-01']) {
+        const response = await h.admin('get', `/admin/report/${PHONE}?${query}`, { role: 'clinician' });
+        assert.equal(response.status, 400, query);
+      }
+    });
+  });
+});
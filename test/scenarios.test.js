@@ -0,0 +1,424 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startHarness, textOf, optionsOf, LLM_REPLY } = require('./support/harness');
+
+// Scripted conversations against the real app: signed webhooks in, outbound
+// messages (via the WhatsApp simulator) and database state checked.
+
+const PHONE = '919812345678';
+
+describe('scenarios', () => {
+  let h;
+
+  before(async () => {
+    h = await startHarness();
+  });
+
+  after(async () => {
+    await h.stop();
+  });
+
+  beforeEach(async () => {
+    await h.reset();
+  });
+
+  describe('onboarding', () => {
+    it('walks a new patient through every step and saves the profile', async () => {
+      const [welcome] = await h.send(PHONE, 'hi');
+      assert.match(textOf(welcome), /Welcome to Gluco Sahayak/);
+      assert.deepEqual(optionsOf(welcome), ['language:en', 'language:hi', 'language:kn']);
+
+      const [choice] = await h.tap(PHONE, 'language:en', 'English');
+      assert.deepEqual(optionsOf(choice), ['choice:setup', 'choice:emergency']);
+
+      const script = [
+        ['tap', 'choice:setup', /full name/],
+        ['send', 'Asha Rao', /Nice to meet you Asha Rao/],
+        ['send', '52', /Are you/],
+        ['tap', 'gender:Female', /Emergency contact/],
+        ['send', '9876501234', /pincode/],
+        ['send', '560001', /consent/],
+        ['tap', 'consent:yes', /type of diabetes/],
+        ['tap', 'diabetes_type:Type 2', /How many years/],
+        ['send', '5 years', /What medication/],
+        ['pick', 'medication_type:Tablets', /Medicine names/],
+        ['send', 'Metformin, Glimepiride', /Diet preference/],
+        ['tap', 'diet:Veg', /health issues/],
+        ['send', 'BP', /HbA1c/],
+        ['send', '7.2', /All set, Asha Rao/]
+      ];
+
+      for (const [action, input, expected] of script) {
+        const replies = await h[action](PHONE, input);
+        assert.equal(replies.length, 1, `one reply to "${input}"`);
+        assert.match(textOf(replies[0]), expected, `reply to "${input}"`);
+      }
+
+      const patient = await h.models.Patient.findOne({ phone: PHONE }).lean();
+      assert.equal(patient.onboarding_completed, true);
+      assert.equal(patient.full_name, 'Asha Rao');
+      assert.equal(patient.age, 52);
+      assert.equal(patient.gender, 'Female');
+      assert.equal(patient.emergency_contact, '+919876501234');
+      assert.equal(patient.pincode, '560001');
+      assert.equal(patient.diabetes_type, 'Type 2');
+      assert.equal(patient.duration_years, 5);
+      assert.equal(patient.medication_type, 'Tablets');
+      assert.equal(patient.diet_preference, 'Veg');
+      assert.equal(patient.last_hba1c, 7.2);
+      assert.equal(await h.models.OnboardingState.countDocuments({ phone: PHONE }), 0);
+    });
+
+    it('asks again when an answer cannot be parsed', async () => {
+      await h.send(PHONE, 'hi');
+      await h.tap(PHONE, 'language:en');
+      await h.tap(PHONE, 'choice:setup');
+      await h.send(PHONE, 'Asha');
+
+      const [retry] = await h.send(PHONE, 'old enough');
+      assert.match(textOf(retry), /didn't understand/);
+      assert.equal((await h.models.OnboardingState.findOne({ phone: PHONE })).currentStep, 'age');
+    });
+
+    it('onboards in the language the patient picks', async () => {
+      await h.send(PHONE, 'hi');
+      const [choice] = await h.tap(PHONE, 'language:hi', 'हिंदी (Hindi)');
+
+      assert.match(textOf(choice), /बढ़िया/);
+      const state = await h.models.OnboardingState.findOne({ phone: PHONE });
+      assert.equal(state.data.get('language_pref'), 'hi');
+    });
+  });
+
+  describe('emergency skip', () => {
+    it('creates a minimal profile and goes straight to chat', async () => {
+      await h.send(PHONE, 'hi');
+      await h.tap(PHONE, 'language:en');
+
+      const [ready] = await h.tap(PHONE, 'choice:emergency');
+      assert.match(textOf(ready), /EMERGENCY MODE ACTIVATED/);
+
+      const patient = await h.models.Patient.findOne({ phone: PHONE }).lean();
+      assert.equal(patient.onboarding_step, 'emergency_skip');
+      assert.equal(patient.onboarding_completed, true);
+      assert.equal(await h.models.OnboardingState.countDocuments({ phone: PHONE }), 0);
+
+      const [reply] = await h.send(PHONE, 'what should I eat for breakfast?');
+      assert.equal(textOf(reply), LLM_REPLY);
+    });
+
+    it('SETUP later replaces the emergency profile with full onboarding', async () => {
+      await h.send(PHONE, 'hi');
+      await h.tap(PHONE, 'language:en');
+      await h.tap(PHONE, 'choice:emergency');
+
+      const [prompt] = await h.send(PHONE, 'SETUP');
+      assert.match(textOf(prompt), /complete your profile/);
+      assert.deepEqual(optionsOf(prompt), ['language:en', 'language:hi', 'language:kn']);
+      assert.equal(await h.models.Patient.countDocuments({ phone: PHONE }), 0);
+    });
+  });
+
+  describe('RESET', () => {
+    it('deletes the patient and their data and restarts onboarding', async () => {
+      await h.createPatient({ phone: PHONE });
+      await h.send(PHONE, 'sugar 140 after lunch');
+      assert.equal(await h.models.GlucoseReading.countDocuments({ patientPhone: PHONE }), 1);
+
+      const [reply] = await h.send(PHONE, 'RESET');
+      assert.match(textOf(reply), /Account reset complete/);
+      assert.deepEqual(optionsOf(reply), ['language:en', 'language:hi', 'language:kn']);
+
+      assert.equal(await h.models.Patient.countDocuments({ phone: PHONE }), 0);
+      assert.equal(await h.models.GlucoseReading.countDocuments({ patientPhone: PHONE }), 0);
+      assert.equal(await h.models.Triage.countDocuments({ patientPhone: PHONE }), 0);
+      assert.equal(await h.models.Conversation.countDocuments({ patientPhone: PHONE }), 0);
+      assert.equal((await h.models.OnboardingState.findOne({ phone: PHONE })).currentStep, 'language');
+
+      const [choice] = await h.tap(PHONE, 'language:en');
+      assert.deepEqual(optionsOf(choice), ['choice:setup', 'choice:emergency']);
+    });
+  });
+
+  describe('language switching', () => {
+    it('switches between English, Hindi and Kannada on request', async () => {
+      await h.createPatient({ phone: PHONE });
+
+      const [hindi] = await h.send(PHONE, 'Hindi');
+      assert.match(textOf(hindi), /switched to Hindi/);
+      assert.equal((await h.models.Patient.findOne({ phone: PHONE })).language_pref, 'hi');
+
+      const [kannada] = await h.send(PHONE, 'ಕನ್ನಡ');
+      assert.match(textOf(kannada), /switched to Kannada/);
+      assert.equal((await h.models.Patient.findOne({ phone: PHONE })).language_pref, 'kn');
+
+      const [english] = await h.send(PHONE, 'switch to english');
+      assert.match(textOf(english), /switched to English/);
+      assert.equal((await h.models.Patient.findOne({ phone: PHONE })).language_pref, 'en');
+    });
+
+    it('follows the script the patient writes in', async () => {
+      await h.createPatient({ phone: PHONE });
+
+      await h.send(PHONE, 'मुझे थकान लग रही है');
+
+      const patient = await h.models.Patient.findOne({ phone: PHONE });
+      assert.equal(patient.language_pref, 'hi');
+      assert.equal(patient.script_pref, 'hi_pure');
+    });
+  });
+
+  describe('glucose logging and triage', () => {
+    beforeEach(async () => {
+      await h.createPatient({ phone: PHONE });
+    });
+
+    it('logs an in-range reading without alerting the physician', async () => {
+      const sent = await h.capture(() => h.simulator.sendText(PHONE, 'fasting sugar 110'));
+
+      assert.deepEqual(sent.map(m => m.to), [PHONE]);
+      assert.equal(textOf(sent[0]), LLM_REPLY);
+
+      const reading = await h.models.GlucoseReading.findOne({ patientPhone: PHONE }).lean();
+      assert.equal(reading.reading, 110);
+      assert.equal(reading.readingType, 'fasting');
+      assert.equal(reading.alertSent, false);
+
+      const triage = await h.models.Triage.findById(reading.triageId).lean();
+      assert.equal(triage.urgencyLevel, 'MONITORING');
+    });
+
+    it('pages the physician for an urgent high', async () => {
+      const sent = await h.capture(() => h.simulator.sendText(PHONE, 'fasting sugar 320'));
+
+      const alert = sent.find(m => m.to === h.physicianPhone);
+      assert.ok(alert, 'physician alerted');
+      assert.match(textOf(alert), /URGENT[\s\S]*320 mg\/dL/);
+
+      const reading = await h.models.GlucoseReading.findOne({ patientPhone: PHONE }).lean();
+      assert.equal(reading.alertSent, true);
+      assert.equal((await h.models.Triage.findById(reading.triageId)).urgencyLevel, 'URGENT');
+    });
+
+    it('treats a severe low as an emergency', async () => {
+      const sent = await h.capture(() => h.simulator.sendText(PHONE, 'sugar 48 feeling shaky'));
+
+      assert.match(textOf(sent.find(m => m.to === h.physicianPhone)), /EMERGENCY/);
+      assert.equal((await h.models.Triage.findOne({ patientPhone: PHONE })).urgencyLevel, 'EMERGENCY');
+      assert.equal(await h.models.HypoEpisode.countDocuments({ patientPhone: PHONE, status: 'active' }), 1);
+    });
+
+    it('logs a low next to an insulin dose and starts the hypo protocol', async () => {
+      await h.send(PHONE, 'sugar 60 lantus 10');
+
+      const readings = await h.models.GlucoseReading.find({ patientPhone: PHONE }).lean();
+      assert.deepEqual(readings.map(r => r.reading), [60]);
+      const doses = await h.models.InsulinDose.find({ patientPhone: PHONE }).lean();
+      assert.deepEqual(doses.map(d => [d.units, d.insulinName]), [[10, 'Glargine']]);
+      assert.equal(await h.models.HypoEpisode.countDocuments({ patientPhone: PHONE, status: 'active' }), 1);
+    });
+
+    it('asks before logging a bare number, in the patient script', async () => {
+      await h.models.Patient.updateOne({ phone: PHONE }, { language_pref: 'hi', script_pref: 'hi_pure' });
+
+      const sent = await h.send(PHONE, 'कमरा ३०२');
+      const question = sent.find(m => m.type === 'interactive');
+      assert.match(textOf(question), /क्या 302 mg\/dL .* को शुगर रीडिंग में लॉग करूं/);
+      assert.deepEqual(question.interactive.action.buttons.map(b => b.reply.title), ['✅ हाँ, लॉग करो', '❌ नहीं', '🚫 शुगर नहीं है']);
+      assert.equal(await h.models.GlucoseReading.countDocuments({ patientPhone: PHONE }), 0);
+
+      const [reply] = await h.send(PHONE, 'शुगर नहीं');
+      assert.match(textOf(reply), /शुगर रीडिंग नहीं थी/);
+      assert.equal(await h.models.PendingReading.countDocuments({ patientPhone: PHONE }), 0);
+    });
+
+    it('starts the hypo protocol when a reading is corrected down to a low', async () => {
+      await h.send(PHONE, 'sugar 180');
+      assert.equal(await h.models.HypoEpisode.countDocuments({ patientPhone: PHONE }), 0);
+
+      const replies = await h.send(PHONE, 'CORRECT 180 to 58');
+
+      assert.ok(replies.some(m => /Changed 180 → 58/.test(textOf(m))), 'correction confirmed');
+      assert.ok(replies.some(m => /rule of 15/.test(textOf(m))), 'treatment instructions sent');
+      const episode = await h.models.HypoEpisode.findOne({ patientPhone: PHONE }).lean();
+      assert.equal(episode.status, 'active');
+      assert.equal(episode.startReading, 58);
+    });
+
+    it('answers reading commands in the patient script', async () => {
+      await h.models.Patient.updateOne({ phone: PHONE }, { language_pref: 'hi', script_pref: 'hi_pure' });
+      await h.models.GlucoseReading.create({ patientPhone: PHONE, reading: 140, readingType: 'random' });
+
+      const [reply] = await h.send(PHONE, 'undo');
+      assert.match(textOf(reply), /140 mg\/dL लॉग से हटा दिया/);
+    });
+
+    it('sends the patient message to the LLM with their profile', async () => {
+      await h.send(PHONE, 'sugar 180 after dinner');
+
+      const request = h.simulator.llmRequests.at(-1);
+      assert.ok(request, 'LLM called');
+      assert.match(JSON.stringify(request), /sugar 180 after dinner/);
+      assert.match(JSON.stringify(request), /Test Patient/);
+    });
+  });
+
+  describe('graph command', () => {
+    it('recognises ग्राफ़ typed with or without the precomposed letter', async () => {
+      await h.createPatient({ phone: PHONE });
+
+      for (const command of ['graph', 'ग्राफ', 'ग्राफ़', 'ग्रा\u095e', 'ग्राफ़ दिखाओ', 'ಗ್ರಾಫ್']) {
+        const [reply] = await h.send(PHONE, command);
+        assert.match(textOf(reply), /No readings in the last 14 days to draw/, command);
+      }
+    });
+  });
+
+  describe('reminders', () => {
+    // 21:00 in Asia/Kolkata
+    const NINE_PM_IST = new Date('2026-03-02T15:30:00Z');
+
+    it('sends a medication reminder with dose buttons once per dose', async () => {
+      await h.createPatient({
+        phone: PHONE,
+        medicationSchedule: [{ medicationName: 'Metformin', time: '21:00', frequency: 'daily' }]
+      });
+
+      const sent = await h.capture(() => h.bot.sendMedicationReminders(NINE_PM_IST));
+      assert.equal(sent.length, 1);
+      assert.match(textOf(sent[0]), /time for your Metformin/);
+      assert.deepEqual(optionsOf(sent[0]).map(id => id.split(':')[2]), ['taken', 'skip', 'snooze']);
+
+      const event = await h.models.DoseEvent.findOne({ patientPhone: PHONE }).lean();
+      assert.equal(event.status, 'pending');
+      assert.equal(event.doseDate, '2026-03-02');
+
+      const again = await h.capture(() => h.bot.sendMedicationReminders(new Date(NINE_PM_IST.getTime() + 60 * 1000)));
+      assert.equal(again.length, 0);
+
+      const [confirmation] = await h.tap(PHONE, optionsOf(sent[0])[0]);
+      assert.ok(textOf(confirmation));
+      assert.equal((await h.models.DoseEvent.findById(event._id)).status, 'taken');
+    });
+
+    it('reads everyday words as dose replies only right after the reminder', async () => {
+      await h.createPatient({
+        phone: PHONE,
+        medicationSchedule: [{ medicationName: 'Metformin', time: '21:00', frequency: 'daily' }]
+      });
+      await h.capture(() => h.bot.sendMedicationReminders(NINE_PM_IST));
+      const status = async () => (await h.models.DoseEvent.findOne({ patientPhone: PHONE })).status;
+
+      const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      await h.models.DoseEvent.updateOne({ patientPhone: PHONE }, { lastReminderAt: twoHoursAgo });
+      await h.send(PHONE, 'done with lunch');
+      await h.send(PHONE, 'done');
+      assert.equal(await status(), 'pending');
+
+      // An explicit reply still counts hours later
+      await h.send(PHONE, 'taken');
+      assert.equal(await status(), 'taken');
+
+      await h.models.DoseEvent.updateOne({ patientPhone: PHONE }, { status: 'pending', lastReminderAt: new Date() });
+      await h.send(PHONE, 'done');
+      assert.equal(await status(), 'taken');
+    });
+
+    it('sends medication reminders in the patient script and skips test accounts', async () => {
+      const schedule = [{ medicationName: 'Metformin', time: '21:00', frequency: 'daily' }];
+      await h.createPatient({ phone: PHONE, language_pref: 'hi', medicationSchedule: schedule });
+      await h.createPatient({ phone: '919800000011', is_test: true, medicationSchedule: schedule });
+
+      const sent = await h.capture(() => h.bot.sendMedicationReminders(NINE_PM_IST));
+
+      assert.deepEqual(sent.map(m => m.to), [PHONE]);
+      assert.match(textOf(sent[0]), /Metformin लेने का समय है/);
+      assert.equal(await h.models.DoseEvent.countDocuments({ patientPhone: '919800000011' }), 0);
+
+      // Typed replies only match doses reminded in the last few hours
+      await h.models.DoseEvent.updateOne({ patientPhone: PHONE }, { lastReminderAt: new Date() });
+      const [logged] = await h.send(PHONE, 'ले ली');
+      assert.match(textOf(logged), /Metformin ले ली/);
+    });
+
+    it('reminds only patients who have not logged glucose today', async () => {
+      const logged = '919800000010';
+      await h.createPatient({ phone: PHONE });
+      await h.createPatient({ phone: logged });
+      await h.models.GlucoseReading.create({ patientPhone: logged, reading: 120, readingType: 'fasting' });
+
+      const sent = await h.capture(() => h.bot.eveningGlucoseReminders());
+
+      assert.deepEqual(sent.map(m => m.to), [PHONE]);
+      assert.match(textOf(sent[0]), /Log your glucose/);
+    });
+
+    it('sends the morning greeting to patients without a dose schedule', async () => {
+      await h.createPatient({ phone: PHONE, full_name: 'Ravi' });
+
+      const sent = await h.capture(() => h.bot.morningReminders());
+
+      assert.equal(sent.length, 1);
+      assert.match(textOf(sent[0]), /Good morning Ravi/);
+    });
+  });
+
+  describe('pattern insights', () => {
+    it('writes insights in the patient script', async () => {
+      await h.createPatient({ phone: PHONE, language_pref: 'kn', script_pref: 'kn_pure' });
+      // 18:00 in India on two days
+      for (const day of ['2026-10-05', '2026-10-06']) {
+        await h.models.GlucoseReading.create({ patientPhone: PHONE, reading: 64, readingType: 'pre_dinner', timestamp: new Date(`${day}T12:30:00Z`) });
+      }
+
+      const sent = await h.capture(() => h.bot.detectPatternsNightly(new Date('2026-10-07T18:00:00Z')), PHONE);
+
+      assert.equal(sent.length, 1);
+      assert.match(textOf(sent[0]), /ಇತ್ತೀಚಿನ ರೀಡಿಂಗ್/);
+      assert.match(textOf(sent[0]), /2 ದಿನ ಸಂಜೆ ಶುಗರ್ ಕಡಿಮೆ ಆಯಿತು/);
+    });
+  });
+
+  describe('admin API', () => {
+    beforeEach(async () => {
+      await h.createPatient({ phone: PHONE });
+    });
+
+    it('filters outbound messages by patient phone in any format', async () => {
+      await h.send(PHONE, 'fasting sugar 110');
+
+      for (const phone of [PHONE, `+${PHONE}`, '+91 98123 45678']) {
+        const { data } = await h.admin('get', `/admin/outbound-messages?phone=${encodeURIComponent(phone)}`, { role: 'operator' });
+        assert.equal(data.total, 1, phone);
+        assert.equal(data.messages[0].patientPhone, PHONE);
+      }
+    });
+
+    it('rejects target overrides that are malformed or outside the urgent band', async () => {
+      const put = (ranges) => h.admin('put', `/admin/patients/${PHONE}/targets`, { role: 'clinician', data: { ranges } });
+
+      assert.equal((await put({ fasting: null })).status, 400);
+      assert.equal((await put([])).status, 400);
+      // Standard fasting urgent band is 70-250
+      const outside = await put({ fasting: { target: [60, 130] } });
+      assert.equal(outside.status, 400);
+      assert.match(outside.data.error, /within fasting\.urgent 70-250/);
+      assert.equal((await put({ fasting: { target: [90, 250], urgent: [80, 240] } })).status, 400);
+
+      const ok = await put({ fasting: { target: [90, 140], urgent: [80, 240] } });
+      assert.equal(ok.status, 200);
+      assert.deepEqual(ok.data.resolved.types.fasting.target, [90, 140]);
+    });
+
+    it('audits admin calls against the patient phone', async () => {
+      await h.admin('get', `/admin/user-status/+${PHONE}`, { role: 'clinician' });
+      await h.settle();
+
+      const entry = await h.models.AuditLog.findOne({ path: `/admin/user-status/+${PHONE}` }).lean();
+      assert.deepEqual(entry.targetPhones, [PHONE]);
+
+      const { data } = await h.admin('get', `/admin/audit-log?phone=%2B${PHONE}`);
+      assert.deepEqual(data.entries.map(e => e.path), [`/admin/user-status/+${PHONE}`]);
+    });
+  });
+});
@@ -0,0 +1,632 @@
+const net = require('net');
+const { mongo } = require('mongoose');
+require('mingo/init/system');
+const mingo = require('mingo');
+
+// ========================================
+// 🧪 IN-MEMORY MONGODB FOR TESTS
+// ========================================
+// A small MongoDB server that speaks the wire protocol (OP_QUERY handshake,
+// then OP_MSG), so mongoose and the real driver run unchanged against it.
+// Queries, projections and aggregation go through mingo; updates, upserts and
+// unique indexes are implemented here. That is all server.js needs - no
+// transactions, text search (a $text query matches nothing), TTL expiry or
+// getMore (every cursor comes back in a single batch).
+
+const { BSON } = mongo;
+
+const OP_REPLY = 1;
+const OP_QUERY = 2004;
+const OP_MSG = 2013;
+
+const CHECKSUM_PRESENT = 1;
+const MORE_TO_COME = 2;
+
+const HELLO_COMMANDS = ['hello', 'ismaster', 'isMaster'];
+
+// Answered with { ok: 1 } and nothing else
+const NO_OP_COMMANDS = [
+  'ping', 'endSessions', 'killCursors', 'dropIndexes', 'collMod', 'getParameter',
+  'serverStatus', 'hostInfo', 'getCmdLineOpts', 'connectionStatus', 'whatsmyuri'
+];
+
+class CommandError extends Error {
+  constructor(message, code, extra = {}) {
+    super(message);
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+// ---------- documents ----------
+
+const clone = (value) => BSON.deserialize(BSON.serialize({ value })).value;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof RegExp) && !value._bsontype;
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  let target = doc;
+  for (const key of keys.slice(0, -1)) {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join('.')) : doc;
+  if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+}
+
+// BSON-aware equality (ObjectId, Date, nested documents)
+const sameValue = (a, b) =>
+  BSON.EJSON.stringify({ v: a ?? null }, { relaxed: false }) === BSON.EJSON.stringify({ v: b ?? null }, { relaxed: false });
+
+function matcher(filter = {}) {
+  if (JSON.stringify(Object.keys(filter)).includes('$text')) return () => false;
+  const query = new mingo.Query(filter);
+  return (doc) => query.test(doc);
+}
+
+// ---------- updates ----------
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) {
+    throw new CommandError('Pipeline updates are not supported by the fake server', 2);
+  }
+
+  // No operators: replacement document, _id stays
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    const id = doc._id;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, clone(update), id === undefined ? {} : { _id: id });
+    return;
+  }
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, clone(value));
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (current || 0) + value);
+          break;
+        case '$mul':
+          setPath(doc, path, (current || 0) * value);
+          break;
+        case '$min':
+          if (current === undefined || value < current) setPath(doc, path, clone(value));
+          break;
+        case '$max':
+          if (current === undefined || value > current) setPath(doc, path, clone(value));
+          break;
+        case '$currentDate':
+          setPath(doc, path, new Date());
+          break;
+        case '$rename':
+          if (current !== undefined) {
+            unsetPath(doc, path);
+            setPath(doc, value, current);
+          }
+          break;
+        case '$push': {
+          const list = Array.isArray(current) ? current : [];
+          const modifiers = isPlainObject(value) && '$each' in value;
+          const items = modifiers ? value.$each : [value];
+          const position = modifiers && '$position' in value ? value.$position : list.length;
+          list.splice(position, 0, ...items.map(clone));
+          if (modifiers && '$slice' in value) {
+            const kept = value.$slice < 0 ? list.slice(value.$slice) : list.slice(0, value.$slice);
+            list.splice(0, list.length, ...kept);
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$addToSet': {
+          const list = Array.isArray(current) ? current : [];
+          const items = isPlainObject(value) && '$each' in value ? value.$each : [value];
+          for (const item of items) {
+            if (!list.some(existing => sameValue(existing, item))) list.push(clone(item));
+          }
+          setPath(doc, path, list);
+          break;
+        }
+        case '$pull': {
+          if (!Array.isArray(current)) break;
+          const test = isPlainObject(value) ? matcher(value) : (item) => sameValue(item, value);
+          setPath(doc, path, current.filter(item => !test(item)));
+          break;
+        }
+        case '$pullAll':
+          if (Array.isArray(current)) {
+            setPath(doc, path, current.filter(item => !value.some(v => sameValue(item, v))));
+          }
+          break;
+        case '$pop':
+          if (Array.isArray(current)) {
+            if (value === -1) current.shift();
+            else current.pop();
+          }
+          break;
+        default:
+          throw new CommandError(`Unknown update operator ${operator}`, 9);
+      }
+    }
+  }
+}
+
+// Equality conditions of an upsert filter become fields of the new document
+function seedFromFilter(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter || {})) {
+    if (key === '$and') {
+      value.forEach(part => Object.assign(doc, seedFromFilter(part)));
+    } else if (!key.startsWith('$')) {
+      if (isPlainObject(value) && Object.keys(value).some(k => k.startsWith('$'))) {
+        if ('$eq' in value) setPath(doc, key, clone(value.$eq));
+      } else {
+        setPath(doc, key, clone(value));
+      }
+    }
+  }
+  return doc;
+}
+
+// ---------- collections ----------
+
+class Collection {
+  constructor(ns) {
+    this.ns = ns;
+    this.docs = [];
+    this.indexes = [{ v: 2, key: { _id: 1 }, name: '_id_' }];
+  }
+
+  find(filter, { sort, projection, skip, limit } = {}) {
+    const test = matcher(filter);
+    let docs = this.docs.filter(doc => test(doc));
+    if (sort && Object.keys(sort).length) docs = mingo.find(docs, {}).sort(sort).all();
+    if (skip) docs = docs.slice(skip);
+    if (limit) docs = docs.slice(0, Math.abs(limit));
+    if (projection && Object.keys(projection).length) docs = mingo.find(docs, {}, projection).all();
+    return docs;
+  }
+
+  // Throws a duplicate-key error if `doc` collides with another document
+  checkUnique(doc, ignore = null) {
+    for (const index of this.indexes) {
+      if (!index.unique && index.name !== '_id_') continue;
+
+      const fields = Object.keys(index.key);
+      const values = fields.map(field => getPath(doc, field));
+      if (index.sparse && values.every(v => v === undefined)) continue;
+
+      const inIndex = index.partialFilterExpression ? matcher(index.partialFilterExpression) : () => true;
+      if (!inIndex(doc)) continue;
+
+      const clash = this.docs.find(other =>
+        other !== ignore && inIndex(other) &&
+        fields.every((field, i) => sameValue(getPath(other, field), values[i])));
+
+      if (clash) {
+        const keyValue = Object.fromEntries(fields.map((field, i) => [field, values[i] ?? null]));
+        throw new CommandError(
+          `E11000 duplicate key error collection: ${this.ns} index: ${index.name} dup key: ${BSON.EJSON.stringify(keyValue)}`,
+          11000,
+          { keyPattern: index.key, keyValue }
+        );
+      }
+    }
+  }
+
+  insert(doc) {
+    const stored = clone(doc);
+    if (stored._id === undefined) stored._id = new BSON.ObjectId();
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return stored;
+  }
+
+  // Applies the update to a copy first, so a unique-index clash leaves the original as it was
+  update(doc, update) {
+    const next = clone(doc);
+    applyUpdate(next, update);
+    this.checkUnique(next, doc);
+    const changed = !sameValue(next, doc);
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, next);
+    return changed;
+  }
+
+  upsert(filter, update) {
+    const doc = seedFromFilter(filter);
+    applyUpdate(doc, update, { inserting: true });
+    return this.insert(doc);
+  }
+
+  remove(doc) {
+    this.docs.splice(this.docs.indexOf(doc), 1);
+  }
+}
+
+// ---------- commands ----------
+
+function errorReply(error) {
+  return {
+    ok: 0,
+    errmsg: error.message,
+    code: error.code || 1,
+    codeName: error.code === 11000 ? 'DuplicateKey' : 'InternalError',
+    ...(error.extra || {})
+  };
+}
+
+const cursorReply = (ns, docs) => ({ cursor: { id: BSON.Long.ZERO, ns, firstBatch: docs }, ok: 1 });
+
+const writeError = (index, error) => ({ index, code: error.code || 1, errmsg: error.message, ...(error.extra || {}) });
+
+function createCommandHandlers(store) {
+  return {
+    hello: (cmd, ctx) => ({
+      helloOk: true,
+      ismaster: true,
+      isWritablePrimary: true,
+      maxBsonObjectSize: 16 * 1024 * 1024,
+      maxMessageSizeBytes: 48000000,
+      maxWriteBatchSize: 100000,
+      localTime: new Date(),
+      logicalSessionTimeoutMinutes: 30,
+      connectionId: ctx.connectionId,
+      minWireVersion: 0,
+      maxWireVersion: 21,
+      readOnly: false,
+      ok: 1
+    }),
+
+    buildInfo: () => ({ version: '7.0.0', versionArray: [7, 0, 0, 0], maxBsonObjectSize: 16 * 1024 * 1024, ok: 1 }),
+
+    listCollections: (cmd, ctx) => {
+      const wanted = cmd.filter?.name;
+      const names = store.collectionNames(ctx.db).filter(name => !wanted || name === wanted);
+      return cursorReply(`${ctx.db}.$cmd.listCollections`,
+        names.map(name => ({ name, type: 'collection', options: {}, info: { readOnly: false } })));
+    },
+
+    create: (cmd, ctx) => {
+      store.collection(ctx.db, cmd.create);
+      return { ok: 1 };
+    },
+
+    drop: (cmd, ctx) => {
+      store.drop(ctx.db, cmd.drop);
+      return { ok: 1 };
+    },
+
+    dropDatabase: (cmd, ctx) => {
+      store.dropDatabase(ctx.db);
+      return { ok: 1 };
+    },
+
+    createIndexes: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.createIndexes);
+      const before = collection.indexes.length;
+      for (const index of cmd.indexes) {
+        if (!collection.indexes.some(existing => existing.name === index.name)) {
+          collection.indexes.push({ v: 2, ...index });
+        }
+      }
+      return { numIndexesBefore: before, numIndexesAfter: collection.indexes.length, ok: 1 };
+    },
+
+    listIndexes: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.listIndexes);
+      return cursorReply(collection.ns, collection.indexes);
+    },
+
+    find: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.find);
+      return cursorReply(collection.ns, collection.find(cmd.filter, cmd));
+    },
+
+    count: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.count);
+      return { n: collection.find(cmd.query, cmd).length, ok: 1 };
+    },
+
+    distinct: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.distinct);
+      const values = [];
+      for (const doc of collection.find(cmd.query)) {
+        const value = getPath(doc, cmd.key);
+        for (const item of Array.isArray(value) ? value : [value]) {
+          if (item !== undefined && !values.some(v => sameValue(v, item))) values.push(item);
+        }
+      }
+      return { values, ok: 1 };
+    },
+
+    aggregate: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.aggregate);
+      const [first, ...rest] = cmd.pipeline;
+      // A leading $match goes through our matcher so $text behaves like find()
+      const docs = first?.$match ? collection.find(first.$match) : collection.docs;
+      const pipeline = first?.$match ? rest : cmd.pipeline;
+      return cursorReply(collection.ns, pipeline.length ? mingo.aggregate(docs, pipeline) : docs);
+    },
+
+    insert: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.insert);
+      const writeErrors = [];
+      let n = 0;
+      for (const [index, doc] of cmd.documents.entries()) {
+        try {
+          collection.insert(doc);
+          n++;
+        } catch (error) {
+          writeErrors.push(writeError(index, error));
+          if (cmd.ordered !== false) break;
+        }
+      }
+      return { n, ...(writeErrors.length ? { writeErrors } : {}), ok: 1 };
+    },
+
+    update: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.update);
+      const writeErrors = [];
+      const upserted = [];
+      let n = 0;
+      let nModified = 0;
+      for (const [index, { q, u, upsert, multi }] of cmd.updates.entries()) {
+        try {
+          const targets = collection.find(q);
+          if (targets.length === 0 && upsert) {
+            upserted.push({ index, _id: collection.upsert(q, u)._id });
+            n++;
+            continue;
+          }
+          for (const doc of multi ? targets : targets.slice(0, 1)) {
+            n++;
+            if (collection.update(doc, u)) nModified++;
+          }
+        } catch (error) {
+          writeErrors.push(writeError(index, error));
+          if (cmd.ordered !== false) break;
+        }
+      }
+      return {
+        n,
+        nModified,
+        ...(upserted.length ? { upserted } : {}),
+        ...(writeErrors.length ? { writeErrors } : {}),
+        ok: 1
+      };
+    },
+
+    delete: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.delete);
+      let n = 0;
+      for (const { q, limit } of cmd.deletes) {
+        const targets = collection.find(q);
+        for (const doc of limit ? targets.slice(0, limit) : targets) {
+          collection.remove(doc);
+          n++;
+        }
+      }
+      return { n, ok: 1 };
+    },
+
+    findAndModify: (cmd, ctx) => {
+      const collection = store.collection(ctx.db, cmd.findAndModify);
+      const [doc] = collection.find(cmd.query, { sort: cmd.sort });
+      const project = (value) => (value && cmd.fields && Object.keys(cmd.fields).length
+        ? mingo.find([value], {}, cmd.fields).all()[0]
+        : value);
+
+      if (cmd.remove) {
+        if (doc) collection.remove(doc);
+        return { lastErrorObject: { n: doc ? 1 : 0 }, value: project(doc) || null, ok: 1 };
+      }
+
+      if (!doc) {
+        if (!cmd.upsert) return { lastErrorObject: { n: 0, updatedExisting: false }, value: null, ok: 1 };
+        const created = collection.upsert(cmd.query, cmd.update);
+        return {
+          lastErrorObject: { n: 1, updatedExisting: false, upserted: created._id },
+          value: cmd.new ? project(created) : null,
+          ok: 1
+        };
+      }
+
+      const before = clone(doc);
+      collection.update(doc, cmd.update);
+      return { lastErrorObject: { n: 1, updatedExisting: true }, value: project(cmd.new ? doc : before), ok: 1 };
+    }
+  };
+}
+
+function createStore() {
+  const databases = new Map();
+
+  const database = (db) => {
+    if (!databases.has(db)) databases.set(db, new Map());
+    return databases.get(db);
+  };
+
+  return {
+    collection(db, name) {
+      const collections = database(db);
+      if (!collections.has(name)) collections.set(name, new Collection(`${db}.${name}`));
+      return collections.get(name);
+    },
+    collectionNames: (db) => [...database(db).keys()],
+    drop: (db, name) => database(db).delete(name),
+    dropDatabase: (db) => databases.delete(db),
+    // Empties every collection but keeps the indexes mongoose created at startup
+    clear() {
+      for (const collections of databases.values()) {
+        for (const collection of collections.values()) collection.docs = [];
+      }
+    }
+  };
+}
+
+// ---------- wire protocol ----------
+
+function readCString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  return { value: buffer.toString('utf8', offset, end), next: end + 1 };
+}
+
+function parseOpMsg(buffer) {
+  const flags = buffer.readUInt32LE(16);
+  const end = buffer.length - (flags & CHECKSUM_PRESENT ? 4 : 0);
+  const sequences = {};
+  let body = {};
+
+  let offset = 20;
+  while (offset < end) {
+    const kind = buffer[offset++];
+    const size = buffer.readInt32LE(offset);
+    if (kind === 0) {
+      body = BSON.deserialize(buffer.subarray(offset, offset + size));
+    } else {
+      const { value: identifier, next } = readCString(buffer, offset + 4);
+      const docs = [];
+      for (let at = next; at < offset + size;) {
+        const docSize = buffer.readInt32LE(at);
+        docs.push(BSON.deserialize(buffer.subarray(at, at + docSize)));
+        at += docSize;
+      }
+      sequences[identifier] = docs;
+    }
+    offset += size;
+  }
+
+  return { flags, command: { ...body, ...sequences } };
+}
+
+// Only used for the driver's first handshake
+function parseOpQuery(buffer) {
+  const { value: namespace, next } = readCString(buffer, 20);
+  const start = next + 8; // numberToSkip, numberToReturn
+  const command = BSON.deserialize(buffer.subarray(start, start + buffer.readInt32LE(start)));
+  return { db: namespace.split('.')[0], command };
+}
+
+function header(length, requestId, responseTo, opCode) {
+  const buffer = Buffer.alloc(16);
+  buffer.writeInt32LE(length, 0);
+  buffer.writeInt32LE(requestId, 4);
+  buffer.writeInt32LE(responseTo, 8);
+  buffer.writeInt32LE(opCode, 12);
+  return buffer;
+}
+
+function opMsgReply(requestId, responseTo, doc) {
+  const body = BSON.serialize(doc);
+  const sections = Buffer.alloc(5); // flagBits 0, then a kind 0 section
+  return Buffer.concat([header(16 + sections.length + body.length, requestId, responseTo, OP_MSG), sections, body]);
+}
+
+function opReply(requestId, responseTo, doc) {
+  const body = BSON.serialize(doc);
+  const fields = Buffer.alloc(20); // responseFlags, cursorID (int64), startingFrom
+  fields.writeInt32LE(1, 16);      // numberReturned
+  return Buffer.concat([header(16 + fields.length + body.length, requestId, responseTo, OP_REPLY), fields, body]);
+}
+
+function createFakeMongo() {
+  const store = createStore();
+  const handlers = createCommandHandlers(store);
+  const sockets = new Set();
+  let server = null;
+  let connections = 0;
+  let replyId = 0;
+
+  function runCommand(command, ctx) {
+    const name = Object.keys(command)[0];
+    try {
+      if (HELLO_COMMANDS.includes(name)) return handlers.hello(command, ctx);
+      if (NO_OP_COMMANDS.includes(name)) return { ok: 1 };
+      const handler = handlers[name] || handlers[name.toLowerCase()];
+      if (!handler) throw new CommandError(`no such command: '${name}'`, 59);
+      return handler(command, ctx);
+    } catch (error) {
+      return errorReply(error);
+    }
+  }
+
+  function handleMessage(socket, buffer, ctx) {
+    const requestId = buffer.readInt32LE(4);
+    const opCode = buffer.readInt32LE(12);
+
+    if (opCode === OP_QUERY) {
+      const { db, command } = parseOpQuery(buffer);
+      socket.write(opReply(++replyId, requestId, runCommand(command, { ...ctx, db })));
+    } else if (opCode === OP_MSG) {
+      const { flags, command } = parseOpMsg(buffer);
+      const reply = runCommand(command, { ...ctx, db: command.$db || 'admin' });
+      if (!(flags & MORE_TO_COME)) socket.write(opMsgReply(++replyId, requestId, reply));
+    } else {
+      socket.destroy(new Error(`Unsupported opCode ${opCode}`));
+    }
+  }
+
+  function onConnection(socket) {
+    const ctx = { connectionId: ++connections };
+    let pending = Buffer.alloc(0);
+
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => socket.destroy());
+
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 4 && pending.length >= pending.readInt32LE(0)) {
+        const length = pending.readInt32LE(0);
+        handleMessage(socket, pending.subarray(0, length), ctx);
+        pending = pending.subarray(length);
+      }
+    });
+  }
+
+  return {
+    store,
+
+    // Resolves to a connection string for mongoose.connect
+    start(dbName = 'gluco-test') {
+      return new Promise((resolve, reject) => {
+        server = net.createServer(onConnection);
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+          resolve(`mongodb://127.0.0.1:${server.address().port}/${dbName}?directConnection=true`);
+        });
+      });
+    },
+
+    clear: () => store.clear(),
+
+    stop() {
+      sockets.forEach(socket => socket.destroy());
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    }
+  };
+}
+
+module.exports = { createFakeMongo };
@@ -0,0 +1,181 @@
+const axios = require('axios');
+const { createFakeMongo } = require('./fake-mongo');
+const { createSimulator } = require('../../tools/whatsapp-simulator');
+
+// ========================================
+// 🧪 SCENARIO HARNESS
+// ========================================
+// Boots server.js against the in-memory MongoDB (fake-mongo.js) and the
+// WhatsApp simulator, which also plays a deterministic Claude endpoint.
+// Scenarios talk to the bot like a patient would - signed webhook POSTs - and
+// get back whatever the bot sent, once the inbound and outbound queues are idle.
+//
+// Server logs are hidden; run with TEST_VERBOSE=1 to see them.
+
+const APP_SECRET = 'test-app-secret';
+const PHYSICIAN_PHONE = '919800000001';
+const ADMIN_KEYS = { admin: 'test-admin-key', clinician: 'test-clinician-key', operator: 'test-operator-key' };
+
+const LLM_REPLY = 'Thanks for sharing. Keep logging your readings!';
+
+const PATIENT_DEFAULTS = {
+  language_pref: 'en',
+  full_name: 'Test Patient',
+  age: 50,
+  gender: 'Female',
+  emergency_contact: '+919800000002',
+  pincode: '560001',
+  consent_given: true,
+  diabetes_type: 'Type 2',
+  duration_years: 5,
+  medication_type: 'Tablets',
+  current_meds: ['Metformin'],
+  comorbidities: ['None'],
+  diet_preference: 'Veg',
+  onboarding_completed: true,
+  onboarding_step: 'completed'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Text of any outbound message, for assertions
+function textOf(message) {
+  switch (message.type) {
+    case 'text': return message.text.body;
+    case 'interactive': return message.interactive.body.text;
+    case 'image': return message.image.caption || '';
+    case 'document': return message.document.caption || '';
+    default: return '';
+  }
+}
+
+// Reply ids offered by an interactive message (buttons or list rows)
+function optionsOf(message) {
+  if (message.type !== 'interactive') return [];
+  const { action } = message.interactive;
+  return action.buttons
+    ? action.buttons.map(b => b.reply.id)
+    : action.sections.flatMap(s => s.rows.map(r => r.id));
+}
+
+async function startHarness(options = {}) {
+  const mongo = createFakeMongo();
+  const simulator = createSimulator({
+    port: 0,
+    appSecret: APP_SECRET,
+    playStatuses: false,
+    llmReply: options.llmReply || (() => LLM_REPLY)
+  });
+
+  const simulatorUrl = await simulator.listen();
+  const mongodbUri = await mongo.start();
+
+  // server.js reads its configuration once, when it is first required
+  Object.assign(process.env, {
+    WHATSAPP_TOKEN: 'test-token',
+    WHATSAPP_PHONE_ID: 'TEST_PHONE_ID',
+    VERIFY_TOKEN: 'test-verify-token',
+    WHATSAPP_APP_SECRET: APP_SECRET,
+    GRAPH_API_BASE_URL: `${simulatorUrl}/v21.0`,
+    LLM_PROVIDERS: 'claude',
+    ANTHROPIC_API_KEY: 'test-anthropic-key',
+    CLAUDE_API_URL: `${simulatorUrl}/v1/messages`,
+    PHYSICIAN_PHONE,
+    ADMIN_API_KEYS: Object.entries(ADMIN_KEYS).map(([role, key]) => `test-${role}:${role}:${key}`).join(','),
+    REMINDER_TIMEZONE: 'Asia/Kolkata',
+    ...options.env
+  });
+
+  const restoreConsole = process.env.TEST_VERBOSE ? () => {} : silenceConsole();
+  const bot = require('../../server');
+  const running = await bot.startServer({ port: 0, mongodbUri, reminders: false, quiet: true });
+
+  const baseUrl = `http://127.0.0.1:${running.server.address().port}`;
+  simulator.config.webhookUrl = `${baseUrl}/webhook`;
+
+  const { InboundMessage, OutboundMessage } = bot.models;
+
+  // Waits until nothing is due inbound or outbound, several checks in a row
+  async function settle(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    let quietChecks = 0;
+
+    while (quietChecks < 3) {
+      if (Date.now() > deadline) throw new Error('Bot did not go idle in time');
+      await sleep(20);
+
+      const busy = await InboundMessage.countDocuments({
+        $or: [{ status: 'processing' }, { status: 'pending', nextAttemptAt: { $lte: new Date() } }]
+      }) +
+        await OutboundMessage.countDocuments({
+          $or: [{ status: 'sending' }, { status: 'queued', nextAttemptAt: { $lte: new Date() } }]
+        });
+      quietChecks = busy === 0 ? quietChecks + 1 : 0;
+    }
+  }
+
+  // Runs fn, lets the bot finish, and returns what it sent meanwhile (optionally to one phone)
+  async function capture(fn, to = null) {
+    const before = simulator.sentMessages.length;
+    await fn();
+    await settle();
+    return simulator.sentMessages.slice(before).filter(m => !to || m.to === to);
+  }
+
+  return {
+    bot,
+    models: bot.models,
+    simulator,
+    baseUrl,
+    physicianPhone: PHYSICIAN_PHONE,
+    adminKeys: ADMIN_KEYS,
+    appSecret: APP_SECRET,
+    settle,
+    capture,
+
+    // Patient → bot; resolves to the messages the bot sent back to that phone
+    send: (phone, text) => capture(() => simulator.sendText(phone, text), phone),
+    tap: (phone, id, title = id) => capture(() => simulator.sendButtonReply(phone, id, title), phone),
+    pick: (phone, id, title = id) => capture(() => simulator.sendListReply(phone, id, title), phone),
+
+    sentTo: (phone) => simulator.sentMessages.filter(m => m.to === phone),
+
+    // An onboarded patient, as if they had finished SETUP
+    createPatient: (fields = {}) => bot.models.Patient.create({ ...PATIENT_DEFAULTS, ...fields }),
+
+    admin(method, path, { role = 'admin', data } = {}) {
+      return axios({
+        method,
+        url: `${baseUrl}${path}`,
+        data,
+        headers: { Authorization: `Bearer ${ADMIN_KEYS[role]}` },
+        validateStatus: () => true
+      });
+    },
+
+    // Fresh database and outbox between scenarios; indexes stay
+    async reset() {
+      await settle();
+      mongo.clear();
+      simulator.sentMessages.length = 0;
+      simulator.llmRequests.length = 0;
+    },
+
+    async stop() {
+      await running.stop();
+      await simulator.close();
+      await mongo.stop();
+      restoreConsole();
+    }
+  };
+}
+
+function silenceConsole() {
+  const original = { log: console.log, info: console.info, warn: console.warn, error: console.error };
+  Object.keys(original).forEach(level => {
+    console[level] = () => {};
+  });
+  return () => Object.assign(console, original);
+}
+
+module.exports = { startHarness, textOf, optionsOf, LLM_REPLY };
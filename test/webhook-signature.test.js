@@ -0,0 +1,111 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { startHarness } = require('./support/harness');
+
+// POST /webhook only accepts bodies signed with the app secret
+// (X-Hub-Signature-256). Rejected bodies must never reach the inbound queue.
+
+const PHONE = '919812345678';
+
+function payload(text, id = `wamid.TEST.${crypto.randomUUID()}`) {
+  return JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'TEST_WABA',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          contacts: [{ profile: { name: 'Test' }, wa_id: PHONE }],
+          messages: [{ from: PHONE, id, timestamp: String(Math.floor(Date.now() / 1000)), type: 'text', text: { body: text } }]
+        }
+      }]
+    }]
+  });
+}
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+describe('webhook signature', () => {
+  let h;
+
+  const post = (body, signature) => axios.post(`${h.baseUrl}/webhook`, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...(signature === undefined ? {} : { 'X-Hub-Signature-256': signature })
+    },
+    validateStatus: () => true
+  });
+
+  before(async () => {
+    h = await startHarness();
+  });
+
+  after(async () => {
+    await h.stop();
+  });
+
+  beforeEach(async () => {
+    await h.reset();
+  });
+
+  it('accepts a correctly signed payload and queues the message', async () => {
+    const body = payload('hello');
+
+    const response = await post(body, sign(body, h.appSecret));
+
+    assert.equal(response.status, 200);
+    await h.settle();
+    assert.equal(await h.models.InboundMessage.countDocuments({ patientPhone: PHONE }), 1);
+    assert.ok(h.sentTo(PHONE).length > 0, 'bot replied');
+  });
+
+  it('rejects a payload signed with the wrong secret', async () => {
+    const body = payload('sugar 45');
+
+    const response = await post(body, sign(body, 'not-the-app-secret'));
+
+    assert.equal(response.status, 401);
+    assert.equal(await h.models.InboundMessage.countDocuments(), 0);
+  });
+
+  it('rejects a payload without a signature header', async () => {
+    const response = await post(payload('RESET'));
+
+    assert.equal(response.status, 401);
+    assert.equal(await h.models.InboundMessage.countDocuments(), 0);
+  });
+
+  it('rejects a payload changed after signing', async () => {
+    const signed = payload('sugar 120');
+    const tampered = signed.replace('sugar 120', 'sugar 450');
+
+    const response = await post(tampered, sign(signed, h.appSecret));
+
+    assert.equal(response.status, 401);
+    assert.equal(await h.models.InboundMessage.countDocuments(), 0);
+  });
+
+  it('rejects malformed signature headers', async () => {
+    const body = payload('hello');
+    const digest = sign(body, h.appSecret).slice('sha256='.length);
+
+    for (const header of [digest, `sha1=${digest}`, 'sha256=', `sha256=${digest.slice(0, 40)}`]) {
+      const response = await post(body, header);
+      assert.equal(response.status, 401, `header "${header}"`);
+    }
+    assert.equal(await h.models.InboundMessage.countDocuments(), 0);
+  });
+
+  it('never creates a patient or sends anything for a rejected body', async () => {
+    const body = payload('hi');
+
+    await post(body, sign(body, 'forged'));
+    await h.settle();
+
+    assert.equal(await h.models.OnboardingState.countDocuments({ phone: PHONE }), 0);
+    assert.equal(h.simulator.sentMessages.length, 0);
+  });
+});
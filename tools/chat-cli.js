@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { createSimulator } = require('./whatsapp-simulator');
+
+// ========================================
+// 💬 TERMINAL CHAT CLIENT
+// ========================================
+// Chat with a locally running bot as a patient, no WhatsApp number needed.
+//
+//   1. npm run chat -- --phone 919900000001
+//   2. GRAPH_API_BASE_URL=http://localhost:4010/v21.0 WHATSAPP_APP_SECRET=dev-secret npm start
+//
+// Type normally to send text (Hindi/Kannada script works). Extra commands:
+//   /tap <n>        tap button or list row n of the last interactive message
+//   /voice <file>   send an audio file as a voice note
+//   /phone <number> switch to another patient
+//   /quit
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const simulator = createSimulator({
+  port: parseInt(args.port) || undefined,
+  webhookUrl: args.bot ? `${args.bot.replace(/\/+$/, '')}/webhook` : undefined
+});
+
+let phone = args.phone || '919900000001';
+let lastOptions = [];
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+function print(line) {
+  // Keep the prompt intact when replies arrive while the user is typing
+  readline.clearLine(process.stdout, 0);
+  readline.cursorTo(process.stdout, 0);
+  console.log(line);
+  rl.prompt(true);
+}
+
+function renderInteractive(interactive) {
+  const lines = [interactive.body?.text || ''];
+
+  if (interactive.type === 'button') {
+    lastOptions = interactive.action.buttons.map(b => ({ ...b.reply, kind: 'button' }));
+  } else if (interactive.type === 'list') {
+    lastOptions = interactive.action.sections.flatMap(s => s.rows).map(r => ({ ...r, kind: 'list' }));
+  }
+
+  lastOptions.forEach((o, i) => lines.push(`   [${i + 1}] ${o.title}`));
+  lines.push('   (/tap <n> to choose)');
+  return lines.join('\n');
+}
+
+simulator.events.on('message', (m) => {
+  if (m.to.replace(/\D/g, '') !== phone.replace(/\D/g, '')) {
+    print(`\n📟 (to ${m.to}) ${m.type === 'text' ? m.text.body : `[${m.type}]`}`);
+    return;
+  }
+
+  let body;
+  if (m.type === 'text') {
+    body = m.text.body;
+  } else if (m.type === 'interactive') {
+    body = renderInteractive(m.interactive);
+  } else if (m.type === 'audio') {
+    const item = simulator.media.get(m.audio.id);
+    if (item) {
+      const file = path.join('/tmp', `${m.audio.id}.mp3`);
+      fs.writeFileSync(file, item.data);
+      body = `🎙️ Voice note saved to ${file}`;
+    } else {
+      body = `🎙️ Voice note (media ${m.audio.id})`;
+    }
+  } else if (m.type === 'image') {
+    body = `🖼️ Image (media ${m.image.id})${m.image.caption ? `\n${m.image.caption}` : ''}`;
+  } else if (m.type === 'document') {
+    body = `📄 ${m.document.filename} (media ${m.document.id})${m.document.caption ? `\n${m.document.caption}` : ''}`;
+  } else if (m.type === 'template') {
+    body = `📋 Template "${m.template.name}" (${m.template.language?.code})`;
+  } else {
+    body = `[${m.type}] ${JSON.stringify(m[m.type])}`;
+  }
+
+  print(`\n🤖 ${body}\n`);
+});
+
+async function handleLine(line) {
+  const input = line.trim();
+  if (!input) return;
+
+  if (input === '/quit' || input === '/exit') {
+    rl.close();
+    return;
+  }
+
+  if (input.startsWith('/phone ')) {
+    phone = input.slice(7).trim();
+    lastOptions = [];
+    print(`📱 Now chatting as ${phone}`);
+    return;
+  }
+
+  if (input.startsWith('/tap ')) {
+    const option = lastOptions[parseInt(input.slice(5)) - 1];
+    if (!option) {
+      print('⚠️  No such option');
+      return;
+    }
+    if (option.kind === 'list') {
+      await simulator.sendListReply(phone, option.id, option.title);
+    } else {
+      await simulator.sendButtonReply(phone, option.id, option.title);
+    }
+    return;
+  }
+
+  if (input.startsWith('/voice ')) {
+    const file = input.slice(7).trim();
+    await simulator.sendAudio(phone, fs.readFileSync(file));
+    print(`🎙️ Sent ${path.basename(file)}`);
+    return;
+  }
+
+  await simulator.sendText(phone, input);
+}
+
+simulator.listen().then(url => {
+  console.log(`🧪 Simulator on ${url} → bot webhook ${simulator.config.webhookUrl}`);
+  console.log(`   Start the bot with GRAPH_API_BASE_URL=${url}/v21.0 WHATSAPP_APP_SECRET=${simulator.config.appSecret}`);
+  console.log(`📱 Chatting as ${phone} - say "hi" to begin, /quit to exit\n`);
+
+  rl.setPrompt('👤 ');
+  rl.prompt();
+
+  rl.on('line', (line) => {
+    handleLine(line)
+      .catch(error => print(`❌ ${error.response ? `Bot returned ${error.response.status}` : error.message}`))
+      .finally(() => rl.prompt());
+  });
+
+  rl.on('close', () => {
+    simulator.close().then(() => process.exit(0));
+  });
+});
@@ -0,0 +1,249 @@
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// ========================================
+// 🧪 LOCAL WHATSAPP CLOUD API SIMULATOR
+// ========================================
+// Stands in for the Graph API endpoints the bot calls:
+//   POST /{version}/{phoneId}/messages   → outbound text/interactive/audio/template
+//   POST /{version}/{phoneId}/media      → audio uploads (TTS replies)
+//   GET  /{version}/{mediaId}            → media URL lookup
+//   GET  /media-download/{mediaId}       → media bytes
+// plus a deterministic fake of the Claude Messages API at POST /v1/messages,
+// and plays the patient side by posting signed webhook payloads to the bot.
+//
+// Run the bot against it:
+//   GRAPH_API_BASE_URL=http://localhost:4010/v21.0 WHATSAPP_APP_SECRET=dev-secret npm start
+//   (add ANTHROPIC_API_KEY=dev CLAUDE_API_URL=http://localhost:4010/v1/messages for the fake LLM)
+//   npm run simulator        (standalone, logs what the bot sends)
+//   npm run chat             (interactive terminal chat, see tools/chat-cli.js)
+
+const DEFAULTS = {
+  port: parseInt(process.env.SIMULATOR_PORT) || 4010,
+  webhookUrl: process.env.SIMULATOR_WEBHOOK_URL || 'http://localhost:3000/webhook',
+  appSecret: process.env.WHATSAPP_APP_SECRET || 'dev-secret',
+  phoneNumberId: process.env.WHATSAPP_PHONE_ID || 'SIMULATED_PHONE_ID',
+  playStatuses: true,
+  statusDelayMs: 300
+};
+
+// Same input → same reply, so scripted conversations can assert on it
+function defaultLlmReply(request) {
+  const lastUser = [...(request.messages || [])].reverse().find(m => m.role === 'user');
+  const text = typeof lastUser?.content === 'string' ? lastUser.content : '';
+  return `[mock-llm] ${text}`;
+}
+
+function createSimulator(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const events = new EventEmitter();
+  const media = new Map();
+  const sentMessages = [];
+  const llmRequests = [];
+  let counter = 0;
+  let server = null;
+
+  const nextId = (prefix) => `${prefix}.SIM.${Date.now()}.${++counter}`;
+  const baseUrl = () => `http://localhost:${server?.address()?.port || config.port}`;
+
+  const app = express();
+
+  // Registered before the Graph routes - "/v1/messages" would otherwise look like a phone id
+  app.post('/v1/messages', express.json({ limit: '5mb' }), (req, res) => {
+    llmRequests.push(req.body);
+    const text = (config.llmReply || defaultLlmReply)(req.body);
+
+    res.json({
+      id: nextId('msg'),
+      type: 'message',
+      role: 'assistant',
+      model: req.body?.model,
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn'
+    });
+  });
+
+  // Upload arrives as multipart - we only need to hand the bytes back later
+  app.post(/^(?:\/v[\d.]+)?\/[^/]+\/media$/, express.raw({ type: () => true, limit: '25mb' }), (req, res) => {
+    const id = nextId('media');
+    // The bot sends the mime type as the "type" form field
+    const mimeType = req.body.toString('latin1').match(/name="type"\r\n\r\n([^\r]+)/)?.[1] || 'audio/mpeg';
+    media.set(id, { data: req.body, mimeType });
+    events.emit('media', { id, size: req.body.length });
+    res.json({ id });
+  });
+
+  app.post(/^(?:\/v[\d.]+)?\/[^/]+\/messages$/, express.json(), (req, res) => {
+    const message = req.body || {};
+
+    if (message.messaging_product !== 'whatsapp' || !message.to || !message.type) {
+      return res.status(400).json({
+        error: { message: 'Invalid parameter', type: 'OAuthException', code: 100 }
+      });
+    }
+
+    const wamid = nextId('wamid');
+    sentMessages.push({ wamid, ...message });
+    events.emit('message', { wamid, ...message });
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: message.to, wa_id: message.to.replace(/\D/g, '') }],
+      messages: [{ id: wamid }]
+    });
+
+    // Play back sent → delivered → read like the real platform
+    if (!config.playStatuses) return;
+    ['sent', 'delivered', 'read'].forEach((status, i) => {
+      setTimeout(() => {
+        sendStatus(wamid, message.to, status).catch(() => {});
+      }, config.statusDelayMs * (i + 1));
+    });
+  });
+
+  app.get('/media-download/:mediaId', (req, res) => {
+    const item = media.get(req.params.mediaId);
+    if (!item) return res.sendStatus(404);
+    res.type(item.mimeType).send(item.data);
+  });
+
+  app.get(/^(?:\/v[\d.]+)?\/([^/]+)$/, (req, res) => {
+    const id = req.params[0];
+    const item = media.get(id);
+    if (!item) {
+      return res.status(404).json({ error: { message: `Unknown media ${id}`, code: 100 } });
+    }
+
+    res.json({
+      messaging_product: 'whatsapp',
+      id,
+      mime_type: item.mimeType,
+      file_size: item.data.length,
+      url: `${baseUrl()}/media-download/${id}`
+    });
+  });
+
+  async function postWebhook(value) {
+    const payload = {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'SIMULATED_WABA',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '15550000000', phone_number_id: config.phoneNumberId },
+            ...value
+          }
+        }]
+      }]
+    };
+
+    const body = JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', config.appSecret).update(body).digest('hex');
+
+    await axios.post(config.webhookUrl, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': `sha256=${signature}`
+      },
+      timeout: 10000
+    });
+  }
+
+  function sendStatus(wamid, recipient, status) {
+    return postWebhook({
+      statuses: [{
+        id: wamid,
+        status,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        recipient_id: recipient
+      }]
+    });
+  }
+
+  async function sendInbound(from, fields, name = 'Simulated Patient') {
+    const id = nextId('wamid.IN');
+
+    await postWebhook({
+      contacts: [{ profile: { name }, wa_id: from }],
+      messages: [{
+        from,
+        id,
+        timestamp: String(Math.floor(Date.now() / 1000)),
+        ...fields
+      }]
+    });
+
+    return id;
+  }
+
+  return {
+    app,
+    events,
+    media,
+    sentMessages,
+    llmRequests,
+    config,
+
+    listen() {
+      return new Promise(resolve => {
+        server = app.listen(config.port, () => resolve(baseUrl()));
+      });
+    },
+
+    close() {
+      return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+    },
+
+    sendText(from, body) {
+      return sendInbound(from, { type: 'text', text: { body } });
+    },
+
+    sendButtonReply(from, id, title) {
+      return sendInbound(from, {
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id, title } }
+      });
+    },
+
+    sendListReply(from, id, title) {
+      return sendInbound(from, {
+        type: 'interactive',
+        interactive: { type: 'list_reply', list_reply: { id, title } }
+      });
+    },
+
+    // Audio from disk becomes a media object the bot downloads like a real voice note
+    sendAudio(from, data, mimeType = 'audio/ogg') {
+      const id = nextId('media');
+      media.set(id, { data, mimeType });
+      return sendInbound(from, { type: 'audio', audio: { id, mime_type: mimeType, voice: true } });
+    },
+
+    sendStatus
+  };
+}
+
+module.exports = { createSimulator };
+
+if (require.main === module) {
+  const simulator = createSimulator();
+
+  simulator.events.on('message', (m) => {
+    const summary = m.type === 'text' ? m.text.body : JSON.stringify(m[m.type]);
+    console.log(`📤 → ${m.to} [${m.type}] ${summary}`);
+  });
+
+  simulator.events.on('media', ({ id, size }) => {
+    console.log(`📎 Media uploaded: ${id} (${size} bytes)`);
+  });
+
+  simulator.listen().then(url => {
+    console.log(`🧪 WhatsApp simulator on ${url}`);
+    console.log(`   Bot: GRAPH_API_BASE_URL=${url}/v21.0 WHATSAPP_APP_SECRET=${simulator.config.appSecret}`);
+    console.log(`   Webhook target: ${simulator.config.webhookUrl}`);
+  });
+}